@@ -0,0 +1,154 @@
+const { ConfigError, loadEnvFiles, loadConfig } = require('./lib/config');
+const { createDiagnostics, parseMatrixOptions, scopeLabel } = require('./lib/diagnostics');
+const { normaliseRegistration } = require('./lib/registration');
+const { configureObservability } = require('./lib/observability');
+
+// --- DVSA credential health check for deployment pipelines ---
+// Runs the scope tester's "test all combinations" matrix from the command line:
+//   node diagnose-dvsa.js --registration FE08BBU [--scope <scope>]... [--url <url>]... [--json]
+// Exit codes: 0 at least one scope or URL works, 1 nothing works (or the check crashed),
+// 2 bad usage or configuration.
+
+const USAGE = `Usage: node diagnose-dvsa.js --registration <plate> [--scope <scope>]... [--url <url>]... [--json]
+
+  --registration  A registration DVSA has MOT history for (a 404 counts as a failure)
+  --scope         OAuth scope to test; repeat or comma-separate. "(empty)" tests an empty scope
+  --url           MOT API URL to test; repeat or comma-separate
+  --json          Print the full report as JSON
+`;
+
+const EXIT_OK = 0;
+const EXIT_NO_WORKING_COMBINATION = 1;
+const EXIT_USAGE = 2;
+
+function parseArgs(argv) {
+    const args = { scopes: [], urls: [], json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inlineValue] = arg.split(/=(.*)/s);
+        const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+        switch (name) {
+            case '--registration':
+                args.registration = value();
+                break;
+            case '--scope':
+                args.scopes.push(value());
+                break;
+            case '--url':
+                args.urls.push(value());
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                return { error: `Unknown option "${arg}"` };
+        }
+    }
+    if (!args.help && !args.registration) {
+        return { error: '--registration is required' };
+    }
+    return { args };
+}
+
+// Status, code and the most specific message (Azure AD's error_description when there is one)
+function describeFailure(entry) {
+    const failure = entry.token && !entry.token.acquired ? entry.token : entry.api;
+    const message = (failure.details && failure.details.error_description) || failure.error;
+    return [failure.status, failure.code, message].filter(Boolean).join(' ');
+}
+
+// Indented follow-up lines for a failure: the Azure AD fix, or what is wrong with the token
+function printHints(entry) {
+    if (entry.ok || !entry.token) {
+        return;
+    }
+    if (entry.token.aad) {
+        console.log(`        Fix: ${entry.token.aad.remediation}`);
+    }
+    for (const issue of entry.token.issues || []) {
+        console.log(`        Token: ${issue.message}`);
+    }
+}
+
+function printReport(report) {
+    console.log(`DVSA diagnostics for ${report.registration} (${report.checked_at})`);
+    console.log(`\nScopes (against ${report.api_url}):`);
+    for (const entry of report.scopes) {
+        console.log(`  ${entry.ok ? 'PASS' : 'FAIL'}  ${scopeLabel(entry.scope)}${entry.ok ? '' : `  ${describeFailure(entry)}`}`);
+        printHints(entry);
+    }
+    console.log(`\nURLs (with scope ${scopeLabel(report.default_scope)}):`);
+    if (report.url_test_error) {
+        console.log(`  ${report.url_test_error.error}: ${describeFailure(report.url_test_error)}`);
+        printHints(report.url_test_error);
+    }
+    for (const entry of report.urls) {
+        console.log(`  ${entry.ok ? 'PASS' : 'FAIL'}  ${entry.url}${entry.ok ? '' : `  ${describeFailure(entry)}`}`);
+    }
+    console.log('');
+    if (report.ok) {
+        console.log(`OK: recommended scope ${report.recommended.scope === null ? '(none)' : scopeLabel(report.recommended.scope)}, URL ${report.recommended.url || '(none)'}`);
+    } else {
+        console.log('FAILED: no working scope or URL. The API key may not be activated yet; contact DVSA support.');
+    }
+}
+
+async function main(argv) {
+    const { args, error } = parseArgs(argv);
+    if (error || args.help) {
+        process.stderr.write(`${error ? `${error}\n\n` : ''}${USAGE}`);
+        return error ? EXIT_USAGE : EXIT_OK;
+    }
+
+    const { options, error: optionsError } = parseMatrixOptions({ scopes: args.scopes, urls: args.urls });
+    if (optionsError) {
+        console.error(`${optionsError}.`);
+        return EXIT_USAGE;
+    }
+
+    loadEnvFiles();
+    let config;
+    try {
+        config = loadConfig(process.env);
+    } catch (configError) {
+        if (!(configError instanceof ConfigError)) {
+            throw configError;
+        }
+        console.error(configError.message);
+        return EXIT_USAGE;
+    }
+    // Log lines are for a person at a terminal unless LOG_FORMAT says otherwise
+    configureObservability({ LOG_FORMAT: 'pretty', ...config.env });
+
+    // Progress messages (ours and the token manager's) go to stderr, so stdout holds only the report
+    const print = console.log;
+    console.log = console.error;
+    let report;
+    try {
+        report = await createDiagnostics(config.env).runMatrix(normaliseRegistration(args.registration), options);
+    } finally {
+        console.log = print;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return report.ok ? EXIT_OK : EXIT_NO_WORKING_COMBINATION;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error);
+        process.exitCode = EXIT_NO_WORKING_COMBINATION;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,199 @@
+const { ApiError } = require('../http');
+const { logger } = require('../observability');
+const { ApiKeyRegistry, hashApiKey } = require('./registry');
+const { FixedWindowLimiter } = require('./rate-limit');
+const { UsageMeter, utcDay } = require('./usage');
+
+const API_KEY_HEADER = 'X-API-Key';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function nextUtcMidnight(now) {
+    return now - (now % DAY_MS) + DAY_MS;
+}
+
+function secondsUntil(timestamp, now) {
+    return Math.max(1, Math.ceil((timestamp - now) / 1000));
+}
+
+// The password of an HTTP Basic Authorization header (the user name is ignored), or null
+function basicAuthPassword(req) {
+    const match = /^Basic\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+        return null;
+    }
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator === -1 ? null : credentials.slice(separator + 1) || null;
+}
+
+// --- API key authentication, per-client rate limits, daily quotas and metering ---
+// Every authenticated response carries:
+//   X-RateLimit-Limit / -Remaining / -Reset                  requests per minute (Reset is epoch seconds)
+//   X-RateLimit-Daily-Limit / -Daily-Remaining / -Daily-Reset  daily quota units
+class ApiKeyAuth {
+    constructor({ registry, limiter = new FixedWindowLimiter(), meter = new UsageMeter(), enabled = true }) {
+        this.registry = registry;
+        this.limiter = limiter;
+        this.meter = meter;
+        this.enabled = enabled;
+    }
+
+    // Middleware. `cost(req)` is how many quota units the request spends (default 1).
+    // With a `realm`, the key may also be sent as the password of HTTP Basic auth, and
+    // rejections ask for it with WWW-Authenticate so browsers show a login prompt.
+    authenticate({ cost = () => 1, realm = null } = {}) {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+
+            const key = req.get(API_KEY_HEADER) || (realm ? basicAuthPassword(req) : null);
+            const client = this.registry.authenticate(key);
+            if (!client && realm) {
+                res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+            }
+            if (!key) {
+                return next(new ApiError('UNAUTHORIZED', realm
+                    ? `Send an API key in the ${API_KEY_HEADER} header, or as the password of HTTP Basic authentication.`
+                    : `Send your API key in the ${API_KEY_HEADER} header.`));
+            }
+            if (!client) {
+                return next(new ApiError('UNAUTHORIZED', 'The API key is not recognised.'));
+            }
+            req.apiClient = client;
+
+            const now = Date.now();
+            const rate = this.limiter.consume(client.id, client.rateLimitPerMinute, now);
+            res.set({
+                'X-RateLimit-Limit': String(rate.limit),
+                'X-RateLimit-Remaining': String(rate.remaining),
+                'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000)),
+            });
+            if (!rate.allowed) {
+                this.meter.recordRejection(client.id, 'rate_limited', now);
+                return next(new ApiError('RATE_LIMITED', `Rate limit of ${rate.limit} requests per minute exceeded.`, {
+                    retry_after: secondsUntil(rate.resetAt, now),
+                }));
+            }
+
+            const units = cost(req);
+            const used = this.meter.unitsToday(client.id, now);
+            const quotaResetAt = nextUtcMidnight(now);
+            if (client.dailyQuota) {
+                res.set({
+                    'X-RateLimit-Daily-Limit': String(client.dailyQuota),
+                    'X-RateLimit-Daily-Remaining': String(Math.max(0, client.dailyQuota - used - units)),
+                    'X-RateLimit-Daily-Reset': String(Math.ceil(quotaResetAt / 1000)),
+                });
+                if (used + units > client.dailyQuota) {
+                    res.set('X-RateLimit-Daily-Remaining', String(Math.max(0, client.dailyQuota - used)));
+                    this.meter.recordRejection(client.id, 'quota_exceeded', now);
+                    return next(new ApiError('QUOTA_EXCEEDED', `Daily quota of ${client.dailyQuota} lookups exceeded; this request needs ${units}.`, {
+                        retry_after: secondsUntil(quotaResetAt, now),
+                    }));
+                }
+            }
+
+            this.meter.charge(client.id, units, now);
+            res.on('finish', () => this.meter.recordResponse(client.id, res.statusCode));
+            next();
+        };
+    }
+
+    // Spends `units` more of the caller's daily quota part-way through a request that
+    // authenticate() admitted; throws QUOTA_EXCEEDED (spending nothing) when they would go over it
+    spend(req, units, now = Date.now()) {
+        const client = req.apiClient;
+        if (!this.enabled || !client) {
+            return;
+        }
+        if (!this.trySpend(client, units, now)) {
+            throw new ApiError('QUOTA_EXCEEDED', `Daily quota of ${client.dailyQuota} lookups used up part-way through the request.`, {
+                retry_after: secondsUntil(nextUtcMidnight(now), now),
+            });
+        }
+    }
+
+    // Spends `units` of a client's daily quota for work done outside any request, such as a
+    // background poll of one of its subscriptions. Returns false, spending nothing, when that
+    // would go over the quota or the client is no longer configured. Entries created while
+    // authentication was disabled have no owner and are not charged.
+    chargeClient(clientId, units = 1, now = Date.now()) {
+        if (!this.enabled || clientId === null) {
+            return true;
+        }
+        const client = this.registry.get(clientId);
+        return Boolean(client) && this.trySpend(client, units, now);
+    }
+
+    trySpend(client, units, now) {
+        if (client.dailyQuota && this.meter.unitsToday(client.id, now) + units > client.dailyQuota) {
+            this.meter.recordRejection(client.id, 'quota_exceeded', now);
+            return false;
+        }
+        this.meter.spend(client.id, units, now);
+        return true;
+    }
+
+    // Middleware, after authenticate(): only admin clients get through
+    requireAdmin() {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next(new ApiError('FORBIDDEN', 'Admin endpoints are unavailable while API key authentication is disabled.'));
+            }
+            if (!req.apiClient || !req.apiClient.admin) {
+                return next(new ApiError('FORBIDDEN', 'This API key is not allowed to use admin endpoints.'));
+            }
+            next();
+        };
+    }
+
+    // Saves metered usage; call on shutdown so the last flush interval is not lost
+    stop() {
+        this.meter.stop();
+    }
+
+    // Usage for every configured client on `day` (YYYY-MM-DD, UTC), with their limits
+    usageReport(day = utcDay(Date.now())) {
+        const usage = this.meter.report(day);
+        return {
+            date: day,
+            clients: this.registry.list().map(client => ({
+                id: client.id,
+                name: client.name,
+                rate_limit_per_minute: client.rateLimitPerMinute,
+                daily_quota: client.dailyQuota || null,
+                usage: usage[client.id] || null,
+            })),
+        };
+    }
+}
+
+// --- Build from API_* environment variables ---
+// API_AUTH_DISABLED=true turns authentication off entirely (local development only).
+// `persistUsage: false` keeps usage in memory, for a second process sharing the key file.
+function createApiKeyAuth(env = process.env, { persistUsage = true } = {}) {
+    const defaults = {
+        rateLimitPerMinute: parseInt(env.API_RATE_LIMIT_PER_MINUTE || '60', 10),
+        dailyQuota: parseInt(env.API_DAILY_QUOTA || '5000', 10),
+    };
+    const enabled = env.API_AUTH_DISABLED !== 'true';
+    if (!enabled) {
+        logger.warn('API key authentication is disabled (API_AUTH_DISABLED=true)');
+    }
+    return new ApiKeyAuth({
+        registry: enabled ? ApiKeyRegistry.fromFile(env.API_KEYS_FILE || 'api-keys.json', defaults) : new ApiKeyRegistry([], defaults),
+        meter: new UsageMeter({ filePath: persistUsage ? env.API_USAGE_FILE || null : null }),
+        enabled,
+    });
+}
+
+module.exports = {
+    API_KEY_HEADER,
+    ApiKeyAuth,
+    ApiKeyRegistry,
+    FixedWindowLimiter,
+    UsageMeter,
+    hashApiKey,
+    createApiKeyAuth,
+};
@@ -0,0 +1,32 @@
+// --- Fixed-window request limiter, one counter per client ---
+// Each client gets `limit` requests per window; the window resets on a fixed
+// boundary, which keeps X-RateLimit-Reset simple for callers to act on.
+class FixedWindowLimiter {
+    constructor({ windowMs = 60 * 1000 } = {}) {
+        this.windowMs = windowMs;
+        this.windows = new Map(); // client id -> { start, count }
+    }
+
+    // Counts one request and returns { allowed, limit, remaining, resetAt }
+    consume(clientId, limit, now = Date.now()) {
+        const start = now - (now % this.windowMs);
+        let window = this.windows.get(clientId);
+        if (!window || window.start !== start) {
+            window = { start, count: 0 };
+            this.windows.set(clientId, window);
+        }
+
+        const allowed = window.count < limit;
+        if (allowed) {
+            window.count += 1;
+        }
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: start + this.windowMs,
+        };
+    }
+}
+
+module.exports = { FixedWindowLimiter };
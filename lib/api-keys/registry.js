@@ -0,0 +1,76 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('../observability');
+
+// --- Client API keys, loaded from a JSON file ---
+// {
+//   "clients": [
+//     { "id": "acme-garage", "name": "Acme Garage", "keyHash": "sha256:…", "rateLimitPerMinute": 30, "dailyQuota": 2000 },
+//     { "id": "ops", "key": "dev-only-plaintext-key", "admin": true }
+//   ]
+// }
+// Store `keyHash` (see hashApiKey) rather than `key` so the file does not hold usable secrets.
+// Limits left out of an entry fall back to the defaults passed in.
+
+function hashApiKey(key) {
+    return `sha256:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+class ApiKeyRegistry {
+    constructor(clients = [], { rateLimitPerMinute = 60, dailyQuota = 5000 } = {}) {
+        this.clients = new Map(); // key hash -> client
+        for (const entry of clients) {
+            if (!entry.id || !(entry.key || entry.keyHash)) {
+                throw new Error('Every API client needs an "id" and a "key" or "keyHash"');
+            }
+            const hash = entry.keyHash || hashApiKey(entry.key);
+            if (this.clients.has(hash)) {
+                throw new Error(`API client "${entry.id}" reuses another client's key`);
+            }
+            this.clients.set(hash, {
+                id: entry.id,
+                name: entry.name || entry.id,
+                admin: entry.admin === true,
+                rateLimitPerMinute: entry.rateLimitPerMinute === undefined ? rateLimitPerMinute : entry.rateLimitPerMinute,
+                dailyQuota: entry.dailyQuota === undefined ? dailyQuota : entry.dailyQuota,
+            });
+        }
+    }
+
+    static fromFile(filePath, defaults) {
+        let contents;
+        try {
+            contents = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.warn('API key file not found; every API request will be rejected', { file: filePath });
+                return new ApiKeyRegistry([], defaults);
+            }
+            throw error;
+        }
+        const parsed = JSON.parse(contents);
+        return new ApiKeyRegistry(parsed.clients || [], defaults);
+    }
+
+    // Returns the client for a presented key, or null. Keys are compared by hash.
+    authenticate(key) {
+        if (!key) {
+            return null;
+        }
+        return this.clients.get(hashApiKey(key)) || null;
+    }
+
+    // The client with this id, or null
+    get(id) {
+        return this.list().find(client => client.id === id) || null;
+    }
+
+    list() {
+        return [...this.clients.values()];
+    }
+}
+
+module.exports = {
+    ApiKeyRegistry,
+    hashApiKey,
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../observability');
+
+// --- Per-client usage metering, bucketed by UTC day ---
+// Counts are held in memory and, when `filePath` is set, flushed to disk on an
+// interval so daily quotas survive a restart. Days older than `retentionDays` are dropped.
+
+function utcDay(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function emptyUsage() {
+    return {
+        requests: 0,
+        units: 0, // Quota units: one per lookup, so a batch spends one per registration
+        responses: {}, // "2xx" -> count, ...
+        rejected: { rate_limited: 0, quota_exceeded: 0 },
+    };
+}
+
+class UsageMeter {
+    constructor({ filePath = null, flushIntervalMs = 30 * 1000, retentionDays = 35 } = {}) {
+        this.filePath = filePath;
+        this.retentionDays = retentionDays;
+        this.days = {}; // "YYYY-MM-DD" -> client id -> usage
+        this.dirty = false;
+        this.flushTimer = null;
+
+        if (filePath) {
+            this.load();
+            this.flushTimer = setInterval(() => this.flush(), flushIntervalMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    load() {
+        try {
+            this.days = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not read API usage, starting afresh', { file: this.filePath, error });
+            }
+        }
+    }
+
+    flush() {
+        if (!this.filePath || !this.dirty) {
+            return;
+        }
+        this.prune();
+        // Write to a temp file and rename so a crash never leaves a partial file
+        const temp = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(temp, JSON.stringify(this.days));
+            fs.renameSync(temp, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            logger.error('Could not save API usage', { file: this.filePath, error });
+        }
+    }
+
+    prune(now = Date.now()) {
+        const oldest = utcDay(now - this.retentionDays * 24 * 60 * 60 * 1000);
+        for (const day of Object.keys(this.days)) {
+            if (day < oldest) {
+                delete this.days[day];
+            }
+        }
+    }
+
+    usageFor(clientId, now) {
+        const day = utcDay(now);
+        this.days[day] = this.days[day] || {};
+        this.days[day][clientId] = this.days[day][clientId] || emptyUsage();
+        this.dirty = true;
+        return this.days[day][clientId];
+    }
+
+    unitsToday(clientId, now = Date.now()) {
+        const today = this.days[utcDay(now)];
+        return today && today[clientId] ? today[clientId].units : 0;
+    }
+
+    // An admitted request: counts it and spends `units` of the daily quota
+    charge(clientId, units, now = Date.now()) {
+        const usage = this.usageFor(clientId, now);
+        usage.requests += 1;
+        usage.units += units;
+    }
+
+    // More units for a request already counted by charge(), e.g. each further page of the feed
+    spend(clientId, units, now = Date.now()) {
+        this.usageFor(clientId, now).units += units;
+    }
+
+    recordResponse(clientId, statusCode, now = Date.now()) {
+        const usage = this.usageFor(clientId, now);
+        const statusClass = `${String(statusCode)[0]}xx`;
+        usage.responses[statusClass] = (usage.responses[statusClass] || 0) + 1;
+    }
+
+    // `reason` is "rate_limited" or "quota_exceeded"
+    recordRejection(clientId, reason, now = Date.now()) {
+        const usage = this.usageFor(clientId, now);
+        usage.rejected[reason] += 1;
+    }
+
+    // Usage for one day, keyed by client id
+    report(day = utcDay(Date.now())) {
+        return this.days[day] || {};
+    }
+
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flush();
+    }
+}
+
+module.exports = {
+    UsageMeter,
+    utcDay,
+};
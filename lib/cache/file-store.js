@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../observability');
+
+// A full directory scan per write would be slow, so pruning runs at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// --- File-backed store: one JSON file per key, survives restarts ---
+// Each file's modification time is set to the entry's `storedAt`. After a write (at most
+// once a minute, in the background) files older than `maxAgeMs` are deleted, then the
+// oldest files beyond `maxEntries`, so the directory cannot grow without bound.
+class FileStore {
+    constructor({ directory, maxEntries = 1000, maxAgeMs = Infinity, now = () => Date.now() }) {
+        this.directory = directory;
+        this.maxEntries = maxEntries;
+        this.maxAgeMs = maxAgeMs;
+        this.now = now;
+        this.lastPrunedAt = -Infinity;
+        this.pruning = null;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(key) {
+        const name = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    async get(key) {
+        try {
+            const contents = await fs.promises.readFile(this.filePath(key), 'utf8');
+            return JSON.parse(contents);
+        } catch (error) {
+            // Missing or corrupt files are treated as a cache miss
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        // Write to a temp file and rename so readers never see a partial file
+        const target = this.filePath(key);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        const storedAt = new Date(entry.storedAt === undefined ? this.now() : entry.storedAt);
+        await fs.promises.utimes(temp, storedAt, storedAt);
+        await fs.promises.rename(temp, target);
+
+        if (this.now() - this.lastPrunedAt >= PRUNE_INTERVAL_MS) {
+            // In the background: the caller is waiting for a DVSA response, not for the prune
+            this.prune().catch(error => logger.warn('Could not prune the file cache', { directory: this.directory, error }));
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+
+    // Delete expired entries, then the oldest ones beyond maxEntries; one prune at a time
+    prune() {
+        if (!this.pruning) {
+            this.lastPrunedAt = this.now();
+            this.pruning = this.removeOldEntries().finally(() => {
+                this.pruning = null;
+            });
+        }
+        return this.pruning;
+    }
+
+    async removeOldEntries() {
+        const names = (await fs.promises.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        const files = [];
+        for (const name of names) {
+            const file = path.join(this.directory, name);
+            try {
+                files.push({ file, storedAt: (await fs.promises.stat(file)).mtimeMs });
+            } catch (error) {
+                // Deleted since the directory was read
+            }
+        }
+
+        const cutoff = this.now() - this.maxAgeMs;
+        const kept = files.filter(({ storedAt }) => storedAt >= cutoff).sort((a, b) => b.storedAt - a.storedAt);
+        const keptFiles = new Set(kept.slice(0, this.maxEntries).map(({ file }) => file));
+        const removed = files.filter(({ file }) => !keptFiles.has(file));
+        await Promise.all(removed.map(({ file }) => fs.promises.rm(file, { force: true })));
+        return removed.length;
+    }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,107 @@
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+const { SqliteStore } = require('./sqlite-store');
+const { logger, metrics } = require('../observability');
+
+// --- Cache status values, sent to clients in the X-Cache header ---
+const CACHE_HIT = 'HIT';
+const CACHE_MISS = 'MISS';
+const CACHE_STALE = 'STALE';
+
+// --- Response cache with TTL and stale-while-revalidate ---
+// Entries are fresh for `ttlMs`. After that they may still be served for a
+// further `staleMs` while a single background refresh replaces them.
+// `now` is the clock (tests pass their own).
+class ResponseCache {
+    constructor({ store, ttlMs, staleMs, now = () => Date.now() }) {
+        this.store = store;
+        this.ttlMs = ttlMs;
+        this.staleMs = staleMs;
+        this.now = now;
+        this.pending = new Map(); // key -> in-flight loader promise
+    }
+
+    async getOrLoad(key, loader) {
+        const entry = await this.store.get(key);
+        const age = entry ? this.now() - entry.storedAt : Infinity;
+
+        if (age <= this.ttlMs) {
+            metrics.cacheRequests.inc({ result: 'hit' });
+            return { value: entry.value, cacheStatus: CACHE_HIT };
+        }
+
+        if (age <= this.ttlMs + this.staleMs) {
+            metrics.cacheRequests.inc({ result: 'stale' });
+            this.load(key, loader).catch(error => {
+                logger.error('Background cache refresh failed', { cache_key: key, error });
+            });
+            return { value: entry.value, cacheStatus: CACHE_STALE };
+        }
+
+        metrics.cacheRequests.inc({ result: 'miss' });
+        const value = await this.load(key, loader);
+        return { value, cacheStatus: CACHE_MISS };
+    }
+
+    // Concurrent loads for the same key share one loader call
+    load(key, loader) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                await this.store.set(key, { value, storedAt: this.now() });
+                return value;
+            } finally {
+                this.pending.delete(key);
+            }
+        })();
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    async invalidate(key) {
+        await this.store.delete(key);
+    }
+}
+
+// --- Build the store selected by CACHE_STORE ---
+// Entries older than `maxAgeMs` can never be served, so the file and SQLite stores drop them.
+function createStore(env, { maxAgeMs }) {
+    const storeType = (env.CACHE_STORE || 'memory').toLowerCase();
+    const maxEntries = parseInt(env.CACHE_MAX_ENTRIES || '1000', 10);
+    switch (storeType) {
+        case 'memory':
+            return new MemoryStore({ maxEntries });
+        case 'file':
+            return new FileStore({ directory: env.CACHE_FILE_DIR || '.cache/mot', maxEntries, maxAgeMs });
+        case 'sqlite':
+            return new SqliteStore({ filename: env.CACHE_SQLITE_PATH || 'mot-cache.sqlite', maxAgeMs });
+        default:
+            throw new Error(`Unknown CACHE_STORE "${env.CACHE_STORE}". Expected memory, file or sqlite.`);
+    }
+}
+
+function createResponseCache(env = process.env) {
+    const ttlMs = parseInt(env.CACHE_TTL_SECONDS || '3600', 10) * 1000;
+    const staleMs = parseInt(env.CACHE_STALE_SECONDS || '86400', 10) * 1000;
+    return new ResponseCache({
+        store: createStore(env, { maxAgeMs: ttlMs + staleMs }),
+        ttlMs,
+        staleMs,
+    });
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryStore,
+    FileStore,
+    SqliteStore,
+    createResponseCache,
+    CACHE_HIT,
+    CACHE_MISS,
+    CACHE_STALE,
+};
@@ -0,0 +1,33 @@
+// --- In-memory LRU store ---
+// A Map keeps insertion order, so re-inserting on read moves a key to the
+// "most recently used" end and the first key is always the eviction candidate.
+class MemoryStore {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry === undefined) {
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,45 @@
+// --- SQLite-backed store (requires the optional `better-sqlite3` package) ---
+// Every write also deletes entries stored more than `maxAgeMs` ago, so the database
+// only holds entries the cache could still serve.
+class SqliteStore {
+    constructor({ filename, maxAgeMs = Infinity, now = () => Date.now() }) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('CACHE_STORE=sqlite requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+        }
+
+        this.maxAgeMs = maxAgeMs;
+        this.now = now;
+        this.db = new Database(filename);
+        this.db.exec('CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL)');
+        // Databases created before pruning lack stored_at; their rows count as oldest
+        if (!this.db.prepare('PRAGMA table_info(cache)').all().some(column => column.name === 'stored_at')) {
+            this.db.exec('ALTER TABLE cache ADD COLUMN stored_at INTEGER NOT NULL DEFAULT 0');
+        }
+        this.db.exec('CREATE INDEX IF NOT EXISTS cache_stored_at ON cache (stored_at)');
+        this.getStatement = this.db.prepare('SELECT entry FROM cache WHERE key = ?');
+        this.setStatement = this.db.prepare('INSERT OR REPLACE INTO cache (key, entry, stored_at) VALUES (?, ?, ?)');
+        this.deleteStatement = this.db.prepare('DELETE FROM cache WHERE key = ?');
+        this.pruneStatement = this.db.prepare('DELETE FROM cache WHERE stored_at < ?');
+    }
+
+    async get(key) {
+        const row = this.getStatement.get(key);
+        return row ? JSON.parse(row.entry) : undefined;
+    }
+
+    async set(key, entry) {
+        this.setStatement.run(key, JSON.stringify(entry), entry.storedAt === undefined ? this.now() : entry.storedAt);
+        if (Number.isFinite(this.maxAgeMs)) {
+            this.pruneStatement.run(this.now() - this.maxAgeMs);
+        }
+    }
+
+    async delete(key) {
+        this.deleteStatement.run(key);
+    }
+}
+
+module.exports = { SqliteStore };
@@ -0,0 +1,19 @@
+// --- Run an async worker over a list with a bounded number of calls in flight ---
+// Results are returned in the same order as the input items.
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runnerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: runnerCount }, runNext));
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { logger, configureObservability } = require('./observability');
+const { isHttpUrl } = require('./util');
+
+// --- Shared configuration for server.js and test-scopes.js ---
+// Reads .env.<profile> and .env (real environment variables always win), accepts
+// both naming schemes for the DVSA credentials, validates everything up front and
+// reports every problem at once so a bad deploy fails at startup, not on the first request.
+
+const PROFILES = ['development', 'test', 'production'];
+const DEFAULT_SCOPE = 'https://tapi.dvsa.gov.uk/.default';
+
+// Canonical name -> older name still accepted (server.js used to read CLIENT_ID etc.)
+const ALIASES = {
+    DVSA_CLIENT_ID: 'CLIENT_ID',
+    DVSA_CLIENT_SECRET: 'CLIENT_SECRET',
+    DVSA_TENANT_ID: 'TENANT_ID',
+};
+
+// Integer settings and their minimum values
+const INTEGER_SETTINGS = {
+    PORT: 1,
+    BATCH_MAX_SIZE: 1,
+    BATCH_CONCURRENCY: 1,
+    CACHE_TTL_SECONDS: 0,
+    CACHE_STALE_SECONDS: 0,
+    CACHE_MAX_ENTRIES: 1,
+    DVSA_TIMEOUT_MS: 1,
+    DVSA_MAX_RETRIES: 0,
+    DVSA_RETRY_BASE_DELAY_MS: 0,
+    DVSA_RETRY_MAX_DELAY_MS: 0,
+    DVSA_CIRCUIT_FAILURE_THRESHOLD: 1,
+    DVSA_CIRCUIT_RESET_MS: 0,
+    DVSA_RATE_LIMIT_PER_SECOND: 1,
+    DVSA_RATE_LIMIT_BURST: 1,
+    DVSA_RATE_LIMIT_MAX_WAIT_MS: 0,
+    API_RATE_LIMIT_PER_MINUTE: 1,
+    API_DAILY_QUOTA: 0,
+    CORS_MAX_AGE_SECONDS: 0,
+    HSTS_MAX_AGE_SECONDS: 0,
+    READINESS_TIMEOUT_MS: 1,
+    WATCHLIST_CHECK_INTERVAL_SECONDS: 60,
+    WATCHLIST_MAX_PER_CLIENT: 1,
+    SUBSCRIPTIONS_POLL_INTERVAL_SECONDS: 60,
+    SUBSCRIPTIONS_MAX_PER_CLIENT: 1,
+    WEBHOOK_TIMEOUT_MS: 1,
+    NOTIFY_MAX_RETRIES: 0,
+    NOTIFY_RETRY_BASE_DELAY_MS: 0,
+};
+
+const BOOLEAN_SETTINGS = [
+    'VIN_STRICT_CHECK_DIGIT',
+    'API_AUTH_DISABLED',
+    'CORS_ALLOW_CREDENTIALS',
+    'HSTS_INCLUDE_SUBDOMAINS',
+    'METRICS_ENABLED',
+    'TRACING_ENABLED',
+    'WATCHLIST_SCHEDULER_ENABLED',
+    'SUBSCRIPTIONS_POLLER_ENABLED',
+    'WEBHOOK_ALLOW_PRIVATE_TARGETS',
+];
+
+const ENUM_SETTINGS = {
+    CACHE_STORE: ['memory', 'file', 'sqlite'],
+    DVSA_API_ADAPTER: ['legacy-trade', 'mot-history'],
+    LOG_LEVEL: ['debug', 'info', 'warn', 'error'],
+    LOG_FORMAT: ['json', 'pretty'],
+};
+
+// Never printed in full
+const SECRET_SETTINGS = ['DVSA_CLIENT_SECRET', 'DVSA_API_KEY', 'LOG_HASH_SALT', 'METRICS_TOKEN', 'SMTP_URL'];
+
+// Shown in the startup summary, in this order
+const SUMMARY_SETTINGS = [
+    'DVSA_CLIENT_ID',
+    'DVSA_CLIENT_SECRET',
+    'DVSA_API_KEY',
+    'DVSA_TOKEN_URL',
+    'DVSA_SCOPE',
+    'DVSA_API_ADAPTER',
+    'DVSA_API_BASE_URL',
+    'CACHE_STORE',
+    'API_KEYS_FILE',
+    'API_AUTH_DISABLED',
+    'CORS_ALLOWED_ORIGINS',
+    'LOG_LEVEL',
+    'METRICS_ENABLED',
+    'TRACING_ENABLED',
+    'WATCHLIST_FILE',
+    'SUBSCRIPTIONS_FILE',
+    'SMTP_URL',
+];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// --- Load .env.<profile> then .env into process.env, without overriding real variables ---
+function loadEnvFiles(env = process.env) {
+    const base = fs.existsSync('.env') ? dotenv.parse(fs.readFileSync('.env')) : {};
+    const profile = env.APP_PROFILE || base.APP_PROFILE || env.NODE_ENV || 'development';
+    dotenv.config({ path: `.env.${profile}` });
+    dotenv.config();
+}
+
+function isInstalled(packageName) {
+    try {
+        require.resolve(packageName);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// --- Build and validate the configuration; throws a ConfigError listing every problem ---
+// `defaults` holds per-entry-point defaults, e.g. { PORT: '3000' } for the scope tester.
+function loadConfig(source = process.env, defaults = {}) {
+    const env = { ...defaults, ...source };
+    const problems = [];
+
+    const profile = env.APP_PROFILE || env.NODE_ENV || 'development';
+    if (!PROFILES.includes(profile)) {
+        problems.push(`APP_PROFILE must be one of ${PROFILES.join(', ')} (got "${profile}")`);
+    }
+    const production = profile === 'production';
+
+    // Accept either name, but not two different values
+    for (const [name, alias] of Object.entries(ALIASES)) {
+        if (env[name] && env[alias] && env[name] !== env[alias]) {
+            problems.push(`${name} and ${alias} are both set to different values; set only one`);
+        }
+        env[name] = env[name] || env[alias];
+    }
+
+    // The token URL can be given directly or derived from the Azure AD tenant
+    if (!env.DVSA_TOKEN_URL && env.DVSA_TENANT_ID) {
+        if (/^[\w.-]+$/.test(env.DVSA_TENANT_ID)) {
+            env.DVSA_TOKEN_URL = `https://login.microsoftonline.com/${env.DVSA_TENANT_ID}/oauth2/v2.0/token`;
+        } else {
+            problems.push('TENANT_ID must be a tenant GUID or domain name');
+        }
+    }
+    env.DVSA_SCOPE = env.DVSA_SCOPE || DEFAULT_SCOPE;
+
+    const required = [
+        ['DVSA_CLIENT_ID', 'DVSA_CLIENT_ID (or CLIENT_ID)'],
+        ['DVSA_CLIENT_SECRET', 'DVSA_CLIENT_SECRET (or CLIENT_SECRET)'],
+        ['DVSA_TOKEN_URL', 'DVSA_TOKEN_URL (or TENANT_ID)'],
+        ['DVSA_API_KEY', 'DVSA_API_KEY'],
+    ];
+    for (const [name, label] of required) {
+        if (!env[name]) {
+            problems.push(`${label} is required`);
+        }
+    }
+
+    // Local mocks run over plain HTTP, but production must only talk to DVSA over HTTPS
+    for (const name of ['DVSA_TOKEN_URL', 'DVSA_API_BASE_URL']) {
+        if (env[name] && !isHttpUrl(env[name], { httpsOnly: production })) {
+            problems.push(`${name} must be a valid ${production ? 'https' : 'http(s)'} URL (got "${env[name]}")`);
+        }
+    }
+
+    for (const [name, min] of Object.entries(INTEGER_SETTINGS)) {
+        if (env[name] !== undefined && !(/^\d+$/.test(env[name]) && parseInt(env[name], 10) >= min)) {
+            problems.push(`${name} must be a whole number of at least ${min} (got "${env[name]}")`);
+        }
+    }
+    for (const name of BOOLEAN_SETTINGS) {
+        if (env[name] !== undefined && !['true', 'false'].includes(env[name])) {
+            problems.push(`${name} must be "true" or "false" (got "${env[name]}")`);
+        }
+    }
+    for (const [name, values] of Object.entries(ENUM_SETTINGS)) {
+        if (env[name] !== undefined && !values.includes(env[name].toLowerCase())) {
+            problems.push(`${name} must be one of ${values.join(', ')} (got "${env[name]}")`);
+        }
+    }
+
+    if (env.TRACING_ENABLED === 'true' && !isInstalled('@opentelemetry/api')) {
+        problems.push('TRACING_ENABLED=true requires the "@opentelemetry/api" package (npm install @opentelemetry/api)');
+    }
+    if ((env.CACHE_STORE || '').toLowerCase() === 'sqlite' && !isInstalled('better-sqlite3')) {
+        problems.push('CACHE_STORE=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    if (env.REMINDER_LEAD_DAYS !== undefined && !/^\s*\d+\s*(,\s*\d+\s*)*$/.test(env.REMINDER_LEAD_DAYS)) {
+        problems.push(`REMINDER_LEAD_DAYS must be a comma-separated list of whole days, e.g. 30,14,1 (got "${env.REMINDER_LEAD_DAYS}")`);
+    }
+    if (env.SMTP_URL) {
+        if (!/^smtps?:\/\/[^/]/.test(env.SMTP_URL)) {
+            problems.push('SMTP_URL must be an smtp:// or smtps:// URL');
+        }
+        if (!env.SMTP_FROM) {
+            problems.push('SMTP_FROM is required when SMTP_URL is set');
+        }
+        if (!isInstalled('nodemailer')) {
+            problems.push('SMTP_URL requires the "nodemailer" package (npm install nodemailer)');
+        }
+    }
+    if (production && env.API_AUTH_DISABLED === 'true') {
+        problems.push('API_AUTH_DISABLED=true is not allowed in production');
+    }
+    if (production && !env.LOG_HASH_SALT) {
+        // Plates are few enough to hash them all, so an unsalted hash hides nothing
+        problems.push('LOG_HASH_SALT is required in production');
+    }
+    if (production && env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') {
+        problems.push('WEBHOOK_ALLOW_PRIVATE_TARGETS=true is not allowed in production');
+    }
+    if (env.CORS_ALLOW_CREDENTIALS === 'true' && (env.CORS_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).includes('*')) {
+        problems.push('CORS_ALLOW_CREDENTIALS=true cannot be combined with CORS_ALLOWED_ORIGINS=*');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return {
+        profile,
+        port: parseInt(env.PORT || '3001', 10),
+        dvsa: {
+            clientId: env.DVSA_CLIENT_ID,
+            clientSecret: env.DVSA_CLIENT_SECRET,
+            tokenUrl: env.DVSA_TOKEN_URL,
+            scope: env.DVSA_SCOPE,
+            apiKey: env.DVSA_API_KEY,
+        },
+        // The full, normalised environment for the env-driven factories in lib/
+        env,
+    };
+}
+
+function redact(name, value) {
+    if (value === undefined || value === '') {
+        return '(default)';
+    }
+    if (SECRET_SETTINGS.includes(name)) {
+        return '(set, redacted)';
+    }
+    if (name === 'DVSA_CLIENT_ID') {
+        return `${value.slice(0, 4)}…`;
+    }
+    return value;
+}
+
+// --- Summary settings with secrets redacted ---
+function summariseConfig(config) {
+    return Object.fromEntries(SUMMARY_SETTINGS.map(name => [name, redact(name, config.env[name])]));
+}
+
+// --- One line per setting, with secrets redacted ---
+function describeConfig(config) {
+    const lines = [`Configuration (profile: ${config.profile})`];
+    for (const [name, value] of Object.entries(summariseConfig(config))) {
+        lines.push(`  ${name.padEnd(24)} ${value}`);
+    }
+    return lines.join('\n');
+}
+
+// --- Entry-point helper: load .env files, validate, set up logging, log the summary, or exit(1) ---
+// With LOG_FORMAT=json the summary is a single log line, so log shippers see one event.
+function loadConfigOrExit(defaults = {}) {
+    loadEnvFiles();
+    try {
+        const config = loadConfig(process.env, defaults);
+        configureObservability(config.env);
+        if (logger.format === 'json') {
+            logger.info('Configuration loaded', { profile: config.profile, settings: summariseConfig(config) });
+        } else {
+            console.log(describeConfig(config));
+        }
+        return config;
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        console.error(error.message);
+        console.error('Refusing to start. See README.md ("Configuration") for every setting.');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    PROFILES,
+    ConfigError,
+    loadEnvFiles,
+    loadConfig,
+    describeConfig,
+    loadConfigOrExit,
+};
@@ -0,0 +1,46 @@
+// --- Date helpers for DVSA payloads ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DVSA's trade API uses "YYYY.MM.DD" (optionally followed by a time) while the
+// newer MOT History API uses ISO 8601. Both parse to a UTC Date, or null.
+function parseDvsaDate(value) {
+    if (!value) {
+        return null;
+    }
+    const match = /^(\d{4})[.-](\d{2})[.-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value));
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)));
+}
+
+// Midnight UTC on the given date, so day counts ignore the time of day
+function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Whole days from `from` to `to` (negative when `to` is earlier)
+function daysBetween(from, to) {
+    return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+function addYears(date, years) {
+    const result = new Date(date.getTime());
+    result.setUTCFullYear(result.getUTCFullYear() + years);
+    return result;
+}
+
+function toIsoDate(date) {
+    return date ? date.toISOString().slice(0, 10) : null;
+}
+
+module.exports = {
+    DAY_MS,
+    parseDvsaDate,
+    startOfDay,
+    daysBetween,
+    addYears,
+    toIsoDate,
+};
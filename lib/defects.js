@@ -0,0 +1,157 @@
+const { parseDvsaDate, toIsoDate } = require('./dates');
+
+// --- Defect classification and recurring-advisory analysis ---
+
+// Checked in order, so component systems win over generic words like "corroded"
+// ("Brake pipe corroded" is a brakes defect, not a corrosion one). Brake lamps are
+// lighting defects (section 4), so "brake" followed by lamp or light is left to the lights rule.
+const SYSTEM_RULES = [
+    ['tyres', /\btyres?\b|\btread\b|\bsidewall\b/i],
+    ['brakes', /\bbrak(e|es|ing)\b(?! (lamp|light)s?\b)|\bdiscs?\b|\bpads?\b|\bcaliper|\babs\b|\bhandbrake\b/i],
+    ['steering', /\bsteering\b|\btrack rod\b|\brack\b|\bpower steering\b/i],
+    ['suspension', /\bsuspension\b|\bshock absorber|\bsprings?\b|\banti-roll\b|\bball joint|\bbush(es|ing)?\b|\bwishbone\b|\bstabiliser\b/i],
+    ['lights', /\blamps?\b|\bheadlamp|\blights?\b|\bindicators?\b|\breflectors?\b|\bbulbs?\b/i],
+    ['exhaust_emissions', /\bexhaust\b|\bemissions?\b|\bsmoke\b|\bcatalyst\b|\blambda\b|\bsilencer\b|\bdpf\b/i],
+    ['visibility', /\bwindscreen\b|\bwipers?\b|\bwasher\b|\bmirrors?\b|\bview\b/i],
+    ['seat_belts', /\bseat ?belts?\b|\bseats?\b|\bairbag\b|\bsrs\b/i],
+    ['corrosion', /\bcorro(ded|sion)\b|\brust\b|\bprescribed area\b|\bsub-?frame\b|\bsill\b/i],
+    ['fluid_leaks', /\bleak(s|ing)?\b|\boil\b|\bfluid\b/i],
+    ['driveline', /\bdrive ?shaft|\bcv (joint|boot|gaiter)|\bpropeller shaft\b|\bwheel bearing\b/i],
+    ['body_structure', /\bbody\b|\bchassis\b|\bdoor\b|\bbonnet\b|\bbumper\b|\bpanel\b|\btow ?bar\b/i],
+    ['electrical', /\bbattery\b|\bwiring\b|\belectrical\b|\bhorn\b/i],
+    ['registration_plate', /\bregistration plate\b|\bnumber plate\b/i],
+];
+
+const LATERAL_PATTERNS = [
+    ['nearside', /\bnearside\b|\bn\/s\b|\bns[fr]\b/i],
+    ['offside', /\boffside\b|\bo\/s\b|\bos[fr]\b/i],
+    ['central', /\bcentral\b|\bcentre\b/i],
+];
+const LONGITUDINAL_PATTERNS = [
+    ['front', /\bfront\b|\b[no]sf\b/i],
+    ['rear', /\brear\b|\b[no]sr\b/i],
+];
+const VERTICAL_PATTERNS = [
+    ['upper', /\bupper\b/i],
+    ['lower', /\blower\b/i],
+    ['inner', /\binner\b/i],
+    ['outer', /\bouter\b/i],
+];
+
+// Advisory-level defect types: a vehicle passes with these, but they tend to become failures
+const ADVISORY_TYPES = ['ADVISORY', 'MINOR'];
+
+function firstMatch(patterns, text) {
+    const found = patterns.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+}
+
+function classifyDefect(text) {
+    return firstMatch(SYSTEM_RULES, text || '') || 'other';
+}
+
+// --- Pull nearside/offside, front/rear etc. out of the defect text ---
+// Returns null when the text carries no location at all.
+function parseDefectLocation(text) {
+    const value = text || '';
+    const location = {
+        lateral: firstMatch(LATERAL_PATTERNS, value),
+        longitudinal: firstMatch(LONGITUDINAL_PATTERNS, value),
+        vertical: firstMatch(VERTICAL_PATTERNS, value),
+    };
+    return location.lateral || location.longitudinal || location.vertical ? location : null;
+}
+
+// Ignore case, spacing and the manual references DVSA appends, e.g. "(5.2.3 (e))"
+function normaliseDefectText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/\([\d.]+(\s*\([a-z]+\))*\)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// --- Find advisories that appear on consecutive tests ---
+// Retests on the same day are merged, so a fail-then-pass does not count twice.
+function analyseDefects(vehicleInfo) {
+    const testsByDay = new Map();
+    for (const test of (vehicleInfo && vehicleInfo.motTests) || []) {
+        const day = toIsoDate(parseDvsaDate(test.completedDate));
+        if (!day) {
+            continue;
+        }
+        if (!testsByDay.has(day)) {
+            testsByDay.set(day, []);
+        }
+        testsByDay.get(day).push(...(test.rfrAndComments || test.defects || []));
+    }
+
+    const days = [...testsByDay.keys()].sort();
+    const bySystem = {};
+    const streaks = new Map(); // normalised text -> advisory summary
+
+    days.forEach((day, dayIndex) => {
+        const seenToday = new Set();
+        for (const defect of testsByDay.get(day)) {
+            const system = classifyDefect(defect.text);
+            bySystem[system] = (bySystem[system] || 0) + 1;
+
+            if (!ADVISORY_TYPES.includes(defect.type)) {
+                continue;
+            }
+            const key = normaliseDefectText(defect.text);
+            if (!key || seenToday.has(key)) {
+                continue;
+            }
+            seenToday.add(key);
+
+            const streak = streaks.get(key);
+            if (streak && streak.lastIndex === dayIndex - 1) {
+                streak.description = defect.text; // Keep the wording from the latest test
+                streak.consecutive_tests += 1;
+                streak.occurrences += 1;
+                streak.last_seen = day;
+                streak.lastIndex = dayIndex;
+            } else {
+                streaks.set(key, {
+                    description: defect.text,
+                    system,
+                    location: parseDefectLocation(defect.text),
+                    occurrences: streak ? streak.occurrences + 1 : 1,
+                    consecutive_tests: 1,
+                    first_seen: streak ? streak.first_seen : day,
+                    last_seen: day,
+                    lastIndex: dayIndex,
+                });
+            }
+        }
+    });
+
+    const latestDay = days[days.length - 1];
+    const recurring = [...streaks.values()]
+        .filter(streak => streak.consecutive_tests >= 2)
+        .map(({ lastIndex, ...streak }) => streak)
+        .sort((a, b) => b.consecutive_tests - a.consecutive_tests);
+
+    // Advisories that have recurred right up to the latest test are the ones most likely to fail next
+    const likelyUpcomingFailures = recurring
+        .filter(advisory => advisory.last_seen === latestDay)
+        .map(advisory => ({
+            description: advisory.description,
+            system: advisory.system,
+            location: advisory.location,
+            reason: `Advised on the last ${advisory.consecutive_tests} consecutive tests.`,
+        }));
+
+    return {
+        by_system: bySystem,
+        recurring_advisories: recurring,
+        likely_upcoming_failures: likelyUpcomingFailures,
+    };
+}
+
+module.exports = {
+    classifyDefect,
+    parseDefectLocation,
+    analyseDefects,
+};
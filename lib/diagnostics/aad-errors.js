@@ -0,0 +1,49 @@
+// --- Plain-English fixes for Azure AD (AADSTS) token endpoint errors ---
+// Azure AD puts the code in `error_codes` and at the start of `error_description`
+// ("AADSTS70011: ..."). Codes not listed here get a link to Microsoft's lookup page.
+
+const REMEDIATIONS = {
+    70003: 'The token request used the wrong grant type. DVSA needs the client-credentials flow (grant_type=client_credentials).',
+    70011: 'The scope is not valid. Client-credentials requests must ask for "<resource>/.default", e.g. "https://tapi.dvsa.gov.uk/.default". Set DVSA_SCOPE to the scope in your DVSA welcome email.',
+    90002: 'The tenant in DVSA_TOKEN_URL does not exist. Check the tenant ID DVSA gave you (DVSA_TENANT_ID).',
+    90014: 'The token request is missing a required field. Check that the client ID, client secret and scope are all configured.',
+    50059: 'Azure AD could not tell which tenant to use. Use the tenant-specific token URL, https://login.microsoftonline.com/<tenant ID>/oauth2/v2.0/token.',
+    53003: 'A Conditional Access policy in the DVSA tenant blocked the request, for example because of where it came from. Contact DVSA support.',
+    65001: 'Admin consent has not been granted for this application. DVSA needs to grant consent for the MOT API permission; contact DVSA support.',
+    500011: 'The API named in the scope is not registered in this tenant. Check that the scope is the one DVSA gave you and that DVSA_TOKEN_URL names the DVSA tenant.',
+    501051: 'The application has not been assigned a role for the MOT API. DVSA assigns it when your access is approved; contact DVSA support.',
+    700016: 'The client ID was not found in the tenant. Check DVSA_CLIENT_ID, and that DVSA_TOKEN_URL names the tenant DVSA gave you.',
+    7000215: 'The client secret is wrong. Use the secret value DVSA sent, not the secret ID.',
+    7000218: 'No client secret was sent. Set DVSA_CLIENT_SECRET.',
+    7000222: 'The client secret has expired. Ask DVSA to issue a new one and update DVSA_CLIENT_SECRET.',
+    900023: 'The tenant ID in DVSA_TOKEN_URL is not valid. Check DVSA_TENANT_ID.',
+};
+
+// First AADSTS code in an Azure AD error body, or null
+function aadErrorCode(body) {
+    if (!body || typeof body !== 'object') {
+        return null;
+    }
+    if (Array.isArray(body.error_codes) && Number.isInteger(body.error_codes[0])) {
+        return body.error_codes[0];
+    }
+    const match = /AADSTS(\d+)/.exec(body.error_description || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// { code, error, description, remediation } for an Azure AD error body, or null when it is not one
+function explainAadError(body) {
+    const code = aadErrorCode(body);
+    if (code === null) {
+        return null;
+    }
+    return {
+        code: `AADSTS${code}`,
+        error: body.error || null,
+        description: (body.error_description || '').split(/\r?\n/)[0] || null,
+        remediation: REMEDIATIONS[code]
+            || `See https://login.microsoftonline.com/error?code=${code} for what this error means.`,
+    };
+}
+
+module.exports = { aadErrorCode, explainAadError };
@@ -0,0 +1,354 @@
+const axios = require('axios');
+const { TokenManager, UPSTREAM_ERROR_CODES, codeForStatus } = require('../dvsa');
+const { DEFAULT_BASE_URL: LEGACY_TRADE_URL } = require('../dvsa/legacy-trade-adapter');
+const { inspectToken, scopeResource, tokenUrlTenant } = require('./token-claims');
+const { explainAadError } = require('./aad-errors');
+const { redactSecrets } = require('../redact');
+const { logger } = require('../observability');
+
+// --- DVSA credential diagnostics: which OAuth scopes and API URLs work with our credentials ---
+// Shared by the scope tester (test-scopes.js) and the diagnose-dvsa.js command-line tool.
+// Every check calls the legacy trade endpoint for one registration, so use a
+// registration DVSA knows: a 404 counts as a failure.
+
+// Scopes DVSA has documented or used at some point; '' sends an empty scope
+const DEFAULT_SCOPES = [
+    'https://tapi.dvsa.gov.uk/.default',
+    'api://tapi.dvsa.gov.uk/.default',
+    'https://check-mot.service.gov.uk/.default',
+    'mot.read',
+    'https://tapi.dvsa.gov.uk/mot.read',
+    'https://dvsa.gov.uk/.default',
+    '',
+];
+
+const DEFAULT_URLS = [
+    LEGACY_TRADE_URL,
+    'https://api.check-mot.service.gov.uk/trade/vehicles/mot-tests',
+    'https://mot.api.gov.uk/trade/vehicles/mot-tests',
+    'https://tapi.dvsa.gov.uk/mot/trade/vehicles/mot-tests',
+    'https://tapi.dvsa.gov.uk/check-mot/trade/vehicles/mot-tests',
+];
+
+// How the empty scope is written in lists and reports
+const EMPTY_SCOPE = '(empty)';
+
+// Each run makes one request per scope and per URL, so keep custom lists short
+const MAX_LIST_ENTRIES = 20;
+
+// Upstream error bodies that are not JSON (proxy and gateway pages) are cut to this many characters
+const MAX_TEXT_BODY_LENGTH = 2000;
+
+function secondsUntil(timestamp) {
+    return Math.max(0, Math.round((timestamp - Date.now()) / 1000));
+}
+
+// Stable error code (as used by server.js) for a failed axios call to DVSA
+function upstreamCode(apiError) {
+    if (apiError.code === 'ECONNABORTED') {
+        return UPSTREAM_ERROR_CODES.TIMEOUT;
+    }
+    return apiError.response ? codeForStatus(apiError.response.status) : UPSTREAM_ERROR_CODES.ERROR;
+}
+
+function truncate(body) {
+    return typeof body === 'string' && body.length > MAX_TEXT_BODY_LENGTH
+        ? `${body.slice(0, MAX_TEXT_BODY_LENGTH)}… (${body.length - MAX_TEXT_BODY_LENGTH} more characters)`
+        : body;
+}
+
+function scopeLabel(scope) {
+    return scope === '' ? EMPTY_SCOPE : scope;
+}
+
+// The configured scope first, then the defaults, without duplicates
+function candidateScopes(configuredScope, scopes = DEFAULT_SCOPES) {
+    return [...new Set([configuredScope, ...scopes].filter(scope => scope !== undefined))];
+}
+
+// The configured URL first, then the defaults, without duplicates
+function candidateUrls(configuredUrl, urls = DEFAULT_URLS) {
+    return [...new Set([configuredUrl, ...urls].filter(Boolean))];
+}
+
+// An array, or a comma- or newline-separated string. "(empty)" stands for the empty scope.
+function parseList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(/[,\n]/))
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => (item === EMPTY_SCOPE ? '' : item));
+}
+
+// The origins (scheme, host and port) of `urls`; unparseable entries are skipped
+function urlOrigins(urls) {
+    return new Set(urls.flatMap(url => {
+        try {
+            return [new URL(url).origin];
+        } catch (error) {
+            return [];
+        }
+    }));
+}
+
+// --- Validate custom scope and URL lists; returns { options } or { error } ---
+// Missing or blank lists fall back to the defaults. `isAllowedUrl` restricts the URLs
+// (the scope tester only calls DVSA hosts; the command-line tool accepts any).
+function parseMatrixOptions({ scopes, urls } = {}, { isAllowedUrl = () => true } = {}) {
+    const options = {};
+    const scopeList = [...new Set(parseList(scopes))];
+    const urlList = [...new Set(parseList(urls))];
+
+    if (scopeList.length > MAX_LIST_ENTRIES || urlList.length > MAX_LIST_ENTRIES) {
+        return { error: `Provide at most ${MAX_LIST_ENTRIES} scopes and ${MAX_LIST_ENTRIES} URLs` };
+    }
+    const badUrl = urlList.find(url => !/^https?:\/\/[^/\s]+/i.test(url));
+    if (badUrl) {
+        return { error: `"${badUrl}" is not an http(s) URL` };
+    }
+    const disallowedUrl = urlList.find(url => !isAllowedUrl(url));
+    if (disallowedUrl) {
+        return { error: `"${disallowedUrl}" is not on a DVSA host this tool may call` };
+    }
+
+    if (scopeList.length > 0) {
+        options.scopes = scopeList;
+    }
+    if (urlList.length > 0) {
+        options.urls = urlList;
+    }
+    return { options };
+}
+
+class DvsaDiagnostics {
+    // `apiUrl` is the MOT endpoint scope tests call; `defaultScope` is used for URL tests
+    constructor({ tokenUrl, clientId, clientSecret, apiKey, apiUrl, defaultScope, timeoutMs = 10000 }) {
+        this.tokenUrl = tokenUrl;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.apiKey = apiKey;
+        this.apiUrl = apiUrl;
+        this.defaultScope = defaultScope;
+        this.timeoutMs = timeoutMs;
+        // What a usable token looks like: issued to our client ID by the token URL's tenant, for
+        // the resource of the configured scope (the one server.js requests)
+        this.expectedToken = {
+            audience: scopeResource(defaultScope),
+            clientId,
+            tenantId: tokenUrlTenant(tokenUrl),
+        };
+        // One token manager per scope, so repeat tests reuse a cached token instead of requesting a new one
+        this.tokenManagers = new Map();
+        // Every call sends our token and API key, so callers outside this process (the scope
+        // tester's forms) may only name URLs on the configured or known DVSA hosts
+        this.allowedOrigins = urlOrigins(candidateUrls(apiUrl));
+    }
+
+    isAllowedUrl(url) {
+        try {
+            return this.allowedOrigins.has(new URL(url).origin);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    tokenManager(scope) {
+        if (!this.tokenManagers.has(scope)) {
+            this.tokenManagers.set(scope, new TokenManager({
+                tokenUrl: this.tokenUrl,
+                clientId: this.clientId,
+                clientSecret: this.clientSecret,
+                scope,
+                backgroundRefresh: false,
+            }));
+        }
+        return this.tokenManagers.get(scope);
+    }
+
+    // Upstream messages and bodies with our client secret, API key and any tokens scrubbed out
+    redact(value) {
+        return redactSecrets(truncate(value), [this.clientSecret, this.apiKey]);
+    }
+
+    // Resolves to { accessToken, result }; accessToken is null when the token request failed.
+    // A token's decoded claims and any problems with them, or an Azure AD error's fix, go in the result.
+    async acquireToken(scope) {
+        try {
+            const tokenInfo = await this.tokenManager(scope).getTokenInfo();
+            return {
+                accessToken: tokenInfo.accessToken,
+                result: {
+                    acquired: true,
+                    type: tokenInfo.tokenType,
+                    expires_in: secondsUntil(tokenInfo.expiresAt),
+                    scope: tokenInfo.scope || null,
+                    ...inspectToken(tokenInfo.accessToken, this.expectedToken),
+                },
+            };
+        } catch (tokenError) {
+            return {
+                accessToken: null,
+                result: {
+                    acquired: false,
+                    status: tokenError.status,
+                    code: tokenError.code || UPSTREAM_ERROR_CODES.AUTH_FAILED,
+                    error: this.redact(tokenError.message),
+                    details: this.redact(tokenError.responseBody),
+                    aad: explainAadError(tokenError.responseBody),
+                },
+            };
+        }
+    }
+
+    // One MOT lookup; resolves to { ok, status, data } or { ok: false, status, code, error, details }
+    async callApi(url, registration, accessToken, { withApiKey = true } = {}) {
+        const headers = {
+            'Authorization': `Bearer ${accessToken}`,
+            'Accept': 'application/json+v6',
+        };
+        if (withApiKey) {
+            headers['x-api-key'] = this.apiKey;
+        }
+        try {
+            const response = await axios({
+                method: 'get',
+                url,
+                headers,
+                params: { registration },
+                timeout: this.timeoutMs,
+            });
+            return { ok: true, status: response.status, data: response.data };
+        } catch (apiError) {
+            return {
+                ok: false,
+                status: apiError.response?.status,
+                code: upstreamCode(apiError),
+                error: this.redact(apiError.message),
+                details: this.redact(apiError.response?.data),
+            };
+        }
+    }
+
+    // --- Can `scope` get a token that the MOT API accepts? ---
+    // When the call with the API key fails, it is repeated without the key to show
+    // whether the key or the token is the problem (`tryWithoutApiKey: false` skips that).
+    async testScope(scope, registration, { tryWithoutApiKey = true } = {}) {
+        logger.info('Testing scope', { scope: scopeLabel(scope) });
+        const { accessToken, result: token } = await this.acquireToken(scope);
+        const result = { scope, registration, ok: false, token };
+        if (!accessToken) {
+            return result;
+        }
+
+        result.api = await this.callApi(this.apiUrl, registration, accessToken);
+        if (!result.api.ok && tryWithoutApiKey) {
+            result.api_without_key = await this.callApi(this.apiUrl, registration, accessToken, { withApiKey: false });
+        }
+        result.ok = result.api.ok;
+        return result;
+    }
+
+    // --- Does `url` answer a lookup made with a token for `scope`? ---
+    async testUrl(url, registration, { scope = this.defaultScope } = {}) {
+        logger.info('Testing URL', { url });
+        const { accessToken, result: token } = await this.acquireToken(scope);
+        const result = { url, scope, registration, ok: false, token };
+        if (!accessToken) {
+            return result;
+        }
+
+        result.api = await this.callApi(url, registration, accessToken);
+        result.ok = result.api.ok;
+        return result;
+    }
+
+    // --- Every scope against the configured URL, then every URL with the default scope ---
+    // `ok` is true when at least one combination works.
+    async runMatrix(registration, { scopes = candidateScopes(this.defaultScope), urls = candidateUrls(this.apiUrl) } = {}) {
+        logger.info('Testing all combinations', { registration });
+        const report = {
+            registration,
+            checked_at: new Date().toISOString(),
+            api_url: this.apiUrl,
+            default_scope: this.defaultScope,
+            ok: false,
+            working_scopes: [],
+            working_urls: [],
+            recommended: { scope: null, url: null },
+            scopes: [],
+            urls: [],
+        };
+
+        for (const scope of scopes) {
+            const result = await this.testScope(scope, registration, { tryWithoutApiKey: false });
+            report.scopes.push(matrixEntry(result));
+            if (result.ok) {
+                report.working_scopes.push(scope);
+            }
+        }
+
+        // URL tests share the default scope's token, so a failed token request skips them all
+        const { accessToken, result: token } = await this.acquireToken(this.defaultScope);
+        if (accessToken) {
+            for (const url of urls) {
+                const api = await this.callApi(url, registration, accessToken);
+                report.urls.push(matrixEntry({ url, ok: api.ok, api }));
+                if (api.ok) {
+                    report.working_urls.push(url);
+                }
+            }
+        } else {
+            report.url_test_error = { error: 'Could not get token for URL tests', token };
+        }
+
+        report.ok = report.working_scopes.length > 0 || report.working_urls.length > 0;
+        report.recommended = {
+            scope: report.working_scopes.length > 0 ? report.working_scopes[0] : null,
+            url: report.working_urls[0] || null,
+        };
+        return report;
+    }
+}
+
+// Matrix reports leave out the registration (given once at the top) and the vehicle data
+function matrixEntry({ registration, ...result }) {
+    if (!result.api) {
+        return result;
+    }
+    const { data, ...api } = result.api;
+    return { ...result, api };
+}
+
+// --- Build from the validated environment (config.env from lib/config) ---
+// Scope tests call the legacy trade endpoint, or DVSA_API_BASE_URL when it points
+// the legacy-trade adapter elsewhere (e.g. at the mock DVSA server).
+function createDiagnostics(env = process.env) {
+    const legacyTrade = !env.DVSA_API_ADAPTER || env.DVSA_API_ADAPTER.toLowerCase() === 'legacy-trade';
+    return new DvsaDiagnostics({
+        tokenUrl: env.DVSA_TOKEN_URL,
+        clientId: env.DVSA_CLIENT_ID,
+        clientSecret: env.DVSA_CLIENT_SECRET,
+        apiKey: env.DVSA_API_KEY,
+        apiUrl: legacyTrade && env.DVSA_API_BASE_URL ? env.DVSA_API_BASE_URL : LEGACY_TRADE_URL,
+        defaultScope: env.DVSA_SCOPE || DEFAULT_SCOPES[0],
+        timeoutMs: parseInt(env.DVSA_TIMEOUT_MS || '10000', 10),
+    });
+}
+
+module.exports = {
+    DEFAULT_SCOPES,
+    DEFAULT_URLS,
+    EMPTY_SCOPE,
+    DvsaDiagnostics,
+    explainAadError,
+    inspectToken,
+    createDiagnostics,
+    candidateScopes,
+    candidateUrls,
+    parseMatrixOptions,
+    scopeLabel,
+    upstreamCode,
+};
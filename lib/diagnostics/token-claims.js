@@ -0,0 +1,112 @@
+// --- Local inspection of Azure AD access tokens (no signature check) ---
+// Only for diagnostics: the claims are read to explain why DVSA might reject a token,
+// never to make access decisions.
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Returns the JWT payload, or null when the token is opaque or malformed
+function decodeJwt(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// "https://tapi.dvsa.gov.uk/.default" and "https://tapi.dvsa.gov.uk/mot.read" both name the
+// resource "https://tapi.dvsa.gov.uk"; a bare permission such as "mot.read" names none
+function scopeResource(scope) {
+    const match = /^([a-z][a-z0-9+.-]*:\/\/[^/]+)\/[^/]+$/i.exec(scope || '');
+    return match ? match[1] : null;
+}
+
+// Tenant ID from a tenant-specific token URL such as https://login.microsoftonline.com/<tenant>/oauth2/v2.0/token
+function tokenUrlTenant(tokenUrl) {
+    const match = /^https?:\/\/[^/]+\/([^/]+)\/oauth2\//i.exec(tokenUrl || '');
+    return match && GUID_PATTERN.test(match[1]) ? match[1].toLowerCase() : null;
+}
+
+function asList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : String(value).split(' ').filter(Boolean);
+}
+
+function secondsFromEpoch(seconds) {
+    return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// --- Decode `accessToken` and explain anything that would stop DVSA accepting it ---
+// `expected` holds what the token should say: { audience, clientId, tenantId }; missing
+// values are not checked. Returns { claims, issues: [{ code, message }] }.
+function inspectToken(accessToken, expected = {}, now = Date.now()) {
+    const payload = decodeJwt(accessToken);
+    if (!payload) {
+        return {
+            claims: null,
+            issues: [{ code: 'NOT_A_JWT', message: 'The access token is not a JWT, so its claims cannot be checked.' }],
+        };
+    }
+
+    const claims = {
+        aud: payload.aud === undefined ? null : payload.aud,
+        roles: asList(payload.roles),
+        scp: asList(payload.scp),
+        tid: payload.tid || null,
+        appid: payload.appid || payload.azp || null,
+        iss: payload.iss || null,
+        issued_at: secondsFromEpoch(payload.iat),
+        expires_at: secondsFromEpoch(payload.exp),
+    };
+    const issues = [];
+    const audiences = asList(claims.aud);
+
+    if (expected.audience && audiences.length > 0 && !audiences.includes(expected.audience)) {
+        const hint = audiences.some(audience => GUID_PATTERN.test(audience))
+            ? ' An application ID as the audience usually means the scope names the API by its ID instead of its URI.'
+            : '';
+        issues.push({
+            code: 'AUDIENCE_MISMATCH',
+            message: `The token is for "${audiences.join(', ')}" but the MOT API expects "${expected.audience}". Request the scope "${expected.audience}/.default".${hint}`,
+        });
+    }
+    if (claims.roles.length === 0) {
+        issues.push(claims.scp.length > 0 ? {
+            code: 'DELEGATED_TOKEN',
+            message: `The token carries delegated permissions (scp: ${claims.scp.join(' ')}) but no app roles. The client-credentials flow needs application permissions granted with admin consent.`,
+        } : {
+            code: 'NO_APP_ROLES',
+            message: 'The token carries no app roles. DVSA has not yet assigned an application role to this client ID, or admin consent is missing; contact DVSA support.',
+        });
+    }
+    if (expected.clientId && claims.appid && claims.appid !== expected.clientId) {
+        issues.push({
+            code: 'CLIENT_MISMATCH',
+            message: `The token was issued to application "${claims.appid}", not the configured client ID "${expected.clientId}".`,
+        });
+    }
+    if (expected.tenantId && claims.tid && claims.tid.toLowerCase() !== expected.tenantId) {
+        issues.push({
+            code: 'TENANT_MISMATCH',
+            message: `The token comes from tenant "${claims.tid}" but the token URL names tenant "${expected.tenantId}".`,
+        });
+    }
+    if (typeof payload.exp === 'number' && payload.exp * 1000 <= now) {
+        issues.push({ code: 'EXPIRED', message: `The token expired at ${claims.expires_at}. Check the server clock.` });
+    } else if (typeof payload.nbf === 'number' && payload.nbf * 1000 > now) {
+        issues.push({
+            code: 'NOT_YET_VALID',
+            message: `The token is not valid until ${secondsFromEpoch(payload.nbf)}. Check the server clock.`,
+        });
+    }
+
+    return { claims, issues };
+}
+
+module.exports = { decodeJwt, inspectToken, scopeResource, tokenUrlTenant };
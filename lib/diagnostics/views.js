@@ -0,0 +1,374 @@
+const { html, raw } = require('../http');
+const { scopeLabel } = require('./index');
+
+// --- HTML pages for the scope tester (test-scopes.js) ---
+// Everything goes through the escaping html`` template, so registrations, scopes, URLs and
+// whatever DVSA or Azure AD sent back are always shown as text. Results reaching these views
+// have already had secrets redacted by DvsaDiagnostics.
+
+const STYLES = `
+    body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; }
+    h1, h2 { color: #333; }
+    form { margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 5px; }
+    label { display: block; margin: 10px 0 5px; }
+    input, select, textarea { padding: 8px; width: 100%; box-sizing: border-box; }
+    button { margin-top: 15px; padding: 10px; background: #4CAF50; color: white; border: none; cursor: pointer; }
+    .info { background: #e8f4f8; padding: 15px; border-left: 5px solid #2196F3; margin: 20px 0; }
+    .section { margin: 30px 0; }
+    .success { background: #e7f6e7; padding: 15px; border-left: 5px solid #4CAF50; margin: 20px 0; }
+    .warning { background: #fff9e6; padding: 15px; border-left: 5px solid #ff9800; margin: 20px 0; }
+    .error { background: #fde9e8; padding: 15px; border-left: 5px solid #f44336; margin: 20px 0; }
+    .token-info { background: #f0f4f8; padding: 15px; margin: 20px 0; }
+    .details, pre { background: #f5f5f5; padding: 10px; overflow: auto; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { border: 1px solid #ddd; padding: 12px; text-align: left; }
+    th { background-color: #f2f2f2; }
+    tr:nth-child(even) { background-color: #f9f9f9; }
+    .success-row { background-color: #e7f6e7 !important; }
+    .error-row { background-color: #fde9e8 !important; }
+    .back-link { margin-top: 20px; }
+`;
+
+const NO_ACCESS = html`
+    <p>Your OAuth authentication is working correctly, but you don't have permission to access the MOT API.</p>
+    <p>This is likely because your API key needs to be activated by DVSA. Please contact DVSA support.</p>`;
+
+function page(title, body, { backLink = true } = {}) {
+    return html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <style>${raw(STYLES)}</style>
+  </head>
+  <body>
+    <h1>${title}</h1>
+    ${body}
+    ${backLink && html`<div class="back-link"><a href="/">Back to Test Form</a></div>`}
+  </body>
+</html>`.toString();
+}
+
+function json(value) {
+    return html`<pre>${JSON.stringify(value, null, 2)}</pre>`;
+}
+
+// --- The test form ---
+// `credentials` says which settings are configured: { clientId, clientSecret, apiKey, tokenUrl }
+function formPage({ credentials, scopes, urls, defaultScope }) {
+    const configured = value => (value ? '✅ Configured' : '❌ Missing');
+    const scopeOptions = scopes.map(scope => html`
+            <option value="${scope}"${scope === defaultScope && html` selected`}>${scope === '' ? 'Empty scope' : scope}${scope === defaultScope && ' (Default)'}</option>`);
+    const urlOptions = urls.map(url => html`
+            <option value="${url}">${url}</option>`);
+
+    return page('DVSA MOT API Scope Tester', html`
+    <div class="info">
+      <p>This tool tests different OAuth scopes and API endpoints to help diagnose DVSA MOT API access issues.</p>
+      <p>Credentials configured:</p>
+      <ul>
+        <li>Client ID: ${configured(credentials.clientId)}</li>
+        <li>Client Secret: ${configured(credentials.clientSecret)}</li>
+        <li>API Key: ${configured(credentials.apiKey)}</li>
+        <li>Token URL: ${configured(credentials.tokenUrl)}</li>
+      </ul>
+    </div>
+
+    <form action="/test-scope" method="post">
+      <h2>Test OAuth Scope</h2>
+      <label for="registration">UK Registration Number:</label>
+      <input type="text" id="registration" name="registration" placeholder="e.g., FE08BBU" required>
+
+      <label for="scope">OAuth Scope to Test:</label>
+      <select id="scope" name="scope">${scopeOptions}
+      </select>
+
+      <button type="submit">Test Scope</button>
+    </form>
+
+    <form action="/test-url" method="post">
+      <h2>Test API URL</h2>
+      <label for="url_registration">UK Registration Number:</label>
+      <input type="text" id="url_registration" name="registration" placeholder="e.g., FE08BBU" required>
+
+      <label for="apiUrl">API URL to Test:</label>
+      <select id="apiUrl" name="apiUrl">${urlOptions}
+      </select>
+
+      <button type="submit">Test URL</button>
+    </form>
+
+    <form action="/test-all" method="post">
+      <h2>Test All Combinations</h2>
+      <label for="all_registration">UK Registration Number:</label>
+      <input type="text" id="all_registration" name="registration" placeholder="e.g., FE08BBU" required>
+
+      <label for="all_scopes">Scopes to test, one per line (optional, "(empty)" for an empty scope):</label>
+      <textarea id="all_scopes" name="scopes" rows="4" placeholder="${scopes.map(scopeLabel).join('\n')}"></textarea>
+
+      <label for="all_urls">API URLs to test, one per line (optional):</label>
+      <textarea id="all_urls" name="urls" rows="4" placeholder="${urls.join('\n')}"></textarea>
+
+      <button type="submit">Test All Combinations</button>
+    </form>`, { backLink: false });
+}
+
+// --- Building blocks for result pages ---
+
+function claimValue(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter(item => item !== null && item !== undefined).join(', ') || '(none)';
+}
+
+// Token details, the claims decoded from the JWT and anything wrong with them
+function tokenDetails(token) {
+    const { claims, issues = [] } = token;
+    return html`
+      <ul>
+        <li>Type: ${token.type}</li>
+        <li>Expires in: ${token.expires_in} seconds</li>
+        <li>Scope: ${token.scope || '(none returned)'}</li>
+      </ul>
+      ${claims && html`<h4>Decoded claims (signature not verified):</h4>
+      <ul>
+        <li>Audience (aud): ${claimValue(claims.aud)}</li>
+        <li>App roles (roles): ${claimValue(claims.roles)}</li>
+        <li>Delegated permissions (scp): ${claimValue(claims.scp)}</li>
+        <li>Tenant (tid): ${claimValue(claims.tid)}</li>
+        <li>Application (appid): ${claimValue(claims.appid)}</li>
+        <li>Expires at: ${claimValue(claims.expires_at)}</li>
+      </ul>`}
+      ${issues.length > 0 && html`<div class="warning">
+        <h4>⚠️ Problems with this token:</h4>
+        <ul>${issues.map(issue => html`
+          <li>${issue.message}</li>`)}
+        </ul>
+      </div>`}`;
+}
+
+function failureDetails(failure) {
+    return html`
+      <p>Status: ${failure.status || 'Unknown'}</p>
+      <p>Code: ${failure.code}</p>
+      <p>Error: ${failure.error}</p>
+      ${failure.details && html`<div class="details">${json(failure.details)}</div>`}`;
+}
+
+function tokenFailurePage(title, message, token, correlationId) {
+    return page(title, html`
+    <div class="error">
+      <h2>❌ Token Acquisition Failed</h2>
+      <p>${message}</p>
+      ${failureDetails(token)}
+    </div>
+    ${token.aad && html`
+    <div class="warning">
+      <h3>🔧 How to fix ${token.aad.code}</h3>
+      <p>${token.aad.remediation}</p>
+    </div>`}
+
+    <p>Correlation ID: ${correlationId}</p>`);
+}
+
+// --- POST /test-scope ---
+function scopeResultPage(result, correlationId) {
+    const { scope, registration, token, api, api_without_key: apiWithoutKey } = result;
+    const title = 'Scope Test Results';
+
+    if (!token.acquired) {
+        return tokenFailurePage(title, html`Failed to get an OAuth token with scope: <strong>${scopeLabel(scope)}</strong>`, token, correlationId);
+    }
+
+    if (api.ok) {
+        return page(title, html`
+    <div class="success">
+      <h2>✅ SUCCESS!</h2>
+      <p>The scope <strong>${scopeLabel(scope)}</strong> worked perfectly with registration: ${registration}</p>
+    </div>
+
+    <div class="token-info">
+      <h3>Token Details:</h3>
+      ${tokenDetails(token)}
+    </div>
+
+    <h3>API Response:</h3>
+    ${json(api.data)}`);
+    }
+
+    if (apiWithoutKey && apiWithoutKey.ok) {
+        return page(title, html`
+    <div class="success">
+      <h2>✅ PARTIAL SUCCESS!</h2>
+      <p>The scope <strong>${scopeLabel(scope)}</strong> worked without the API key for registration: ${registration}</p>
+    </div>
+
+    <div class="warning">
+      <h3>⚠️ Note:</h3>
+      <p>API call with API key failed, but succeeded without the API key.</p>
+      <p>API key error: ${api.error} (${api.code})</p>
+      <p>Status code with API key: ${api.status}</p>
+    </div>
+
+    <div class="token-info">
+      <h3>Token Details:</h3>
+      ${tokenDetails(token)}
+    </div>
+
+    <h3>API Response:</h3>
+    ${json(apiWithoutKey.data)}`);
+    }
+
+    return page(title, html`
+    <div class="token-info">
+      <h3>✅ Token acquisition successful:</h3>
+      ${tokenDetails(token)}
+    </div>
+
+    <div class="error">
+      <h2>❌ API Access Failed</h2>
+      <p>The scope <strong>${scopeLabel(scope)}</strong> successfully obtained a token, but API access was denied.</p>
+
+      <h3>With API Key:</h3>
+      ${failureDetails(api)}
+      ${apiWithoutKey && html`
+      <h3>Without API Key:</h3>
+      ${failureDetails(apiWithoutKey)}`}
+    </div>
+
+    <div class="error">
+      <h3>🔑 Conclusion:</h3>
+      ${token.issues && token.issues.length > 0
+        ? html`<p>A token was issued, but it has the problems listed under Token Details. Fix those first.</p>`
+        : NO_ACCESS}
+    </div>`);
+}
+
+// --- POST /test-url ---
+function urlResultPage(result, correlationId) {
+    const { url, registration, token, api } = result;
+    const title = 'API URL Test Results';
+
+    if (!token.acquired) {
+        return tokenFailurePage(title, 'Could not test API URL because token acquisition failed.', token, correlationId);
+    }
+
+    if (api.ok) {
+        return page(title, html`
+    <div class="success">
+      <h2>✅ SUCCESS!</h2>
+      <p>The API URL <strong>${url}</strong> worked correctly with registration: ${registration}</p>
+    </div>
+
+    <h3>API Response:</h3>
+    ${json(api.data)}`);
+    }
+
+    return page(title, html`
+    <div class="error">
+      <h2>❌ API Call Failed</h2>
+      <p>Failed to call API URL: <strong>${url}</strong></p>
+      ${failureDetails(api)}
+    </div>`);
+}
+
+// --- POST /test-all ---
+
+// The step that failed for a matrix row: the token request, the API call, or nothing
+function rowFailure(entry) {
+    if (entry.token && !entry.token.acquired) {
+        return entry.token;
+    }
+    return entry.api && !entry.api.ok ? entry.api : null;
+}
+
+// What to do about a failed matrix row: the Azure AD fix, or the first problem with the token
+function rowHint(entry) {
+    if (entry.ok || !entry.token) {
+        return null;
+    }
+    const hint = entry.token.acquired ? entry.token.issues?.[0]?.message : entry.token.aad?.remediation;
+    return hint && html`<br><em>${hint}</em>`;
+}
+
+function failureCell(entry) {
+    const failure = rowFailure(entry);
+    return html`<td>${failure?.status || '-'} ${failure?.code || ''}<br>
+            ${failure?.error || '-'}${rowHint(entry)}</td>`;
+}
+
+function matrixPage(report) {
+    const scopeRows = report.scopes.map(entry => html`
+        <tr class="${entry.ok ? 'success-row' : (entry.token.acquired ? '' : 'error-row')}">
+          <td>${scopeLabel(entry.scope)}</td>
+          <td>${entry.token.acquired ? '✅' : '❌'}</td>
+          <td>${entry.ok ? '✅' : '❌'}</td>
+          ${failureCell(entry)}
+        </tr>`);
+    const urlRows = report.urls.map(entry => html`
+        <tr class="${entry.ok ? 'success-row' : 'error-row'}">
+          <td>${entry.url}</td>
+          <td>${entry.ok ? '✅' : '❌'}</td>
+          ${failureCell(entry)}
+        </tr>`);
+
+    return page('All Tests Results', html`
+    <div class="section">
+      <h2>Summary</h2>
+      <p>Registration tested: <strong>${report.registration}</strong></p>
+      <p>Scopes tested: ${report.scopes.length}</p>
+      <p>URLs tested: ${report.urls.length}</p>
+      ${report.working_scopes.length > 0
+        ? html`<div class="success"><p>✅ Working scope(s) found: <strong>${report.working_scopes.map(scopeLabel).join(', ')}</strong></p></div>`
+        : html`<div class="error"><p>❌ No working scopes found.</p></div>`}
+      ${report.working_urls.length > 0
+        ? html`<div class="success"><p>✅ Working URL(s) found: <strong>${report.working_urls.join(', ')}</strong></p></div>`
+        : html`<div class="error"><p>❌ No working URLs found.</p></div>`}
+    </div>
+
+    <div class="section">
+      <h2>OAuth Scope Tests</h2>
+      <table>
+        <tr>
+          <th>Scope</th>
+          <th>Token Acquired</th>
+          <th>API Access</th>
+          <th>Status/Error</th>
+        </tr>${scopeRows}
+      </table>
+    </div>
+
+    <div class="section">
+      <h2>API URL Tests</h2>
+      ${report.url_test_error
+        ? html`<div class="error"><p>Could not test URLs: ${report.url_test_error.error}${rowHint(report.url_test_error)}</p></div>`
+        : html`<table>
+        <tr>
+          <th>URL</th>
+          <th>Success</th>
+          <th>Status/Error</th>
+        </tr>${urlRows}
+      </table>`}
+    </div>
+
+    <div class="section">
+      <h2>Conclusion</h2>
+      ${report.ok
+        ? html`<div class="success">
+        <h3>✅ Success!</h3>
+        <p>At least one working configuration was found.</p>
+        ${report.recommended.scope !== null && html`<p>Recommended scope: <strong>${scopeLabel(report.recommended.scope)}</strong></p>`}
+        ${report.recommended.url !== null && html`<p>Recommended URL: <strong>${report.recommended.url}</strong></p>`}
+      </div>`
+        : html`<div class="error">
+        <h3>❌ Authorization Required</h3>
+        ${NO_ACCESS}
+      </div>`}
+    </div>`);
+}
+
+module.exports = {
+    formPage,
+    scopeResultPage,
+    urlResultPage,
+    matrixPage,
+};
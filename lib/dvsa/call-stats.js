@@ -0,0 +1,65 @@
+// --- Recent DVSA call outcomes, for GET /status ---
+// Counts are kept in one-second buckets over a sliding window, so memory stays
+// bounded however busy the server is. A 404 counts as a success: DVSA answered,
+// it just has no record for that vehicle.
+
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+
+class CallStats {
+    constructor({ windowMs = DEFAULT_WINDOW_MS, now = Date.now } = {}) {
+        this.windowMs = windowMs;
+        this.now = now;
+        this.buckets = []; // { second, calls, errors }, oldest first
+        this.lastSuccessAt = null;
+        this.lastFailure = null; // { at, code, upstreamStatus }
+    }
+
+    recordSuccess() {
+        this.lastSuccessAt = this.now();
+        this.bucket().calls += 1;
+    }
+
+    recordFailure(error) {
+        if (error.upstreamStatus === 404) {
+            this.recordSuccess();
+            return;
+        }
+        this.lastFailure = { at: this.now(), code: error.code, upstreamStatus: error.upstreamStatus };
+        const bucket = this.bucket();
+        bucket.calls += 1;
+        bucket.errors += 1;
+    }
+
+    bucket() {
+        const second = Math.floor(this.now() / 1000);
+        this.prune();
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.second !== second) {
+            bucket = { second, calls: 0, errors: 0 };
+            this.buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    prune() {
+        const oldest = Math.floor((this.now() - this.windowMs) / 1000);
+        while (this.buckets.length > 0 && this.buckets[0].second <= oldest) {
+            this.buckets.shift();
+        }
+    }
+
+    // Calls, errors and the error rate over the window; error_rate is null with no calls
+    recent() {
+        this.prune();
+        const calls = this.buckets.reduce((sum, bucket) => sum + bucket.calls, 0);
+        const errors = this.buckets.reduce((sum, bucket) => sum + bucket.errors, 0);
+        return {
+            window_seconds: Math.round(this.windowMs / 1000),
+            calls,
+            errors,
+            error_rate: calls === 0 ? null : Math.round((errors / calls) * 1000) / 1000,
+        };
+    }
+}
+
+module.exports = { CallStats };
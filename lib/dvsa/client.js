@@ -0,0 +1,135 @@
+const fetch = require('node-fetch');
+const { UpstreamError, UPSTREAM_ERROR_CODES, codeForStatus } = require('./errors');
+const { parseRetryAfter, withRetry, CircuitBreaker, TokenBucket } = require('./resilience');
+const { CallStats } = require('./call-stats');
+const { metrics, withSpan } = require('../observability');
+
+// --- DVSA client: sends adapter-built requests and returns internal-model records ---
+// Every request goes through the circuit breaker, then the retry policy, and
+// each attempt waits for the rate limiter and is bounded by `timeoutMs`.
+// Failed requests throw an UpstreamError with `code` and `upstreamStatus` set.
+// Each attempt is timed into dvsa_request_duration_seconds and, with tracing on,
+// gets a "dvsa.request" span. Neither records the query string (it holds the registration).
+// `stats` keeps the outcome of each request (after retries) for GET /status.
+class DvsaClient {
+    constructor({
+        adapter,
+        apiKey,
+        timeoutMs = 10000,
+        retry = {},
+        circuitBreaker = new CircuitBreaker(),
+        rateLimiter = new TokenBucket(),
+        stats = new CallStats(),
+        fetchImpl = fetch,
+    }) {
+        this.adapter = adapter;
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.retry = retry;
+        this.circuitBreaker = circuitBreaker;
+        this.rateLimiter = rateLimiter;
+        this.stats = stats;
+        this.fetch = fetchImpl;
+    }
+
+    get supportsFeed() {
+        return this.adapter.supportsFeed;
+    }
+
+    // Calls rejected by an open circuit never reach DVSA, so they are not counted in `stats`
+    request(request, accessToken, operation = 'vehicle') {
+        return this.circuitBreaker.execute(async () => {
+            try {
+                const body = await withRetry(() => this.send(request, accessToken, operation), this.retry);
+                this.stats.recordSuccess();
+                return body;
+            } catch (error) {
+                this.stats.recordFailure(error);
+                throw error;
+            }
+        });
+    }
+
+    async send(request, accessToken, operation = 'vehicle') {
+        await this.rateLimiter.acquire();
+
+        const { host, pathname } = new URL(request.url);
+        const attributes = { 'dvsa.operation': operation, 'dvsa.adapter': this.adapter.name, 'server.address': host, 'url.path': pathname };
+        return withSpan('dvsa.request', attributes, async span => {
+            const stopTimer = metrics.dvsaDuration.startTimer({ operation });
+            try {
+                const body = await this.attempt(request, accessToken);
+                stopTimer({ outcome: 200 });
+                return body;
+            } catch (error) {
+                stopTimer({ outcome: attemptOutcome(error) });
+                if (span && error.upstreamStatus) {
+                    span.setAttribute('http.response.status_code', error.upstreamStatus);
+                }
+                throw error;
+            }
+        });
+    }
+
+    async attempt({ url, headers }, accessToken) {
+        let apiResponse;
+        try {
+            apiResponse = await this.fetch(url, {
+                headers: {
+                    ...headers,
+                    'x-api-key': this.apiKey,
+                    'Authorization': `Bearer ${accessToken}`,
+                },
+                timeout: this.timeoutMs,
+            });
+        } catch (error) {
+            if (error.type === 'request-timeout') {
+                throw new UpstreamError(`DVSA API request timed out after ${this.timeoutMs}ms`, { code: UPSTREAM_ERROR_CODES.TIMEOUT });
+            }
+            throw new UpstreamError(`DVSA API request failed: ${error.message}`, { code: UPSTREAM_ERROR_CODES.ERROR });
+        }
+
+        if (!apiResponse.ok) {
+            const errorBody = await apiResponse.text();
+            throw new UpstreamError(`DVSA API request failed with status ${apiResponse.status}: ${errorBody}`, {
+                code: codeForStatus(apiResponse.status),
+                upstreamStatus: apiResponse.status,
+                retryAfterMs: parseRetryAfter(apiResponse.headers.get('retry-after')),
+            });
+        }
+
+        return apiResponse.json();
+    }
+
+    // Resolves to a single vehicle record, or throws with upstreamStatus 404 when there is none
+    async getVehicle(query, accessToken) {
+        const body = await this.request(this.adapter.vehicleRequest(query), accessToken);
+        const record = this.adapter.parseVehicle(body);
+        if (!record) {
+            throw new UpstreamError('DVSA returned no vehicle record', {
+                code: UPSTREAM_ERROR_CODES.NOT_FOUND,
+                upstreamStatus: 404,
+            });
+        }
+        return record;
+    }
+
+    // Resolves to an array of vehicle records for one page of the bulk feed
+    async getFeedPage(query, accessToken) {
+        if (!this.adapter.supportsFeed) {
+            throw new Error(`The ${this.adapter.name} adapter does not support the bulk feed`);
+        }
+        const body = await this.request(this.adapter.feedRequest(query), accessToken, 'feed');
+        return this.adapter.parseFeed(body);
+    }
+}
+
+// Outcome label for a failed attempt: the HTTP status, or what went wrong before there was one
+function attemptOutcome(error) {
+    if (error.upstreamStatus) {
+        return error.upstreamStatus;
+    }
+    return error.code === UPSTREAM_ERROR_CODES.TIMEOUT ? 'timeout' : 'network_error';
+}
+
+module.exports = { DvsaClient };
@@ -0,0 +1,69 @@
+// --- Upstream (DVSA) failures and how they map onto our HTTP responses ---
+
+const UPSTREAM_ERROR_CODES = {
+    AUTH_FAILED: 'UPSTREAM_AUTH_FAILED',
+    RATE_LIMITED: 'UPSTREAM_RATE_LIMITED',
+    UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    TIMEOUT: 'UPSTREAM_TIMEOUT',
+    ERROR: 'UPSTREAM_ERROR',
+    NOT_FOUND: 'UPSTREAM_NOT_FOUND',
+};
+
+// HTTP status and client-facing message for each code
+const RESPONSES = {
+    UPSTREAM_AUTH_FAILED: [502, 'Could not authenticate with DVSA.'],
+    UPSTREAM_RATE_LIMITED: [429, 'DVSA rate limit reached. Please retry later.'],
+    UPSTREAM_UNAVAILABLE: [503, 'DVSA is currently unavailable. Please retry later.'],
+    UPSTREAM_TIMEOUT: [504, 'DVSA did not respond in time.'],
+    UPSTREAM_ERROR: [502, 'DVSA returned an error.'],
+};
+
+// Map a DVSA status code onto one of our upstream error codes
+function codeForStatus(status) {
+    if (status === 404) {
+        return UPSTREAM_ERROR_CODES.NOT_FOUND;
+    }
+    if (status === 401 || status === 403) {
+        return UPSTREAM_ERROR_CODES.AUTH_FAILED;
+    }
+    if (status === 429) {
+        return UPSTREAM_ERROR_CODES.RATE_LIMITED;
+    }
+    if (status === 503) {
+        return UPSTREAM_ERROR_CODES.UNAVAILABLE;
+    }
+    return UPSTREAM_ERROR_CODES.ERROR;
+}
+
+class UpstreamError extends Error {
+    constructor(message, { code = UPSTREAM_ERROR_CODES.ERROR, upstreamStatus, retryAfterMs } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.code = code;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// --- Describe any lookup failure as { status, code, message, retryAfterSeconds } ---
+// Errors without a known upstream code become a generic 500.
+function describeUpstreamError(error) {
+    const response = RESPONSES[error && error.code];
+    if (!response) {
+        return { status: 500, code: 'INTERNAL_ERROR', message: 'Failed to retrieve vehicle data from DVSA.', retryAfterSeconds: null };
+    }
+    const [status, message] = response;
+    return {
+        status,
+        code: error.code,
+        message,
+        retryAfterSeconds: error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null,
+    };
+}
+
+module.exports = {
+    UPSTREAM_ERROR_CODES,
+    UpstreamError,
+    codeForStatus,
+    describeUpstreamError,
+};
@@ -0,0 +1,60 @@
+const { DvsaClient } = require('./client');
+const { createLegacyTradeAdapter } = require('./legacy-trade-adapter');
+const { createMotHistoryAdapter } = require('./mot-history-adapter');
+const { TokenManager } = require('./token-manager');
+const { CircuitBreaker, TokenBucket } = require('./resilience');
+const { CallStats } = require('./call-stats');
+const { UpstreamError, UPSTREAM_ERROR_CODES, codeForStatus, describeUpstreamError } = require('./errors');
+const { intFromEnv } = require('../util');
+
+const ADAPTERS = {
+    'legacy-trade': createLegacyTradeAdapter,
+    'mot-history': createMotHistoryAdapter,
+};
+
+// --- Build the DVSA client selected by DVSA_API_ADAPTER ---
+// DVSA_API_BASE_URL overrides the adapter's default endpoint. Timeouts, retries,
+// the circuit breaker and the client-side rate limit are tuned with DVSA_* variables.
+function createDvsaClient(env = process.env) {
+    const adapterName = env.DVSA_API_ADAPTER || 'legacy-trade';
+    const createAdapter = ADAPTERS[adapterName];
+    if (!createAdapter) {
+        throw new Error(`Unknown DVSA_API_ADAPTER "${adapterName}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    const adapter = createAdapter(env.DVSA_API_BASE_URL ? { baseUrl: env.DVSA_API_BASE_URL } : {});
+    return new DvsaClient({
+        adapter,
+        apiKey: env.DVSA_API_KEY,
+        timeoutMs: intFromEnv(env, 'DVSA_TIMEOUT_MS', 10000),
+        retry: {
+            maxRetries: intFromEnv(env, 'DVSA_MAX_RETRIES', 2),
+            baseDelayMs: intFromEnv(env, 'DVSA_RETRY_BASE_DELAY_MS', 250),
+            maxDelayMs: intFromEnv(env, 'DVSA_RETRY_MAX_DELAY_MS', 10000),
+        },
+        circuitBreaker: new CircuitBreaker({
+            failureThreshold: intFromEnv(env, 'DVSA_CIRCUIT_FAILURE_THRESHOLD', 5),
+            resetTimeoutMs: intFromEnv(env, 'DVSA_CIRCUIT_RESET_MS', 30000),
+        }),
+        rateLimiter: new TokenBucket({
+            ratePerSecond: intFromEnv(env, 'DVSA_RATE_LIMIT_PER_SECOND', 10),
+            burst: intFromEnv(env, 'DVSA_RATE_LIMIT_BURST', 10),
+            maxWaitMs: intFromEnv(env, 'DVSA_RATE_LIMIT_MAX_WAIT_MS', 5000),
+        }),
+    });
+}
+
+module.exports = {
+    DvsaClient,
+    TokenManager,
+    CircuitBreaker,
+    TokenBucket,
+    CallStats,
+    UpstreamError,
+    UPSTREAM_ERROR_CODES,
+    codeForStatus,
+    describeUpstreamError,
+    createDvsaClient,
+    createLegacyTradeAdapter,
+    createMotHistoryAdapter,
+};
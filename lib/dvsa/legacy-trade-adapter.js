@@ -0,0 +1,35 @@
+// --- Adapter for the legacy DVSA trade API (beta.check-mot.service.gov.uk/trade) ---
+// Its vehicle records are the internal model the rest of the app works with, so
+// responses pass through unchanged.
+
+const DEFAULT_BASE_URL = 'https://beta.check-mot.service.gov.uk/trade/vehicles/mot-tests';
+
+function createLegacyTradeAdapter({ baseUrl = DEFAULT_BASE_URL } = {}) {
+    const request = query => ({
+        url: `${baseUrl}?${new URLSearchParams(query)}`,
+        headers: { 'Accept': 'application/json+v6' },
+    });
+
+    return {
+        name: 'legacy-trade',
+        baseUrl,
+        supportsFeed: true,
+
+        // `query` is { registration }, { vin } or { vehicleId }
+        vehicleRequest: request,
+
+        // The API returns an array, we take the first element
+        parseVehicle(body) {
+            return Array.isArray(body) && body.length > 0 ? body[0] : null;
+        },
+
+        // `query` is { page } or { date, page }
+        feedRequest: request,
+
+        parseFeed(body) {
+            return Array.isArray(body) ? body : [];
+        },
+    };
+}
+
+module.exports = { createLegacyTradeAdapter, DEFAULT_BASE_URL };
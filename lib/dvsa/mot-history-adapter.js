@@ -0,0 +1,78 @@
+// --- Adapter for the DVSA MOT History API (history.mot.api.gov.uk) ---
+// Responses are mapped onto the legacy trade record shape (field names and
+// "YYYY.MM.DD" dates), which is the internal model the transforms expect.
+
+const DEFAULT_BASE_URL = 'https://history.mot.api.gov.uk';
+
+// "2023-11-13T09:14:07.000Z" -> "2023.11.13 09:14:07", "2024-11-12" -> "2024.11.12"
+function toTradeDate(value, { withTime = false } = {}) {
+    if (!value) {
+        return value;
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(value);
+    if (!match) {
+        return value;
+    }
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+    const date = `${year}.${month}.${day}`;
+    return withTime ? `${date} ${hours}:${minutes}:${seconds}` : date;
+}
+
+function toTradeTest(test) {
+    return {
+        completedDate: toTradeDate(test.completedDate, { withTime: true }),
+        testResult: test.testResult,
+        expiryDate: toTradeDate(test.expiryDate),
+        odometerValue: test.odometerValue,
+        odometerUnit: test.odometerUnit ? test.odometerUnit.toLowerCase() : test.odometerUnit,
+        odometerResultType: test.odometerResultType,
+        motTestNumber: test.motTestNumber,
+        dataSource: test.dataSource,
+        rfrAndComments: (test.defects || []).map(defect => ({
+            type: defect.type,
+            text: defect.text,
+            dangerous: defect.dangerous,
+        })),
+    };
+}
+
+function toTradeVehicle(vehicle) {
+    return {
+        registration: vehicle.registration,
+        make: vehicle.make,
+        model: vehicle.model,
+        firstUsedDate: toTradeDate(vehicle.firstUsedDate),
+        registrationDate: toTradeDate(vehicle.registrationDate),
+        manufactureDate: toTradeDate(vehicle.manufactureDate),
+        fuelType: vehicle.fuelType,
+        primaryColour: vehicle.primaryColour,
+        engineCapacity: vehicle.engineSize,
+        dataSource: vehicle.dataSource,
+        // Only sent for vehicles that have not had their first MOT yet
+        motTestDueDate: toTradeDate(vehicle.motTestDueDate),
+        motTests: (vehicle.motTests || []).map(toTradeTest),
+    };
+}
+
+function createMotHistoryAdapter({ baseUrl = DEFAULT_BASE_URL } = {}) {
+    return {
+        name: 'mot-history',
+        baseUrl,
+        // Bulk data is published as downloadable files rather than paged queries
+        supportsFeed: false,
+
+        vehicleRequest(query) {
+            const [kind, value] = query.vin ? ['vin', query.vin] : ['registration', query.registration];
+            return {
+                url: `${baseUrl}/v1/trade/vehicles/${kind}/${encodeURIComponent(value)}`,
+                headers: { 'Accept': 'application/json' },
+            };
+        },
+
+        parseVehicle(body) {
+            return body ? toTradeVehicle(body) : null;
+        },
+    };
+}
+
+module.exports = { createMotHistoryAdapter, toTradeVehicle, DEFAULT_BASE_URL };
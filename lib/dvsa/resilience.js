@@ -0,0 +1,186 @@
+const { UpstreamError, UPSTREAM_ERROR_CODES } = require('./errors');
+const { logger } = require('../observability');
+const { sleep } = require('../util');
+
+// --- Resilience helpers for DVSA calls: retry policy, circuit breaker and token bucket ---
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return undefined;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// The token bucket turned the call away before it reached DVSA, so it says nothing
+// about DVSA's health (a 429 from DVSA itself carries upstreamStatus)
+function isLocalRejection(error) {
+    return error.code === UPSTREAM_ERROR_CODES.RATE_LIMITED && error.upstreamStatus === undefined;
+}
+
+// Timeouts, network errors, 5xx (including 503) and 429 are worth retrying; other 4xx are not.
+// Local rejections are not: waiting them out would overrun the token bucket's maxWaitMs.
+function isRetryable(error) {
+    if (isLocalRejection(error)) {
+        return false;
+    }
+    if ([UPSTREAM_ERROR_CODES.TIMEOUT, UPSTREAM_ERROR_CODES.RATE_LIMITED, UPSTREAM_ERROR_CODES.UNAVAILABLE].includes(error.code)) {
+        return true;
+    }
+    return error.code === UPSTREAM_ERROR_CODES.ERROR && (error.upstreamStatus === undefined || error.upstreamStatus >= 500);
+}
+
+// Only failures that suggest DVSA itself is unhealthy count towards opening the circuit
+function isOutage(error) {
+    return error.code === UPSTREAM_ERROR_CODES.TIMEOUT
+        || error.code === UPSTREAM_ERROR_CODES.UNAVAILABLE
+        || (error.code === UPSTREAM_ERROR_CODES.ERROR && (error.upstreamStatus === undefined || error.upstreamStatus >= 500));
+}
+
+// --- Retry `fn` with exponential backoff and full jitter, honouring Retry-After ---
+// A Retry-After longer than `maxDelayMs` is not waited out; the error is passed
+// on so the caller can tell its own client when to come back.
+async function withRetry(fn, { maxRetries = 2, baseDelayMs = 250, maxDelayMs = 10000 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = error.retryAfterMs !== undefined
+                ? error.retryAfterMs
+                : Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            if (delay > maxDelayMs) {
+                throw error;
+            }
+            logger.warn('DVSA request failed, retrying', { retry_in_ms: Math.round(delay), error });
+            await sleep(delay);
+        }
+    }
+}
+
+// --- Circuit breaker: fail fast after repeated outages, then probe with a single trial call ---
+// Only the trial call itself releases the half-open slot, so calls that were already in
+// flight when the circuit opened cannot let a second trial through.
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    rejectOpen() {
+        const retryAfterMs = Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+        throw new UpstreamError('Circuit breaker is open: DVSA has been failing', {
+            code: UPSTREAM_ERROR_CODES.UNAVAILABLE,
+            retryAfterMs: retryAfterMs || this.resetTimeoutMs,
+        });
+    }
+
+    async execute(fn) {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                this.rejectOpen();
+            }
+            this.state = 'half_open';
+        }
+        const trial = this.state === 'half_open';
+        if (trial) {
+            if (this.trialInFlight) {
+                this.rejectOpen();
+            }
+            this.trialInFlight = true;
+        }
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (isOutage(error)) {
+                this.recordFailure();
+            } else if (!isLocalRejection(error)) {
+                // DVSA answered (e.g. 404), so it is up
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.failures += 1;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                logger.warn('DVSA circuit breaker opened', { consecutive_failures: this.failures });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+// --- Token bucket: keeps our request rate under the DVSA quota ---
+// Callers queue by reserving a token (the balance may go negative) and waiting
+// for it to refill. If the wait would exceed `maxWaitMs` the call is rejected.
+class TokenBucket {
+    constructor({ ratePerSecond = 10, burst = 10, maxWaitMs = 5000 } = {}) {
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst;
+        this.maxWaitMs = maxWaitMs;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    async acquire() {
+        this.refill();
+        this.tokens -= 1;
+        if (this.tokens >= 0) {
+            return;
+        }
+
+        const waitMs = (-this.tokens / this.ratePerSecond) * 1000;
+        if (waitMs > this.maxWaitMs) {
+            this.tokens += 1; // Give the reservation back
+            throw new UpstreamError('Local DVSA rate limit reached', {
+                code: UPSTREAM_ERROR_CODES.RATE_LIMITED,
+                retryAfterMs: waitMs,
+            });
+        }
+        await sleep(waitMs);
+    }
+}
+
+module.exports = {
+    parseRetryAfter,
+    withRetry,
+    CircuitBreaker,
+    TokenBucket,
+};
@@ -0,0 +1,211 @@
+const fetch = require('node-fetch');
+const { UPSTREAM_ERROR_CODES } = require('./errors');
+const { logger, metrics, withSpan } = require('../observability');
+const { sleep } = require('../util');
+
+// --- OAuth2 client-credentials token manager ---
+// - Concurrent callers share one in-flight token request (single-flight).
+// - Tokens are renewed in the background shortly before they expire.
+// - Token endpoint failures are retried with exponential backoff; 4xx responses
+//   (bad credentials or scope) are not, since retrying cannot fix them.
+// - withToken() drops a token that DVSA rejects with 401 and retries once.
+
+const DEFAULT_EXPIRY_BUFFER_MS = 5 * 60 * 1000; // Treat tokens as expired 5 minutes early
+const DEFAULT_RENEW_AHEAD_MS = 60 * 1000; // Background renewal starts a minute before that
+
+function isRetryable(error) {
+    // No status means the request never got a response (network error, DNS, reset)
+    return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+// The OAuth `error` field (e.g. "invalid_client"), which is safe to show without the description
+function oauthErrorCode(error) {
+    const body = error.responseBody;
+    return body && typeof body === 'object' && typeof body.error === 'string' ? body.error : undefined;
+}
+
+class TokenManager {
+    constructor({
+        tokenUrl,
+        clientId,
+        clientSecret,
+        scope,
+        expiryBufferMs = DEFAULT_EXPIRY_BUFFER_MS,
+        renewAheadMs = DEFAULT_RENEW_AHEAD_MS,
+        backgroundRefresh = true,
+        maxRetries = 3,
+        retryBaseDelayMs = 500,
+        timeoutMs = 10000,
+        fetchImpl = fetch,
+    }) {
+        this.tokenUrl = tokenUrl;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.scope = scope;
+        this.expiryBufferMs = expiryBufferMs;
+        this.renewAheadMs = renewAheadMs;
+        this.backgroundRefresh = backgroundRefresh;
+        this.maxRetries = maxRetries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetchImpl;
+
+        this.token = null; // { accessToken, tokenType, scope, fetchedAt, expiresAt, usableUntil }
+        this.lastFailure = null; // { at, status, error }: the last token request that failed for good
+        this.pending = null;
+        this.renewTimer = null;
+    }
+
+    hasValidToken() {
+        return Boolean(this.token && this.token.usableUntil > Date.now());
+    }
+
+    async getToken() {
+        const token = await this.getTokenInfo();
+        return token.accessToken;
+    }
+
+    // Like getToken(), but resolves to the full token details
+    async getTokenInfo() {
+        if (this.hasValidToken()) {
+            logger.debug('Using cached DVSA token');
+            return this.token;
+        }
+        return this.refresh();
+    }
+
+    // Single-flight: every caller during a refresh waits on the same request
+    refresh() {
+        if (!this.pending) {
+            this.pending = this.fetchWithRetry().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async fetchWithRetry() {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchToken();
+            } catch (error) {
+                if (attempt >= this.maxRetries || !isRetryable(error)) {
+                    logger.error('DVSA token request failed', { status: error.status, error });
+                    this.lastFailure = { at: Date.now(), status: error.status, error: oauthErrorCode(error) };
+                    error.code = UPSTREAM_ERROR_CODES.AUTH_FAILED;
+                    throw error;
+                }
+                // Exponential backoff with full jitter
+                const delay = Math.random() * this.retryBaseDelayMs * 2 ** attempt;
+                logger.warn('DVSA token request failed, retrying', { status: error.status, retry_in_ms: Math.round(delay), error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // One token request, in a "dvsa.token" span when tracing is on
+    fetchToken() {
+        return withSpan('dvsa.token', { 'dvsa.token_url': this.tokenUrl, 'dvsa.scope': this.scope }, async span => {
+            try {
+                const token = await this.requestToken(span);
+                metrics.tokenRequests.inc({ result: 'success' });
+                return token;
+            } catch (error) {
+                metrics.tokenRequests.inc({ result: 'failure' });
+                throw error;
+            }
+        });
+    }
+
+    async requestToken(span) {
+        logger.info('Fetching new DVSA token');
+        const params = new URLSearchParams();
+        params.append('grant_type', 'client_credentials');
+        params.append('client_id', this.clientId);
+        params.append('client_secret', this.clientSecret);
+        params.append('scope', this.scope);
+
+        const response = await this.fetch(this.tokenUrl, {
+            method: 'POST',
+            body: params,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+            timeout: this.timeoutMs,
+        });
+
+        if (span) {
+            span.setAttribute('http.response.status_code', response.status);
+        }
+        if (!response.ok) {
+            const errorBody = await response.text();
+            const error = new Error(`Token request failed with status ${response.status}: ${errorBody}`);
+            error.status = response.status;
+            try {
+                error.responseBody = JSON.parse(errorBody);
+            } catch (parseError) {
+                error.responseBody = errorBody;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        const now = Date.now();
+        const lifetimeMs = data.expires_in * 1000; // expires_in is in seconds
+        // Never let the buffer swallow more than half of a short-lived token
+        const bufferMs = Math.min(this.expiryBufferMs, lifetimeMs / 2);
+
+        this.token = {
+            accessToken: data.access_token,
+            tokenType: data.token_type,
+            scope: data.scope,
+            fetchedAt: now,
+            expiresAt: now + lifetimeMs,
+            usableUntil: now + lifetimeMs - bufferMs,
+        };
+        logger.info('Fetched new DVSA token', { expires_in: data.expires_in });
+        this.scheduleRenewal();
+        return this.token;
+    }
+
+    scheduleRenewal() {
+        clearTimeout(this.renewTimer);
+        if (!this.backgroundRefresh) {
+            return;
+        }
+        const delay = Math.max(0, this.token.usableUntil - this.renewAheadMs - Date.now());
+        this.renewTimer = setTimeout(() => {
+            // A failed renewal leaves the current token in place; the next getToken() will try again
+            this.refresh().catch(() => {});
+        }, delay);
+        // Don't keep the process alive just to renew a token
+        this.renewTimer.unref();
+    }
+
+    // Forget a token DVSA has rejected. Ignored if it has already been replaced.
+    invalidate(accessToken) {
+        if (this.token && (accessToken === undefined || this.token.accessToken === accessToken)) {
+            this.token = null;
+            clearTimeout(this.renewTimer);
+        }
+    }
+
+    // Run `fn(accessToken)`; if it fails with a 401 from DVSA, re-authenticate and retry once
+    async withToken(fn) {
+        const accessToken = await this.getToken();
+        try {
+            return await fn(accessToken);
+        } catch (error) {
+            if (error.upstreamStatus !== 401) {
+                throw error;
+            }
+            logger.warn('DVSA rejected the access token (401), re-authenticating');
+            this.invalidate(accessToken);
+            return fn(await this.getToken());
+        }
+    }
+
+    stop() {
+        clearTimeout(this.renewTimer);
+    }
+}
+
+module.exports = { TokenManager };
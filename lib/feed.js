@@ -0,0 +1,108 @@
+const { DAY_MS } = require('./dates');
+
+// --- Bulk MOT test feed: request parsing and page iteration ---
+
+// DVSA splits each day's tests across up to 1440 pages (one per minute)
+const MAX_PAGES_PER_DATE = 1440;
+const MAX_DATE_RANGE_DAYS = 31;
+
+// Accepts YYYY-MM-DD or YYYYMMDD and returns a UTC Date, or null
+function parseFeedDate(input) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(input));
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // Reject dates like 2024-02-31 that Date.UTC silently rolls over
+    if (date.getUTCMonth() !== Number(match[2]) - 1) {
+        return null;
+    }
+    return date;
+}
+
+// DVSA expects dates as YYYYMMDD
+function toDvsaDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function parsePage(input, name) {
+    if (input === undefined) {
+        return { value: undefined };
+    }
+    if (!/^\d+$/.test(String(input))) {
+        return { error: `"${name}" must be a non-negative integer` };
+    }
+    return { value: parseInt(input, 10) };
+}
+
+// --- Turn the feed query string into a plan of DVSA requests ---
+// Supported forms:
+//   ?date=2024-01-15              every page for one day
+//   ?from=2024-01-01&to=2024-01-07 every page for each day in the range
+//   ?page=3[&endPage=10]          one page, or a range of pages, of the undated feed
+// `page` and `endPage` may also narrow the pages fetched for each date.
+// Returns { plan } or { error }.
+function parseFeedRequest(query) {
+    const page = parsePage(query.page, 'page');
+    const endPage = parsePage(query.endPage, 'endPage');
+    if (page.error || endPage.error) {
+        return { error: page.error || endPage.error };
+    }
+
+    const from = query.date || query.from;
+    const to = query.date || query.to || query.from;
+
+    if (!from) {
+        if (page.value === undefined) {
+            return { error: 'Provide "date", "from"/"to" or "page"' };
+        }
+        const lastPage = endPage.value === undefined ? page.value : endPage.value;
+        if (lastPage < page.value) {
+            return { error: '"endPage" must not be before "page"' };
+        }
+        return { plan: { dates: [null], startPage: page.value, endPage: lastPage } };
+    }
+
+    const fromDate = parseFeedDate(from);
+    const toDate = parseFeedDate(to);
+    if (!fromDate || !toDate) {
+        return { error: 'Dates must be valid and formatted as YYYY-MM-DD or YYYYMMDD' };
+    }
+    if (toDate < fromDate) {
+        return { error: '"to" must not be before "from"' };
+    }
+    const days = Math.round((toDate - fromDate) / DAY_MS) + 1;
+    if (days > MAX_DATE_RANGE_DAYS) {
+        return { error: `A feed request may cover at most ${MAX_DATE_RANGE_DAYS} days` };
+    }
+
+    const dates = Array.from({ length: days }, (_, index) => toDvsaDate(new Date(fromDate.getTime() + index * DAY_MS)));
+    const startPage = page.value === undefined ? 1 : page.value;
+    const lastPage = endPage.value === undefined ? MAX_PAGES_PER_DATE : endPage.value;
+    if (lastPage < startPage) {
+        return { error: '"endPage" must not be before "page"' };
+    }
+    return { plan: { dates, startPage, endPage: lastPage } };
+}
+
+// --- Walk the plan one page at a time ---
+// `fetchPage` receives the DVSA query for a page and resolves to an array of
+// vehicle records, or null when DVSA has no page at that position (which ends
+// the current date). Only one page is held in memory at a time.
+async function* feedPages(plan, fetchPage) {
+    for (const date of plan.dates) {
+        for (let page = plan.startPage; page <= plan.endPage; page++) {
+            const query = date ? { date, page } : { page };
+            const records = await fetchPage(query);
+            if (records === null) {
+                break;
+            }
+            yield { query, records };
+        }
+    }
+}
+
+module.exports = {
+    parseFeedRequest,
+    feedPages,
+};
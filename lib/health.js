@@ -0,0 +1,135 @@
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// --- Liveness, readiness and status reports for server.js ---
+// - liveness: the process is up and serving requests; nothing else is checked.
+// - readiness: the DVSA settings are present and a token is cached or can be
+//   fetched within READINESS_TIMEOUT_MS. An unreachable DVSA API does not make us
+//   unready: every instance would be pulled from the load balancer at once, and the
+//   circuit breaker already fails those requests fast.
+// - status: token expiry, the last successful DVSA call and the recent error rate,
+//   for on-call to see at a glance whether the DVSA credentials have broken.
+// Nothing in these reports is secret; OAuth failures show only their `error` code.
+
+const REQUIRED_DVSA_SETTINGS = {
+    clientId: 'DVSA_CLIENT_ID',
+    clientSecret: 'DVSA_CLIENT_SECRET',
+    tokenUrl: 'DVSA_TOKEN_URL',
+    apiKey: 'DVSA_API_KEY',
+};
+
+// Above this share of failed DVSA calls in the window, /status reports "degraded"
+const DEGRADED_ERROR_RATE = 0.5;
+
+function isoTime(ms) {
+    return ms === null || ms === undefined ? null : new Date(ms).toISOString();
+}
+
+function withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+        timer.unref();
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class HealthChecks {
+    constructor({ config, tokenManager, dvsaClient, readinessTimeoutMs = 5000, version = PACKAGE_VERSION, now = Date.now }) {
+        this.config = config;
+        this.tokenManager = tokenManager;
+        this.dvsaClient = dvsaClient;
+        this.readinessTimeoutMs = readinessTimeoutMs;
+        this.version = version;
+        this.now = now;
+        this.startedAt = now();
+    }
+
+    liveness() {
+        return { status: 'ok' };
+    }
+
+    checkConfig() {
+        const missing = Object.entries(REQUIRED_DVSA_SETTINGS)
+            .filter(([field]) => !this.config.dvsa[field])
+            .map(([, name]) => name);
+        return missing.length === 0 ? { ok: true, profile: this.config.profile } : { ok: false, missing };
+    }
+
+    async checkToken() {
+        if (this.tokenManager.hasValidToken()) {
+            return { ok: true, source: 'cached', expires_at: isoTime(this.tokenManager.token.expiresAt) };
+        }
+        try {
+            const token = await withTimeout(
+                this.tokenManager.getTokenInfo(),
+                this.readinessTimeoutMs,
+                `No token within ${this.readinessTimeoutMs}ms`
+            );
+            return { ok: true, source: 'fetched', expires_at: isoTime(token.expiresAt) };
+        } catch (error) {
+            const failure = this.tokenManager.lastFailure;
+            return {
+                ok: false,
+                status: error.status,
+                error: error.status === undefined ? error.message : failure && failure.error,
+            };
+        }
+    }
+
+    // Resolves to { ready, checks }; the token is only requested when the config is complete
+    async readiness() {
+        const checks = { config: this.checkConfig() };
+        checks.token = checks.config.ok ? await this.checkToken() : { ok: false, skipped: true };
+        return { ready: checks.config.ok && checks.token.ok, checks };
+    }
+
+    status() {
+        const { token, lastFailure } = this.tokenManager;
+        const stats = this.dvsaClient.stats;
+        const recent = stats.recent();
+        const circuitBreaker = this.dvsaClient.circuitBreaker.getState();
+        // A failure since the current token was fetched means the next refresh will probably fail too
+        const tokenFailing = Boolean(lastFailure && (!token || lastFailure.at > token.fetchedAt));
+
+        return {
+            status: tokenFailing || circuitBreaker !== 'closed' || recent.error_rate > DEGRADED_ERROR_RATE ? 'degraded' : 'ok',
+            version: this.version,
+            profile: this.config.profile,
+            started_at: isoTime(this.startedAt),
+            uptime_seconds: Math.round((this.now() - this.startedAt) / 1000),
+            token: {
+                valid: this.tokenManager.hasValidToken(),
+                fetched_at: isoTime(token && token.fetchedAt),
+                expires_at: isoTime(token && token.expiresAt),
+                last_failure: lastFailure && { at: isoTime(lastFailure.at), status: lastFailure.status, error: lastFailure.error },
+            },
+            dvsa: {
+                adapter: this.dvsaClient.adapter.name,
+                circuit_breaker: circuitBreaker,
+                last_success_at: isoTime(stats.lastSuccessAt),
+                last_failure: stats.lastFailure && {
+                    at: isoTime(stats.lastFailure.at),
+                    code: stats.lastFailure.code,
+                    upstream_status: stats.lastFailure.upstreamStatus,
+                },
+                recent,
+            },
+        };
+    }
+}
+
+// --- Build the checks for server.js; APP_VERSION overrides the package.json version ---
+function createHealthChecks({ config, tokenManager, dvsaClient }, env = process.env) {
+    return new HealthChecks({
+        config,
+        tokenManager,
+        dvsaClient,
+        readinessTimeoutMs: env.READINESS_TIMEOUT_MS === undefined ? 5000 : parseInt(env.READINESS_TIMEOUT_MS, 10),
+        version: env.APP_VERSION || PACKAGE_VERSION,
+    });
+}
+
+module.exports = {
+    HealthChecks,
+    createHealthChecks,
+};
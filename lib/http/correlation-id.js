@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// --- Correlation IDs: one ID per request, echoed back and included in every error ---
+// A caller-supplied X-Correlation-ID (or X-Request-ID) is reused so a request can be
+// traced across services; anything missing or malformed is replaced with a UUID.
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+function correlationId() {
+    return (req, res, next) => {
+        const incoming = req.get(CORRELATION_HEADER) || req.get('X-Request-ID');
+        req.correlationId = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+        res.set(CORRELATION_HEADER, req.correlationId);
+        next();
+    };
+}
+
+module.exports = {
+    CORRELATION_HEADER,
+    correlationId,
+};
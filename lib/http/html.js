@@ -0,0 +1,55 @@
+// --- Escaping HTML templates ---
+// html`<p>${value}</p>` escapes every interpolated value unless it is itself the result of
+// html`` (or raw()), so untrusted input can only ever end up as text. Arrays are joined,
+// and null, undefined and false render as nothing, for ${condition && html`...`}.
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => ESCAPES[character]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, index) => result + renderValue(values[index - 1]) + string));
+}
+
+// Trusted markup, passed through as-is. Never use it for anything that came from a request or from DVSA.
+function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+module.exports = {
+    SafeHtml,
+    escapeHtml,
+    html,
+    raw,
+};
@@ -0,0 +1,36 @@
+const { CORRELATION_HEADER, correlationId } = require('./correlation-id');
+const {
+    ERROR_TYPES,
+    PROBLEM_CONTENT_TYPE,
+    ApiError,
+    toProblem,
+    asyncRoute,
+    sendProblem,
+    notFoundHandler,
+    errorHandler,
+} = require('./problem');
+const { SafeHtml, escapeHtml, html, raw } = require('./html');
+const { API_CONTENT_SECURITY_POLICY, securityOptionsFromEnv, cors, securityHeaders, requireSameOrigin, applySecurity } = require('./security');
+
+module.exports = {
+    CORRELATION_HEADER,
+    correlationId,
+    ERROR_TYPES,
+    PROBLEM_CONTENT_TYPE,
+    ApiError,
+    toProblem,
+    asyncRoute,
+    sendProblem,
+    notFoundHandler,
+    errorHandler,
+    API_CONTENT_SECURITY_POLICY,
+    securityOptionsFromEnv,
+    cors,
+    securityHeaders,
+    requireSameOrigin,
+    applySecurity,
+    SafeHtml,
+    escapeHtml,
+    html,
+    raw,
+};
@@ -0,0 +1,132 @@
+const { describeUpstreamError } = require('../dvsa');
+const { logger } = require('../observability');
+
+// --- RFC 7807 problem details with stable error codes ---
+// Every error response is application/problem+json:
+//   { type, title, status, detail, code, instance, correlation_id, ...extensions }
+// `code` and `type` never change for a given kind of failure, so clients can
+// branch on them; `title` is fixed per code and `detail` explains this occurrence.
+
+// code -> [HTTP status, title]
+const ERROR_TYPES = {
+    INVALID_REQUEST: [400, 'Invalid request'],
+    INVALID_REGISTRATION: [400, 'Invalid registration number'],
+    INVALID_VIN: [400, 'Invalid VIN'],
+    INVALID_FORMAT: [400, 'Unsupported response format'],
+    UNAUTHORIZED: [401, 'API key required'],
+    FORBIDDEN: [403, 'Forbidden'],
+    NOT_FOUND: [404, 'Not found'],
+    VEHICLE_NOT_FOUND: [404, 'Vehicle not found'],
+    CONFLICT: [409, 'Conflict'],
+    LIMIT_REACHED: [409, 'Limit reached'],
+    PAYLOAD_TOO_LARGE: [413, 'Request body too large'],
+    RATE_LIMITED: [429, 'Rate limit exceeded'],
+    QUOTA_EXCEEDED: [429, 'Daily quota exceeded'],
+    FEED_NOT_SUPPORTED: [501, 'Bulk feed not supported'],
+    RECORD_TRANSFORM_FAILED: [500, 'Record could not be transformed'],
+    INTERNAL_ERROR: [500, 'Internal server error'],
+    NOT_READY: [503, 'Service not ready'],
+    UPSTREAM_AUTH_FAILED: [502, 'DVSA authentication failed'],
+    UPSTREAM_RATE_LIMITED: [429, 'DVSA rate limit reached'],
+    UPSTREAM_UNAVAILABLE: [503, 'DVSA unavailable'],
+    UPSTREAM_TIMEOUT: [504, 'DVSA timed out'],
+    UPSTREAM_ERROR: [502, 'DVSA error'],
+};
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// An error we raise on purpose; `extensions` are extra members for the problem body
+class ApiError extends Error {
+    constructor(code, detail, extensions = {}) {
+        super(detail);
+        if (!ERROR_TYPES[code]) {
+            throw new Error(`Unknown error code "${code}"`);
+        }
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = ERROR_TYPES[code][0];
+        this.extensions = extensions;
+    }
+}
+
+// e.g. VEHICLE_NOT_FOUND -> /problems/vehicle-not-found
+function problemType(code) {
+    return `/problems/${code.toLowerCase().replace(/_/g, '-')}`;
+}
+
+function buildProblem(code, detail, extensions = {}) {
+    const [status, title] = ERROR_TYPES[code];
+    return { type: problemType(code), title, status, detail, code, ...extensions };
+}
+
+// --- Turn any thrown error into a problem object ---
+// ApiErrors keep their code; body-parser and DVSA failures are mapped onto ours;
+// anything else is an INTERNAL_ERROR whose message is not leaked to the client.
+function toProblem(error) {
+    if (error instanceof ApiError) {
+        return buildProblem(error.code, error.message, error.extensions);
+    }
+    if (error && error.type === 'entity.parse.failed') {
+        return buildProblem('INVALID_REQUEST', 'Request body is not valid JSON.');
+    }
+    if (error && error.type === 'entity.too.large') {
+        return buildProblem('PAYLOAD_TOO_LARGE', `Request body must not exceed ${error.limit} bytes.`);
+    }
+    const { code, message, retryAfterSeconds } = describeUpstreamError(error);
+    if (!ERROR_TYPES[code] || code === 'INTERNAL_ERROR') {
+        return buildProblem('INTERNAL_ERROR', 'An unexpected error occurred.');
+    }
+    return buildProblem(code, message, retryAfterSeconds ? { retry_after: retryAfterSeconds } : {});
+}
+
+// --- Express middleware ---
+
+// Wraps an async route so rejected promises reach the error middleware (Express 4 does not do this itself)
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Send a problem response for `error`, stamped with the request's instance and correlation ID
+function sendProblem(req, res, error) {
+    const problem = {
+        ...toProblem(error),
+        instance: req.originalUrl,
+        correlation_id: req.correlationId,
+    };
+    if (problem.retry_after) {
+        res.set('Retry-After', String(problem.retry_after));
+    }
+    res.status(problem.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+    return problem;
+}
+
+function notFoundHandler() {
+    return (req, res, next) => next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.path}.`));
+}
+
+// Central error middleware: registered last, after every route
+function errorHandler() {
+    // Express recognises error middleware by its four arguments
+    return (error, req, res, next) => {
+        if (res.headersSent) {
+            logger.error('Error after response started', { route: req.route ? `${req.baseUrl}${req.route.path}` : undefined, error });
+            return res.end();
+        }
+        const problem = sendProblem(req, res, error);
+        // Client mistakes and client rate limits are routine; only log what points at us or DVSA
+        if (problem.status >= 500 || problem.code.startsWith('UPSTREAM_')) {
+            logger.error('Request failed', { method: req.method, route: req.route ? `${req.baseUrl}${req.route.path}` : undefined, code: problem.code, error });
+        }
+    };
+}
+
+module.exports = {
+    ERROR_TYPES,
+    PROBLEM_CONTENT_TYPE,
+    ApiError,
+    toProblem,
+    asyncRoute,
+    sendProblem,
+    notFoundHandler,
+    errorHandler,
+};
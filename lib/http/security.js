@@ -0,0 +1,165 @@
+const express = require('express');
+const { ApiError } = require('./problem');
+
+// --- CORS, security headers and body size limits shared by server.js and test-scopes.js ---
+
+// A JSON API never needs to load anything or be framed
+const API_CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'; base-uri 'none'";
+
+const CORS_ALLOWED_METHODS = 'GET, POST, DELETE, OPTIONS';
+const CORS_ALLOWED_HEADERS = 'Content-Type, X-API-Key, X-Correlation-ID, X-Request-ID';
+// Response headers a browser frontend may read
+const CORS_EXPOSED_HEADERS = [
+    'X-Correlation-ID',
+    'X-Cache',
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-RateLimit-Daily-Limit',
+    'X-RateLimit-Daily-Remaining',
+    'X-RateLimit-Daily-Reset',
+].join(', ');
+
+// "https://*.example.com" matches any subdomain of example.com over https
+function originMatcher(pattern) {
+    if (pattern === '*') {
+        return () => true;
+    }
+    if (!pattern.includes('*')) {
+        return origin => origin === pattern;
+    }
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'));
+    const regex = new RegExp(`^${escaped.join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`, 'i');
+    return origin => regex.test(origin);
+}
+
+function listFromEnv(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// --- Read the security settings from the environment ---
+// A server can pass its own default CSP (e.g. one allowing inline styles); CONTENT_SECURITY_POLICY still wins.
+function securityOptionsFromEnv(env = process.env, { contentSecurityPolicy = API_CONTENT_SECURITY_POLICY } = {}) {
+    const options = {
+        allowedOrigins: listFromEnv(env.CORS_ALLOWED_ORIGINS),
+        allowCredentials: env.CORS_ALLOW_CREDENTIALS === 'true',
+        corsMaxAgeSeconds: parseInt(env.CORS_MAX_AGE_SECONDS || '600', 10),
+        contentSecurityPolicy: env.CONTENT_SECURITY_POLICY || contentSecurityPolicy,
+        hstsMaxAgeSeconds: parseInt(env.HSTS_MAX_AGE_SECONDS || '15552000', 10), // 180 days
+        hstsIncludeSubDomains: env.HSTS_INCLUDE_SUBDOMAINS === 'true',
+        frameOptions: env.FRAME_OPTIONS || 'DENY',
+        bodyLimit: env.BODY_LIMIT || '100kb',
+    };
+    if (options.allowCredentials && options.allowedOrigins.includes('*')) {
+        throw new Error('CORS_ALLOW_CREDENTIALS=true cannot be combined with CORS_ALLOWED_ORIGINS=*; list the origins instead.');
+    }
+    return options;
+}
+
+// --- CORS with an origin allowlist ---
+// Allowed origins are echoed back (never "*" when credentials are on). Preflights
+// from other origins are refused; simple requests just get no CORS headers, so the
+// browser blocks the response.
+function cors({ allowedOrigins, allowCredentials, corsMaxAgeSeconds }) {
+    const matchers = allowedOrigins.map(originMatcher);
+    const anyOrigin = allowedOrigins.includes('*');
+
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+        if (!origin) {
+            return next();
+        }
+        res.vary('Origin');
+
+        const isPreflight = req.method === 'OPTIONS' && req.get('Access-Control-Request-Method');
+        if (!matchers.some(matches => matches(origin))) {
+            return isPreflight ? next(new ApiError('FORBIDDEN', `Origin ${origin} is not allowed.`)) : next();
+        }
+
+        res.set('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+        if (allowCredentials) {
+            res.set('Access-Control-Allow-Credentials', 'true');
+        }
+        if (!isPreflight) {
+            res.set('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS);
+            return next();
+        }
+        res.set({
+            'Access-Control-Allow-Methods': CORS_ALLOWED_METHODS,
+            'Access-Control-Allow-Headers': CORS_ALLOWED_HEADERS,
+            'Access-Control-Max-Age': String(corsMaxAgeSeconds),
+        });
+        res.status(204).end();
+    };
+}
+
+// --- Refuse cross-site form posts (CSRF) to pages that use cookie or Basic authentication ---
+// Browsers label every POST with Origin and, in current versions, Sec-Fetch-Site. A request
+// from another site is refused; scripts send neither header and are let through.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function requireSameOrigin() {
+    return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method)) {
+            return next();
+        }
+        const fetchSite = req.get('Sec-Fetch-Site');
+        if (fetchSite && !['same-origin', 'none'].includes(fetchSite)) {
+            return next(new ApiError('FORBIDDEN', 'Cross-site requests are not allowed.'));
+        }
+        const origin = req.get('Origin');
+        if (origin && originHost(origin) !== req.get('Host')) {
+            return next(new ApiError('FORBIDDEN', 'Cross-site requests are not allowed.'));
+        }
+        next();
+    };
+}
+
+// "null" (sandboxed frames, some redirects) and malformed origins match no host
+function originHost(origin) {
+    try {
+        return new URL(origin).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+function securityHeaders({ contentSecurityPolicy, hstsMaxAgeSeconds, hstsIncludeSubDomains, frameOptions }) {
+    const headers = {
+        'Content-Security-Policy': contentSecurityPolicy,
+        'X-Frame-Options': frameOptions,
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'no-referrer',
+        'Cross-Origin-Resource-Policy': 'same-site',
+    };
+    // Browsers ignore HSTS over plain HTTP, so it is safe to send unconditionally
+    if (hstsMaxAgeSeconds > 0) {
+        headers['Strict-Transport-Security'] = `max-age=${hstsMaxAgeSeconds}${hstsIncludeSubDomains ? '; includeSubDomains' : ''}`;
+    }
+    return (req, res, next) => {
+        res.set(headers);
+        next();
+    };
+}
+
+// --- Apply the whole setup to an app: headers, CORS, then size-limited body parsers ---
+// Register correlationId() first so rejected requests still carry an ID.
+function applySecurity(app, env = process.env, defaults = {}) {
+    const options = securityOptionsFromEnv(env, defaults);
+    app.disable('x-powered-by');
+    app.use(securityHeaders(options));
+    app.use(cors(options));
+    app.use(express.json({ limit: options.bodyLimit }));
+    app.use(express.urlencoded({ extended: true, limit: options.bodyLimit }));
+    return options;
+}
+
+module.exports = {
+    API_CONTENT_SECURITY_POLICY,
+    securityOptionsFromEnv,
+    cors,
+    securityHeaders,
+    requireSameOrigin,
+    applySecurity,
+};
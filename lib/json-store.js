@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./observability');
+
+// --- Base class for stores kept in memory and persisted as one JSON file ---
+// Used by the watchlist and the change subscriptions. Changes call save(), which only
+// marks the store dirty: the file is rewritten once `writeDelayMs` later with the async
+// fs API, so a poll that updates every entry costs one write and never blocks requests.
+// Writes never overlap. Call flush() on shutdown to write pending changes straight away.
+// Without a `filePath` the store lives in memory only.
+
+const DEFAULT_WRITE_DELAY_MS = 1000;
+// Keys of reminders or changes already handled, per entry; older keys belong to events
+// that cannot come round again
+const MAX_SENT_KEYS = 100;
+
+class JsonFileStore {
+    // `field` is the top-level key holding the entries; `label` names the store in errors
+    constructor({ filePath = null, field, label, writeDelayMs = DEFAULT_WRITE_DELAY_MS }) {
+        this.filePath = filePath;
+        this.field = field;
+        this.label = label;
+        this.writeDelayMs = writeDelayMs;
+        this.entries = new Map(); // id -> entry
+        this.dirty = false;
+        this.timer = null;
+        this.writing = Promise.resolve();
+        if (filePath) {
+            this.load();
+        }
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.entries = new Map(data[this.field].map(entry => [entry.id, entry]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Refuse to start rather than overwrite a file we could not read
+                throw new Error(`Could not read ${this.label} from ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    // Schedule a write of the whole store; changes made before it runs share it
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+        this.dirty = true;
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.writeDelayMs);
+            this.timer.unref();
+        }
+    }
+
+    // Write pending changes now; resolves once they are on disk (or the write failed)
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.writing = this.writing.then(() => this.write());
+        return this.writing;
+    }
+
+    async write() {
+        if (!this.dirty) {
+            return;
+        }
+        this.dirty = false;
+        const contents = JSON.stringify({ [this.field]: [...this.entries.values()] }, null, 2);
+        // Write to a temp file and rename so a crash never leaves a partial file
+        const temp = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(temp, contents);
+            await fs.promises.rename(temp, this.filePath);
+        } catch (error) {
+            // Keep the changes pending so the next save() tries again
+            this.dirty = true;
+            logger.error(`Could not save ${this.label}`, { file: this.filePath, error });
+        }
+    }
+
+    // Every entry, or only those belonging to `clientId` when it is given
+    list(clientId) {
+        const entries = [...this.entries.values()];
+        return clientId === undefined ? entries : entries.filter(entry => entry.client_id === clientId);
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    // The client's entry for `registration` that already notifies the same webhook URL or
+    // email address as `channel`, or null
+    findDuplicate(clientId, registration, channel) {
+        return this.list(clientId).find(entry => entry.registration === registration
+            && entry.channel.type === channel.type
+            && entry.channel.url === channel.url
+            && entry.channel.address === channel.address) || null;
+    }
+
+    add(entry) {
+        this.entries.set(entry.id, { sent: [], deliveries: [], ...entry });
+        this.save();
+        return this.entries.get(entry.id);
+    }
+
+    // Merge `changes` into an entry; ignored if the entry was removed meanwhile
+    update(id, changes) {
+        const entry = this.entries.get(id);
+        if (entry) {
+            Object.assign(entry, changes);
+            this.save();
+        }
+        return entry || null;
+    }
+
+    remove(id) {
+        const removed = this.entries.delete(id);
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    hasSent(id, key) {
+        const entry = this.entries.get(id);
+        return Boolean(entry && entry.sent.includes(key));
+    }
+
+    // Remember `key` as handled, keeping only the most recent MAX_SENT_KEYS
+    markSent(entry, key) {
+        if (!entry.sent.includes(key)) {
+            entry.sent = [...entry.sent, key].slice(-MAX_SENT_KEYS);
+        }
+    }
+}
+
+module.exports = { JsonFileStore, MAX_SENT_KEYS };
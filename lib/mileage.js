@@ -0,0 +1,115 @@
+const { parseDvsaDate, daysBetween, toIsoDate } = require('./dates');
+
+// --- Mileage analysis: odometer anomalies and usage estimates across MOT history ---
+
+const KM_TO_MILES = 0.621371;
+const DAYS_PER_YEAR = 365.25;
+// Anything faster than this between two tests is treated as implausible (~73,000 miles a year)
+const MAX_PLAUSIBLE_MILES_PER_DAY = 200;
+// Small increases between close-together tests are noise, not jumps
+const MIN_JUMP_MILES = 1000;
+// Annual estimates over very short spans are meaningless
+const MIN_ESTIMATE_SPAN_DAYS = 90;
+
+// DVSA reports km as "km" and miles as "mi"
+function toMiles(value, unit) {
+    return String(unit).toLowerCase() === 'km' ? Math.round(value * KM_TO_MILES) : value;
+}
+
+// --- Analyse the odometer readings in a raw DVSA vehicle record ---
+function analyseMileage(vehicleInfo, { now = new Date() } = {}) {
+    const tests = ((vehicleInfo && vehicleInfo.motTests) || [])
+        .map(test => ({ test, date: parseDvsaDate(test.completedDate) }))
+        .filter(({ date }) => date)
+        .sort((a, b) => a.date - b.date);
+
+    const anomalies = [];
+    const readings = [];
+
+    for (const { test, date } of tests) {
+        const resultType = test.odometerResultType || 'READ';
+        const value = parseInt(test.odometerValue, 10);
+
+        if (resultType !== 'READ' || Number.isNaN(value)) {
+            anomalies.push({
+                type: 'unreadable',
+                test_date: toIsoDate(date),
+                result_type: resultType,
+                message: resultType === 'NO_ODOMETER'
+                    ? 'No odometer was present at this test.'
+                    : 'The odometer could not be read at this test.',
+            });
+            continue;
+        }
+
+        readings.push({ date, unit: test.odometerUnit || 'mi', value, miles: toMiles(value, test.odometerUnit) });
+    }
+
+    for (let index = 1; index < readings.length; index++) {
+        const previous = readings[index - 1];
+        const current = readings[index];
+        const days = daysBetween(previous.date, current.date);
+        const change = current.miles - previous.miles;
+
+        if (previous.unit.toLowerCase() !== current.unit.toLowerCase()) {
+            anomalies.push({
+                type: 'unit_change',
+                test_date: toIsoDate(current.date),
+                previous_unit: previous.unit,
+                unit: current.unit,
+                message: `Odometer unit changed from ${previous.unit} to ${current.unit}.`,
+            });
+        }
+
+        if (change < 0) {
+            anomalies.push({
+                type: 'rollback',
+                test_date: toIsoDate(current.date),
+                previous_test_date: toIsoDate(previous.date),
+                previous_mileage: previous.miles,
+                mileage: current.miles,
+                difference: change,
+                message: `Mileage went down by ${-change} miles since the previous test.`,
+            });
+        } else if (change > MIN_JUMP_MILES && change > Math.max(days, 1) * MAX_PLAUSIBLE_MILES_PER_DAY) {
+            anomalies.push({
+                type: 'implausible_jump',
+                test_date: toIsoDate(current.date),
+                previous_test_date: toIsoDate(previous.date),
+                previous_mileage: previous.miles,
+                mileage: current.miles,
+                difference: change,
+                message: `Mileage rose by ${change} miles in ${days} days.`,
+            });
+        }
+    }
+
+    // Report anomalies in chronological order
+    anomalies.sort((a, b) => a.test_date.localeCompare(b.test_date));
+
+    const first = readings[0];
+    const latest = readings[readings.length - 1];
+    let estimatedAnnualMileage = null;
+    let projectedCurrentMileage = null;
+
+    if (readings.length >= 2) {
+        const spanDays = daysBetween(first.date, latest.date);
+        if (spanDays >= MIN_ESTIMATE_SPAN_DAYS && latest.miles >= first.miles) {
+            estimatedAnnualMileage = Math.round(((latest.miles - first.miles) / spanDays) * DAYS_PER_YEAR);
+            const daysSinceLatest = Math.max(0, daysBetween(latest.date, now));
+            projectedCurrentMileage = Math.round(latest.miles + (estimatedAnnualMileage / DAYS_PER_YEAR) * daysSinceLatest);
+        }
+    }
+
+    return {
+        unit: 'mi',
+        readings: readings.length,
+        latest: latest ? { mileage: latest.miles, test_date: toIsoDate(latest.date) } : null,
+        estimated_annual_mileage: estimatedAnnualMileage,
+        projected_current_mileage: projectedCurrentMileage,
+        clocking_suspected: anomalies.some(anomaly => anomaly.type === 'rollback'),
+        anomalies,
+    };
+}
+
+module.exports = { analyseMileage };
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+const { logger } = require('../observability');
+
+// --- Mock DVSA: Azure AD token endpoint plus both MOT APIs, served from fixtures ---
+// Tokens are unsigned JWTs with realistic claims and are checked on every MOT request,
+// as is the x-api-key header. Faults (any status, Retry-After, slow responses) come
+// either from fixture envelopes or from the /__mock/faults control endpoint.
+
+const LEGACY_PATH = '/trade/vehicles/mot-tests';
+const DEFAULT_SCOPES = ['https://tapi.dvsa.gov.uk/.default'];
+const MOCK_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+function base64url(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Same shape as Azure AD errors, including the AADSTS code test-scopes.js reports
+function aadError(res, status, error, code, description) {
+    res.status(status).json({
+        error,
+        error_description: `AADSTS${code}: ${description}`,
+        error_codes: [code],
+        timestamp: new Date().toISOString(),
+        trace_id: crypto.randomUUID(),
+        correlation_id: crypto.randomUUID(),
+    });
+}
+
+function sendEnvelope(res, { status, headers = {}, body, delayMs = 0 }) {
+    const send = () => {
+        if (res.writableEnded || res.destroyed) {
+            return;
+        }
+        res.status(status).set(headers);
+        if (body === undefined) {
+            return res.end();
+        }
+        return typeof body === 'string' ? res.send(body) : res.json(body);
+    };
+    if (delayMs > 0) {
+        const timer = setTimeout(send, delayMs);
+        res.on('close', () => clearTimeout(timer));
+    } else {
+        send();
+    }
+}
+
+// `options`:
+//   fixtures         FixtureStore to serve from
+//   recorder         FixtureRecorder; when set, MOT requests are forwarded and recorded instead
+//   recordTargets    { 'legacy-trade': url, 'mot-history': url } real DVSA base URLs for record mode
+//   recordTokenUrl   real Azure AD token URL, proxied (never recorded) in record mode
+//   clientId, clientSecret, apiKey  expected credentials; unset means any value is accepted
+//   scopes           scopes a token may be issued for
+//   tokenTtlSeconds  lifetime of issued tokens
+function createMockDvsaApp({
+    fixtures,
+    recorder = null,
+    recordTargets = {},
+    recordTokenUrl = null,
+    clientId,
+    clientSecret,
+    apiKey,
+    scopes = DEFAULT_SCOPES,
+    tokenTtlSeconds = 3599,
+    fetchImpl = fetch,
+}) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const issuedTokens = new Map(); // access token -> expiry (ms)
+    const faults = { api: null, token: null };
+
+    // A pending fault for `target`, counting down its remaining uses
+    function takeFault(target) {
+        const fault = faults[target];
+        if (!fault) {
+            return null;
+        }
+        fault.remaining -= 1;
+        if (fault.remaining <= 0) {
+            faults[target] = null;
+        }
+        return fault;
+    }
+
+    function faultEnvelope(fault) {
+        return {
+            status: fault.status || 200,
+            headers: fault.retryAfter ? { 'Retry-After': String(fault.retryAfter) } : {},
+            body: fault.body,
+            delayMs: fault.delayMs || 0,
+        };
+    }
+
+    // --- Control endpoint: inject faults for the next `times` requests ---
+    // POST /__mock/faults { "target": "api" | "token", "status": 503, "delayMs": 0, "retryAfter": 30, "times": 1 }
+    // A fault without a status only delays the normal response.
+    app.post('/__mock/faults', (req, res) => {
+        const { target = 'api', status, delayMs = 0, retryAfter, body, times = 1 } = req.body || {};
+        if (!(target in faults)) {
+            return res.status(400).json({ error: '"target" must be "api" or "token"' });
+        }
+        faults[target] = { status, delayMs, retryAfter, body, remaining: times };
+        res.status(201).json(faults[target]);
+    });
+    app.get('/__mock/faults', (req, res) => res.json(faults));
+    app.delete('/__mock/faults', (req, res) => {
+        faults.api = null;
+        faults.token = null;
+        res.status(204).end();
+    });
+
+    // --- Azure AD client-credentials token endpoint ---
+    async function issueToken(req, res) {
+        const fault = takeFault('token');
+        if (fault && fault.status) {
+            return sendEnvelope(res, faultEnvelope(fault));
+        }
+
+        if (recordTokenUrl) {
+            const response = await fetchImpl(recordTokenUrl, {
+                method: 'POST',
+                body: new URLSearchParams(req.body),
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            });
+            return res.status(response.status).type('application/json').send(await response.text());
+        }
+
+        const { grant_type: grantType, client_id: requestClientId, client_secret: requestSecret, scope } = req.body || {};
+        if (grantType !== 'client_credentials') {
+            return aadError(res, 400, 'unsupported_grant_type', 70003, 'The app requested an unsupported grant type.');
+        }
+        if (!requestClientId || (clientId && requestClientId !== clientId)) {
+            return aadError(res, 400, 'unauthorized_client', 700016,
+                `Application with identifier '${requestClientId || ''}' was not found in the directory.`);
+        }
+        if (!requestSecret || (clientSecret && requestSecret !== clientSecret)) {
+            return aadError(res, 401, 'invalid_client', 7000215,
+                'Invalid client secret provided. Ensure the secret being sent in the request is the client secret value, not the client secret ID.');
+        }
+        if (!scopes.includes(scope)) {
+            return aadError(res, 400, 'invalid_scope', 70011,
+                `The provided request must include a 'scope' input parameter. The provided value for the input parameter 'scope' is not valid. The scope ${scope || ''} is not valid.`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+            aud: scope.replace(/\/\.default$/, ''),
+            iss: `https://sts.windows.net/${MOCK_TENANT_ID}/`,
+            iat: now,
+            nbf: now,
+            exp: now + tokenTtlSeconds,
+            appid: requestClientId,
+            tid: MOCK_TENANT_ID,
+            roles: ['MOT.Read'],
+        };
+        const accessToken = `${base64url({ typ: 'JWT', alg: 'none' })}.${base64url(claims)}.${crypto.randomBytes(16).toString('base64url')}`;
+        issuedTokens.set(accessToken, claims.exp * 1000);
+
+        const delay = fault ? fault.delayMs : 0;
+        sendEnvelope(res, {
+            status: 200,
+            body: { token_type: 'Bearer', expires_in: tokenTtlSeconds, ext_expires_in: tokenTtlSeconds, access_token: accessToken },
+            delayMs: delay,
+        });
+    }
+    app.post('/token', (req, res, next) => issueToken(req, res).catch(next));
+    app.post('/:tenant/oauth2/v2.0/token', (req, res, next) => issueToken(req, res).catch(next));
+
+    // DVSA answers a bad API key with 403 and a missing or expired token with 401
+    function checkCredentials(req, res) {
+        if (apiKey && req.get('x-api-key') !== apiKey) {
+            res.status(403).json({ message: 'Forbidden' });
+            return false;
+        }
+        const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        const expiresAt = issuedTokens.get(token);
+        if (!expiresAt || expiresAt <= Date.now()) {
+            res.status(401).json({ message: 'Unauthorized' });
+            return false;
+        }
+        return true;
+    }
+
+    // Serve (or, in record mode, record) one MOT response
+    async function serve(req, res, { api, kind, id, upstreamUrl, notFoundBody }) {
+        const fault = takeFault('api');
+        if (fault && fault.status) {
+            return sendEnvelope(res, faultEnvelope(fault));
+        }
+
+        let envelope;
+        if (recorder) {
+            envelope = await recorder.record(req, upstreamUrl, { api, kind, id });
+        } else {
+            if (!checkCredentials(req, res)) {
+                return;
+            }
+            envelope = fixtures.read(api, kind, id) || { status: 404, body: notFoundBody };
+        }
+        sendEnvelope(res, { ...envelope, delayMs: Math.max(envelope.delayMs || 0, fault ? fault.delayMs : 0) });
+    }
+
+    // --- Legacy trade API: ?registration=, ?vin=, or the paged feed (?page=[&date=]) ---
+    app.get(LEGACY_PATH, (req, res, next) => {
+        const { registration, vin, page, date } = req.query;
+        const upstreamUrl = `${recordTargets['legacy-trade']}${req.url.slice(LEGACY_PATH.length)}`;
+        let target;
+        if (registration) {
+            target = { kind: 'registration', id: registration };
+        } else if (vin) {
+            target = { kind: 'vin', id: vin };
+        } else if (page) {
+            target = { kind: 'feed', id: { date, page } };
+        } else {
+            return res.status(400).json({ errorMessage: 'Provide registration, vin or page' });
+        }
+        const notFoundBody = { errorMessage: `No MOT Tests found with vehicle ${target.kind} : ${registration || vin || `page ${page}`}` };
+        serve(req, res, { api: 'legacy-trade', ...target, upstreamUrl, notFoundBody }).catch(next);
+    });
+
+    // --- MOT History API: /v1/trade/vehicles/registration/:registration and /vin/:vin ---
+    app.get('/v1/trade/vehicles/:kind(registration|vin)/:value', (req, res, next) => {
+        const { kind, value } = req.params;
+        const upstreamUrl = `${recordTargets['mot-history']}${req.url}`;
+        const notFoundBody = {
+            errorCode: 'MOTH-NP-01',
+            errorMessage: `No data found for the provided ${kind}`,
+            requestId: crypto.randomUUID(),
+        };
+        serve(req, res, { api: 'mot-history', kind, id: value, upstreamUrl, notFoundBody }).catch(next);
+    });
+
+    // Record-mode upstream failures (DNS, timeouts) surface as a gateway error
+    app.use((error, req, res, next) => {
+        logger.error('Mock DVSA error', { error });
+        if (res.headersSent) {
+            return next(error);
+        }
+        res.status(502).json({ message: error.message });
+    });
+
+    return app;
+}
+
+module.exports = {
+    LEGACY_PATH,
+    MOCK_TENANT_ID,
+    createMockDvsaApp,
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Fixture files for the mock DVSA server ---
+// Layout, relative to the fixture directory:
+//   legacy-trade/registration/FE08BBU.json
+//   legacy-trade/vin/<VIN>.json
+//   legacy-trade/feed/<YYYYMMDD or "undated">/page-<n>.json
+//   mot-history/registration/<REG>.json
+//   mot-history/vin/<VIN>.json
+// Each file is a response envelope:
+//   { "status": 200, "headers": { … }, "body": …, "delayMs": 0 }
+// Only `body` or `status` is required; a missing fixture is served as a DVSA 404.
+
+// Fixture names come from request input, so keep them to safe characters
+function safeName(value) {
+    return String(value).toUpperCase().replace(/[^A-Z0-9-]/g, '');
+}
+
+class FixtureStore {
+    constructor({ directory }) {
+        this.directory = directory;
+    }
+
+    // `api` is "legacy-trade" or "mot-history", `kind` is "registration", "vin" or "feed"
+    filePath(api, kind, id) {
+        if (kind === 'feed') {
+            const { date, page } = id;
+            return path.join(this.directory, api, 'feed', date ? safeName(date) : 'undated', `page-${parseInt(page, 10)}.json`);
+        }
+        return path.join(this.directory, api, kind, `${safeName(id)}.json`);
+    }
+
+    read(api, kind, id) {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.filePath(api, kind, id), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        const envelope = JSON.parse(contents);
+        return {
+            status: envelope.status || 200,
+            headers: envelope.headers || {},
+            body: envelope.body,
+            delayMs: envelope.delayMs || 0,
+        };
+    }
+
+    write(api, kind, id, envelope) {
+        const target = this.filePath(api, kind, id);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, `${JSON.stringify(envelope, null, 2)}\n`);
+        return target;
+    }
+}
+
+module.exports = { FixtureStore };
@@ -0,0 +1,41 @@
+const { FixtureStore } = require('./fixtures');
+const { FixtureRecorder, redactSecrets } = require('./recorder');
+const { createMockDvsaApp, MOCK_TENANT_ID } = require('./app');
+const { DEFAULT_BASE_URL: LEGACY_TRADE_URL } = require('../dvsa/legacy-trade-adapter');
+const { DEFAULT_BASE_URL: MOT_HISTORY_URL } = require('../dvsa/mot-history-adapter');
+
+// --- Build the mock from MOCK_DVSA_* environment variables ---
+// MOCK_DVSA_RECORD=true forwards MOT requests to the real DVSA APIs and saves the
+// responses as fixtures; token requests are proxied to MOCK_DVSA_RECORD_TOKEN_URL.
+function createMockDvsa(env = process.env) {
+    const fixtures = new FixtureStore({ directory: env.MOCK_DVSA_FIXTURES || 'fixtures/dvsa' });
+    const record = env.MOCK_DVSA_RECORD === 'true';
+    if (record && !env.MOCK_DVSA_RECORD_TOKEN_URL) {
+        throw new Error('MOCK_DVSA_RECORD=true needs MOCK_DVSA_RECORD_TOKEN_URL (the real Azure AD token URL)');
+    }
+
+    return createMockDvsaApp({
+        fixtures,
+        recorder: record ? new FixtureRecorder({ fixtures }) : null,
+        recordTargets: {
+            // Like DVSA_API_BASE_URL, the legacy URL includes the endpoint path
+            'legacy-trade': env.MOCK_DVSA_RECORD_LEGACY_URL || LEGACY_TRADE_URL,
+            'mot-history': env.MOCK_DVSA_RECORD_HISTORY_URL || MOT_HISTORY_URL,
+        },
+        recordTokenUrl: record ? env.MOCK_DVSA_RECORD_TOKEN_URL : null,
+        clientId: env.MOCK_DVSA_CLIENT_ID,
+        clientSecret: env.MOCK_DVSA_CLIENT_SECRET,
+        apiKey: env.MOCK_DVSA_API_KEY,
+        scopes: env.MOCK_DVSA_SCOPES ? env.MOCK_DVSA_SCOPES.split(',').map(scope => scope.trim()) : undefined,
+        tokenTtlSeconds: parseInt(env.MOCK_DVSA_TOKEN_TTL_SECONDS || '3599', 10),
+    });
+}
+
+module.exports = {
+    FixtureStore,
+    FixtureRecorder,
+    redactSecrets,
+    createMockDvsaApp,
+    createMockDvsa,
+    MOCK_TENANT_ID,
+};
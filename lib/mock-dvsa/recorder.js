@@ -0,0 +1,65 @@
+const fetch = require('node-fetch');
+const { logger } = require('../observability');
+const { redactSecrets } = require('../redact');
+
+// --- Record mode: forward requests to the real DVSA API and save the responses as fixtures ---
+// Only the status, Content-Type, Retry-After and body are kept. The caller's bearer
+// token and API key are scrubbed from the body, as is any field that looks like a secret.
+
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+class FixtureRecorder {
+    constructor({ fixtures, timeoutMs = 30000, fetchImpl = fetch }) {
+        this.fixtures = fixtures;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetchImpl;
+    }
+
+    // Forwards `req` to `url`, saves the redacted response under (api, kind, id) and returns the envelope
+    async record(req, url, { api, kind, id }) {
+        const authorization = req.get('Authorization') || '';
+        const apiKey = req.get('x-api-key') || '';
+        const response = await this.fetch(url, {
+            headers: {
+                'Authorization': authorization,
+                'x-api-key': apiKey,
+                'Accept': req.get('Accept') || 'application/json',
+            },
+            timeout: this.timeoutMs,
+        });
+
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            body = text;
+        }
+
+        const secrets = [authorization.replace(/^Bearer\s+/i, ''), apiKey];
+        const headers = {};
+        for (const name of RECORDED_HEADERS) {
+            if (response.headers.get(name)) {
+                headers[name] = response.headers.get(name);
+            }
+        }
+        const envelope = { status: response.status, headers, body: redactSecrets(body, secrets) };
+        this.fixtures.write(api, kind, id, envelope);
+        logger.info('Recorded DVSA response', { status: response.status, api, kind, ...describeTarget(kind, id) });
+        return envelope;
+    }
+}
+
+// Log fields for a recorded target. The URL and fixture path both hold the plate or VIN,
+// so those go through the logger's hashed `registration` and `vin` fields instead.
+function describeTarget(kind, id) {
+    if (kind === 'feed') {
+        return { date: id.date, page: id.page };
+    }
+    return { [kind]: id };
+}
+
+module.exports = {
+    FixtureRecorder,
+    redactSecrets,
+};
@@ -0,0 +1,108 @@
+const { parseDvsaDate, daysBetween, addYears, toIsoDate } = require('./dates');
+
+// --- MOT status engine ---
+// Decides whether a vehicle currently has a valid MOT from its DVSA record,
+// and reports which rule made the decision.
+
+const MOT_STATUS = {
+    VALID: 'valid',
+    EXPIRED: 'expired',
+    DUE_SOON: 'due_soon',
+    NOT_YET_DUE: 'not_yet_due',
+    EXEMPT: 'exempt',
+    NO_DATA: 'no_data',
+};
+
+const DEFAULT_DUE_SOON_DAYS = 30;
+// A new vehicle's first MOT is due on the third anniversary of first use
+const FIRST_MOT_AGE_YEARS = 3;
+// Vehicles over 40 years old can be registered as historic and are usually exempt
+const HISTORIC_AGE_YEARS = 40;
+// Vehicles first used before 1960 were exempt under the pre-2018 rules
+const PRE_1960_CUTOFF = new Date(Date.UTC(1960, 0, 1));
+
+function result(status, rule, expiryDate, now) {
+    return {
+        status,
+        rule,
+        expiry_date: toIsoDate(expiryDate),
+        days_until_expiry: expiryDate ? daysBetween(now, expiryDate) : null,
+    };
+}
+
+// Status from a known expiry date: inside the window it is "due soon"
+function statusForExpiry(expiryDate, now, dueSoonDays, { beforeFirstMot }) {
+    const daysLeft = daysBetween(now, expiryDate);
+    if (daysLeft < 0) {
+        return MOT_STATUS.EXPIRED;
+    }
+    if (daysLeft <= dueSoonDays) {
+        return MOT_STATUS.DUE_SOON;
+    }
+    return beforeFirstMot ? MOT_STATUS.NOT_YET_DUE : MOT_STATUS.VALID;
+}
+
+function exemption(firstUsed, now) {
+    if (!firstUsed) {
+        return null;
+    }
+    if (firstUsed < PRE_1960_CUTOFF) {
+        return 'pre_1960';
+    }
+    if (addYears(firstUsed, HISTORIC_AGE_YEARS) <= now) {
+        return 'historic_vehicle';
+    }
+    return null;
+}
+
+// --- Work out the MOT status for a raw DVSA vehicle record ---
+// Returns { status, rule, expiry_date, days_until_expiry }.
+function computeMotStatus(vehicleInfo, { now = new Date(), dueSoonDays = DEFAULT_DUE_SOON_DAYS } = {}) {
+    if (!vehicleInfo) {
+        return result(MOT_STATUS.NO_DATA, 'no_data', null, now);
+    }
+
+    const tests = vehicleInfo.motTests || [];
+    const firstUsed = parseDvsaDate(vehicleInfo.firstUsedDate || vehicleInfo.registrationDate || vehicleInfo.manufactureDate);
+    const exemptRule = exemption(firstUsed, now);
+
+    // The latest expiry across all passes decides validity, whatever order DVSA returns tests in
+    const latestExpiry = tests
+        .map(test => parseDvsaDate(test.expiryDate))
+        .filter(Boolean)
+        .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+    if (latestExpiry) {
+        const status = statusForExpiry(latestExpiry, now, dueSoonDays, { beforeFirstMot: false });
+        if (status !== MOT_STATUS.EXPIRED) {
+            return result(status, 'current_pass', latestExpiry, now);
+        }
+        if (exemptRule) {
+            return result(MOT_STATUS.EXEMPT, exemptRule, latestExpiry, now);
+        }
+        return result(MOT_STATUS.EXPIRED, 'lapsed_pass', latestExpiry, now);
+    }
+
+    if (exemptRule) {
+        return result(MOT_STATUS.EXEMPT, exemptRule, null, now);
+    }
+
+    if (tests.length > 0) {
+        return result(MOT_STATUS.EXPIRED, 'no_pass_recorded', null, now);
+    }
+
+    // No tests yet: a new vehicle. Prefer DVSA's own due date when it sends one.
+    const firstMotDue = parseDvsaDate(vehicleInfo.motTestDueDate || vehicleInfo.motTestExpiryDate)
+        || (firstUsed && addYears(firstUsed, FIRST_MOT_AGE_YEARS));
+    if (!firstMotDue) {
+        return result(MOT_STATUS.NO_DATA, 'no_data', null, now);
+    }
+
+    const status = statusForExpiry(firstMotDue, now, dueSoonDays, { beforeFirstMot: true });
+    return result(status, status === MOT_STATUS.EXPIRED ? 'first_mot_overdue' : 'new_vehicle', firstMotDue, now);
+}
+
+module.exports = {
+    MOT_STATUS,
+    computeMotStatus,
+};
@@ -0,0 +1,12 @@
+// --- A notification that could not be delivered ---
+// `retryable` is false when trying again cannot help (e.g. the receiver answered 4xx).
+class DeliveryError extends Error {
+    constructor(message, { retryable = true, status } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+module.exports = { DeliveryError };
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { DeliveryError } = require('./errors');
+const { WebhookSender, generateWebhookSecret, signWebhook, verifyWebhookSignature } = require('./webhook');
+const { EmailSender, renderEmail } = require('./email');
+const { checkWebhookTarget, isPrivateAddress } = require('./targets');
+const { logger, metrics } = require('../observability');
+const { intFromEnv, sleep } = require('../util');
+
+// --- Outbound notifications: signed webhooks and SMTP email, with retries ---
+// deliver() never throws: it resolves to a delivery record that callers store, so a
+// receiver that is down shows up in the record instead of breaking the caller's loop.
+
+const CHANNEL_TYPES = ['webhook', 'email'];
+
+// An event as webhooks receive it; retries of the same event keep its `id`
+function createEvent(type, data, now = Date.now()) {
+    return { id: `evt_${crypto.randomUUID()}`, type, created_at: new Date(now).toISOString(), data };
+}
+
+class Notifier {
+    constructor({ webhook = new WebhookSender(), email = null, maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+        this.senders = { webhook, email };
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+    }
+
+    supports(channelType) {
+        return Boolean(this.senders[channelType]);
+    }
+
+    // Resolves to { event_id, type, channel, status: "sent" | "failed", attempts, at, error? }
+    async deliver(channel, event) {
+        const record = { event_id: event.id, type: event.type, channel: channel.type, attempts: 0 };
+        const sender = this.senders[channel.type];
+        if (!sender) {
+            return this.finish(record, new DeliveryError(`No ${channel.type} sender is configured`, { retryable: false }));
+        }
+
+        for (;;) {
+            record.attempts += 1;
+            try {
+                await sender.send(channel, event);
+                return this.finish(record, null);
+            } catch (error) {
+                if (record.attempts > this.maxRetries || error.retryable === false) {
+                    return this.finish(record, error);
+                }
+                // Exponential backoff with full jitter
+                const delay = Math.min(this.maxDelayMs, Math.random() * this.baseDelayMs * 2 ** (record.attempts - 1));
+                logger.warn('Notification failed, retrying', { event_id: event.id, channel: channel.type, retry_in_ms: Math.round(delay), error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    finish(record, error) {
+        const status = error ? 'failed' : 'sent';
+        metrics.notifications.inc({ channel: record.channel, type: record.type, status });
+        if (error) {
+            logger.error('Notification could not be delivered', { event_id: record.event_id, channel: record.channel, attempts: record.attempts, error });
+        }
+        return { ...record, status, at: new Date().toISOString(), ...(error ? { error: error.message } : {}) };
+    }
+}
+
+// --- Build from WEBHOOK_* / NOTIFY_* / SMTP_* environment variables ---
+// Email is only available when SMTP_URL is set.
+function createNotifier(env = process.env) {
+    return new Notifier({
+        webhook: new WebhookSender({
+            timeoutMs: intFromEnv(env, 'WEBHOOK_TIMEOUT_MS', 5000),
+            allowPrivateTargets: env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+        }),
+        email: env.SMTP_URL ? new EmailSender({ url: env.SMTP_URL, from: env.SMTP_FROM }) : null,
+        maxRetries: intFromEnv(env, 'NOTIFY_MAX_RETRIES', 3),
+        baseDelayMs: intFromEnv(env, 'NOTIFY_RETRY_BASE_DELAY_MS', 1000),
+    });
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    DeliveryError,
+    EmailSender,
+    Notifier,
+    WebhookSender,
+    checkWebhookTarget,
+    createEvent,
+    createNotifier,
+    generateWebhookSecret,
+    isPrivateAddress,
+    renderEmail,
+    signWebhook,
+    verifyWebhookSignature,
+};
@@ -0,0 +1,117 @@
+const dns = require('dns');
+const net = require('net');
+
+// --- Keep webhooks away from our own network ---
+// Webhook URLs come from API clients, and the server POSTs to them on its own, so an
+// unchecked URL would let any client reach loopback services, the cloud metadata
+// endpoint (169.254.169.254) or hosts on the private network (SSRF). URLs are checked
+// when they are registered, and every connection is checked again after DNS resolution,
+// so a hostname that later resolves to a private address is refused too.
+// WEBHOOK_ALLOW_PRIVATE_TARGETS=true turns the checks off for local development.
+
+// [network, prefix length]: "this" network, private, carrier-grade NAT, loopback,
+// link-local (cloud metadata), IETF protocol assignments, benchmarking, multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+];
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+
+const BLOCKED_ADDRESS_CODE = 'EBLOCKEDADDRESS';
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+}
+
+function isBlockedIpv4(address) {
+    const value = ipv4ToNumber(address);
+    return BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+        const size = 2 ** (32 - prefix);
+        return Math.floor(value / size) === Math.floor(ipv4ToNumber(network) / size);
+    });
+}
+
+function isBlockedIpv6(address) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses are judged as IPv4, whether written ::ffff:127.0.0.1 or
+    // ::ffff:7f00:1 (the form URL parsing normalises to)
+    const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        return isBlockedIpv4(dotted[1]);
+    }
+    const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+        const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+        return isBlockedIpv4([high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+    }
+    const firstGroup = parseInt(lower.startsWith('::') ? '0' : lower.split(':')[0], 16);
+    return lower === '::' || lower === '::1'
+        || (firstGroup & 0xfe00) === 0xfc00 // unique local, includes AWS fd00:ec2::254
+        || (firstGroup & 0xffc0) === 0xfe80 // link-local
+        || (firstGroup & 0xff00) === 0xff00; // multicast
+}
+
+// True for loopback, private, link-local, metadata and other non-public addresses
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return isBlockedIpv4(address);
+    }
+    return family === 6 ? isBlockedIpv6(address) : false;
+}
+
+// Checks what can be told from the URL alone; returns an error message or null
+function checkWebhookTarget(value) {
+    let hostname;
+    try {
+        hostname = new URL(value).hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    } catch (error) {
+        return 'is not a valid URL';
+    }
+    if (BLOCKED_HOSTNAMES.some(blocked => hostname === blocked || hostname.endsWith(`.${blocked}`))) {
+        return `must not point at ${hostname}`;
+    }
+    if (isPrivateAddress(hostname)) {
+        return 'must not point at a private, loopback or link-local address';
+    }
+    return null;
+}
+
+// A dns.lookup() replacement for http(s).Agent: resolves as usual, then refuses the
+// connection if any resolved address is private
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) {
+            const refusal = new Error(`${hostname} resolves to ${blocked}, a private address`);
+            refusal.code = BLOCKED_ADDRESS_CODE;
+            return callback(refusal);
+        }
+        return callback(null, address, family);
+    });
+}
+
+module.exports = {
+    BLOCKED_ADDRESS_CODE,
+    checkWebhookTarget,
+    guardedLookup,
+    isPrivateAddress,
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const { DeliveryError } = require('./errors');
+const { BLOCKED_ADDRESS_CODE, checkWebhookTarget, guardedLookup } = require('./targets');
+
+// --- Signed webhook delivery ---
+// Each event is POSTed as JSON with these headers:
+//   X-MOT-Event        the event type, e.g. "mot.expiry_reminder"
+//   X-MOT-Delivery     the event ID; retries of one event reuse it, so receivers can deduplicate
+//   X-MOT-Timestamp    Unix seconds when this attempt was signed
+//   X-MOT-Signature    "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret
+// Receivers should recompute the signature over the raw body and reject old timestamps.
+
+const SIGNATURE_HEADER = 'X-MOT-Signature';
+const TIMESTAMP_HEADER = 'X-MOT-Timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function signWebhook(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers (and tests): true when `signature` matches and `timestamp` is recent
+function verifyWebhookSignature(secret, { signature, timestamp, body }, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    if (!signature || !/^\d+$/.test(String(timestamp))) {
+        return false;
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signWebhook(secret, timestamp, body));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// A new per-webhook secret, shown to the caller once when the webhook is registered
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+class WebhookSender {
+    // `allowPrivateTargets` skips the private address checks in ./targets (local development only)
+    constructor({ timeoutMs = 5000, fetchImpl = fetch, allowPrivateTargets = false } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetchImpl;
+        this.allowPrivateTargets = allowPrivateTargets;
+        // Every connection these agents open resolves its host through guardedLookup
+        this.agents = allowPrivateTargets ? null : {
+            'http:': new http.Agent({ lookup: guardedLookup }),
+            'https:': new https.Agent({ lookup: guardedLookup }),
+        };
+    }
+
+    // `channel` is { url, secret }. Resolves to { status } or throws a DeliveryError.
+    async send(channel, event) {
+        if (!this.allowPrivateTargets) {
+            const problem = checkWebhookTarget(channel.url);
+            if (problem) {
+                throw new DeliveryError(`Webhook URL ${problem}`, { retryable: false });
+            }
+        }
+        const body = JSON.stringify(event);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+
+        let response;
+        try {
+            response = await this.fetch(channel.url, {
+                method: 'POST',
+                body,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'uk-car-mot-checker-webhooks',
+                    'X-MOT-Event': event.type,
+                    'X-MOT-Delivery': event.id,
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: signWebhook(channel.secret, timestamp, body),
+                },
+                timeout: this.timeoutMs,
+                redirect: 'manual',
+                agent: this.agents ? url => this.agents[url.protocol] : undefined,
+            });
+        } catch (error) {
+            if (error.code === BLOCKED_ADDRESS_CODE) {
+                throw new DeliveryError(`Webhook refused: ${error.message}`, { retryable: false });
+            }
+            const reason = error.type === 'request-timeout' ? `timed out after ${this.timeoutMs}ms` : error.message;
+            throw new DeliveryError(`Webhook request failed: ${reason}`, { retryable: true });
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            // Receivers that are down or overloaded may recover; other rejections will not change
+            const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+            throw new DeliveryError(`Webhook answered with status ${response.status}`, { retryable, status: response.status });
+        }
+        return { status: response.status };
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    WebhookSender,
+    generateWebhookSecret,
+    signWebhook,
+    verifyWebhookSignature,
+};
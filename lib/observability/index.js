@@ -0,0 +1,154 @@
+const { CONTENT_TYPE, Counter, Gauge, Histogram, MetricsRegistry } = require('./metrics');
+const { LEVELS, FORMATS, Logger, randomSalt, runWithLogContext } = require('./logger');
+const { enableOpenTelemetry, setTracer, withSpan } = require('./tracing');
+
+// --- Process-wide logger, metrics and tracing hook ---
+// lib/ modules log and count through these shared instances; entry points call
+// configureObservability(config.env) once at startup (loadConfigOrExit does it).
+
+const logger = new Logger();
+const registry = new MetricsRegistry();
+
+// Upstream calls are slower than our own requests, so their buckets reach further
+const DVSA_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const CIRCUIT_STATES = ['closed', 'half_open', 'open'];
+
+const metrics = {
+    httpRequests: registry.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests handled, by route template and status code.',
+        labelNames: ['method', 'route', 'status'],
+    }),
+    httpDuration: registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'Time to handle an HTTP request.',
+        labelNames: ['method', 'route'],
+    }),
+    lookups: registry.counter({
+        name: 'mot_lookups_total',
+        help: 'Vehicle lookups by kind (registration, vin, batch_item, watchlist, subscription) and outcome ("ok" or the problem code).',
+        labelNames: ['kind', 'outcome'],
+    }),
+    cacheRequests: registry.counter({
+        name: 'mot_cache_requests_total',
+        help: 'Response cache lookups by result (hit, stale or miss).',
+        labelNames: ['result'],
+    }),
+    cacheHitRatio: registry.gauge({
+        name: 'mot_cache_hit_ratio',
+        help: 'Share of cache lookups answered from the cache (hit or stale) since the process started.',
+        collect: gauge => {
+            const [hit, stale, miss] = ['hit', 'stale', 'miss'].map(result => metrics.cacheRequests.get({ result }));
+            const total = hit + stale + miss;
+            gauge.set({}, total === 0 ? 0 : (hit + stale) / total);
+        },
+    }),
+    dvsaDuration: registry.histogram({
+        name: 'dvsa_request_duration_seconds',
+        help: 'DVSA MOT API request latency per attempt, by operation and outcome (HTTP status, "timeout" or "network_error").',
+        labelNames: ['operation', 'outcome'],
+        buckets: DVSA_LATENCY_BUCKETS,
+    }),
+    tokenRequests: registry.counter({
+        name: 'dvsa_token_requests_total',
+        help: 'OAuth token requests to Azure AD, by result (success or failure).',
+        labelNames: ['result'],
+    }),
+    circuitBreakerState: registry.gauge({
+        name: 'dvsa_circuit_breaker_state',
+        help: 'DVSA circuit breaker state: 1 for the current state, 0 for the others.',
+        labelNames: ['state'],
+    }),
+    notifications: registry.counter({
+        name: 'notifications_total',
+        help: 'Reminder and change notifications by channel (webhook or email), event type and status (sent or failed).',
+        labelNames: ['channel', 'type', 'status'],
+    }),
+    processStart: registry.gauge({
+        name: 'process_start_time_seconds',
+        help: 'Start time of the process since the Unix epoch, in seconds.',
+    }),
+};
+metrics.processStart.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+// Report `breaker`'s state whenever metrics are scraped
+function observeCircuitBreaker(breaker) {
+    metrics.circuitBreakerState.collect = gauge => {
+        for (const state of CIRCUIT_STATES) {
+            gauge.set({ state }, breaker.getState() === state ? 1 : 0);
+        }
+    };
+}
+
+// --- Apply LOG_*, TRACING_ENABLED and the secrets to scrub from log lines ---
+// Without LOG_HASH_SALT (never in production: lib/config refuses it) each process gets a
+// random salt, so hashes still cannot be reversed but do not match across restarts.
+function configureObservability(env = process.env) {
+    logger.configure({
+        level: env.LOG_LEVEL || 'info',
+        format: env.LOG_FORMAT || 'json',
+        hashSalt: env.LOG_HASH_SALT || randomSalt(),
+        secrets: [env.DVSA_CLIENT_SECRET, env.DVSA_API_KEY],
+    });
+    if (!env.LOG_HASH_SALT) {
+        logger.warn('LOG_HASH_SALT is not set; using a random salt, so hashed registrations will not match across restarts');
+    }
+    if (env.TRACING_ENABLED === 'true') {
+        enableOpenTelemetry();
+    }
+}
+
+// Probes and scrapes arrive every few seconds; their access log lines are debug-only
+const QUIET_ROUTES = ['/healthz', '/readyz', '/metrics'];
+
+// --- Express middleware, after correlationId(): log context, access log and HTTP metrics ---
+// Routes are logged and counted by template ("/api/mot-check/:registration"), never by the
+// actual path, so neither the logs nor the metric labels contain registrations.
+function requestObserver() {
+    return (req, res, next) => {
+        const stopTimer = metrics.httpDuration.startTimer();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const seconds = stopTimer({ method: req.method, route });
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            const level = QUIET_ROUTES.includes(route) && res.statusCode < 400 ? 'debug' : 'info';
+            logger[level]('Request completed', {
+                correlation_id: req.correlationId,
+                method: req.method,
+                route,
+                status: res.statusCode,
+                duration_ms: Math.round(seconds * 1000),
+                client: req.apiClient ? req.apiClient.id : undefined,
+            });
+        });
+        runWithLogContext({ correlation_id: req.correlationId }, next);
+    };
+}
+
+// --- GET /metrics, in the Prometheus text format ---
+function metricsHandler() {
+    return (req, res) => {
+        res.type(CONTENT_TYPE).send(registry.render());
+    };
+}
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    Counter,
+    Gauge,
+    Histogram,
+    Logger,
+    MetricsRegistry,
+    logger,
+    registry,
+    metrics,
+    configureObservability,
+    observeCircuitBreaker,
+    requestObserver,
+    metricsHandler,
+    runWithLogContext,
+    setTracer,
+    withSpan,
+};
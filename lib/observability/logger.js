@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redactSecrets } = require('../redact');
+
+// --- Structured logging: one JSON object per line ---
+//   {"time":"…","level":"info","msg":"…","correlation_id":"…", …fields}
+// Fields set with runWithLogContext() (the request's correlation ID) are added to every
+// line logged while that request is being handled, including from lib/ code that never
+// sees the request. Registrations and VINs are hashed and secrets redacted before writing.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+// Fields that identify a vehicle: logged as a salted hash, so lines about the same vehicle
+// can still be matched up without the plate itself appearing in the logs
+const HASHED_FIELDS = ['registration', 'vin', 'cache_key'];
+
+const context = new AsyncLocalStorage();
+
+function runWithLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Errors serialise to {}; keep what is useful and nothing that could hold a response body
+function serialiseError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.upstreamStatus !== undefined ? { upstream_status: error.upstreamStatus } : {}),
+    };
+}
+
+// Used until a salt is configured, so registrations are never hashed unsalted
+function randomSalt() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+class Logger {
+    constructor({ level = 'info', format = 'json', hashSalt = randomSalt(), secrets = [], fields = {} } = {}) {
+        this.configure({ level, format, hashSalt, secrets });
+        this.fields = fields;
+    }
+
+    configure({ level = this.level, format = this.format, hashSalt = this.hashSalt, secrets = this.secrets } = {}) {
+        this.level = LEVELS[level] ? level : 'info';
+        this.format = FORMATS.includes(format) ? format : 'json';
+        this.hashSalt = hashSalt;
+        this.secrets = secrets.filter(Boolean);
+    }
+
+    // A logger that adds `fields` to every line and shares this one's settings
+    child(fields) {
+        const child = Object.create(this);
+        child.fields = { ...this.fields, ...fields };
+        return child;
+    }
+
+    hash(value) {
+        return `sha256:${crypto.createHash('sha256').update(`${this.hashSalt}${value}`).digest('hex').slice(0, 16)}`;
+    }
+
+    prepare(fields) {
+        const prepared = {};
+        for (const [name, value] of Object.entries(fields)) {
+            if (value === undefined) {
+                continue;
+            }
+            if (value instanceof Error) {
+                prepared[name] = serialiseError(value);
+            } else if (HASHED_FIELDS.includes(name) && value !== null && value !== '') {
+                prepared[name] = this.hash(value);
+            } else {
+                prepared[name] = value;
+            }
+        }
+        return redactSecrets(prepared, this.secrets);
+    }
+
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...this.prepare({ ...context.getStore(), ...this.fields, ...fields }),
+        };
+        const line = this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        // Through console (looked up on every call) so tests and the diagnose CLI can redirect it
+        if (level === 'error') {
+            console.error(line);
+        } else if (level === 'warn') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+}
+
+// For people reading a terminal: "12:00:00.000 INFO  message key=value …"
+function formatPretty({ time, level, msg, ...fields }) {
+    const extras = Object.entries(fields).map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...extras].join(' ');
+}
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    Logger,
+    randomSalt,
+    runWithLogContext,
+};
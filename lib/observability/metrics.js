@@ -0,0 +1,200 @@
+// --- Minimal Prometheus metrics: counters, gauges and histograms with labels ---
+// Rendered in the text exposition format (version 0.0.4) by MetricsRegistry.render().
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor({ name, help, labelNames = [] }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    // Only the declared labels, in declaration order, so the same labels always hit the same series
+    pickLabels(labels = {}) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+        }
+        return picked;
+    }
+
+    seriesFor(labels, create) {
+        const picked = this.pickLabels(labels);
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, create(picked));
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels, amount = 1) {
+        this.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value += amount;
+    }
+
+    get(labels) {
+        const series = this.series.get(JSON.stringify(this.pickLabels(labels)));
+        return series ? series.value : 0;
+    }
+
+    lines() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+// `collect()`, when given, is called at render time to set values that are read rather than counted
+class Gauge extends Counter {
+    constructor(options) {
+        super(options);
+        this.collect = options.collect || null;
+    }
+
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    lines() {
+        if (this.collect) {
+            this.collect(this);
+        }
+        return super.lines();
+    }
+}
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Histogram extends Metric {
+    constructor(options) {
+        super(options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, picked => ({
+            labels: picked,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+        }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index] += 1;
+            }
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    // Starts a timer; calling the returned function observes the elapsed seconds
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    reset() {
+        for (const metric of this.metrics.values()) {
+            metric.reset();
+        }
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+};
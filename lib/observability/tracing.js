@@ -0,0 +1,52 @@
+// --- Optional OpenTelemetry spans around DVSA calls ---
+// Off by default. With TRACING_ENABLED=true the spans go through the optional
+// `@opentelemetry/api` package, so whichever SDK and exporter the process starts with
+// (e.g. `node --require @opentelemetry/auto-instrumentations-node/register server.js`)
+// receives them. Without an SDK the API is a no-op. setTracer() takes any object with
+// the same startActiveSpan() method, which is how tests hook in.
+
+const TRACER_NAME = 'uk-car-mot-checker';
+
+// OpenTelemetry SpanStatusCode.ERROR, without needing the package loaded
+const SPAN_STATUS_ERROR = 2;
+
+let tracer = null;
+
+function setTracer(newTracer) {
+    tracer = newTracer || null;
+}
+
+function enableOpenTelemetry() {
+    let api;
+    try {
+        api = require('@opentelemetry/api');
+    } catch (error) {
+        throw new Error('TRACING_ENABLED=true requires the "@opentelemetry/api" package. Install it with: npm install @opentelemetry/api');
+    }
+    setTracer(api.trace.getTracer(TRACER_NAME));
+}
+
+// Runs `fn(span)` inside a span called `name`. `span` is null when tracing is off, so callers
+// write `span && span.setAttribute(…)`. Failures are recorded on the span and rethrown.
+async function withSpan(name, attributes, fn) {
+    if (!tracer) {
+        return fn(null);
+    }
+    return tracer.startActiveSpan(name, { attributes }, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+module.exports = {
+    enableOpenTelemetry,
+    setTracer,
+    withSpan,
+};
@@ -0,0 +1,70 @@
+const { mapWithConcurrency } = require('./concurrency');
+const { logger } = require('./observability');
+
+// --- Base class for jobs that re-check every entry in a store on an interval ---
+// Subclasses implement check(entry), resolving to { sent, error? }. Used by the
+// watchlist reminders and the change subscriptions. `charge(entry)` is called before each
+// check and returns false when the entry's owner has no quota left; the entry is then
+// skipped until a later run and its `last_error` says why.
+class EntryPoller {
+    constructor({ name, store, intervalMs, concurrency = 2, charge = () => true }) {
+        this.name = name;
+        this.store = store;
+        this.intervalMs = intervalMs;
+        this.concurrency = concurrency;
+        this.charge = charge;
+        this.timer = null;
+        this.running = null;
+    }
+
+    // Run now, then every `intervalMs`; the timer does not keep the process alive
+    start() {
+        if (this.timer) {
+            return;
+        }
+        const run = () => this.runOnce().catch(error => logger.error(`${this.name} check failed`, { error }));
+        this.timer = setInterval(run, this.intervalMs);
+        this.timer.unref();
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // A run that starts while another is in progress waits for that one instead
+    runOnce() {
+        if (!this.running) {
+            this.running = this.checkAll().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async checkAll() {
+        const entries = this.store.list();
+        const results = await mapWithConcurrency(entries, this.concurrency, entry => (this.charge(entry) ? this.check(entry) : this.skip(entry)));
+        const summary = {
+            checked: entries.length,
+            failed: results.filter(result => result.error).length,
+            skipped: results.filter(result => result.skipped).length,
+            sent: results.reduce((sum, result) => sum + result.sent, 0),
+        };
+        logger.info(`${this.name} checked`, summary);
+        return summary;
+    }
+
+    skip(entry) {
+        const checkedAt = new Date().toISOString();
+        this.store.update(entry.id, { last_checked_at: checkedAt, last_error: { code: 'QUOTA_EXCEEDED', at: checkedAt } });
+        return { sent: 0, skipped: true };
+    }
+
+    async check() {
+        throw new Error('check() must be implemented by subclasses');
+    }
+}
+
+module.exports = { EntryPoller };
@@ -0,0 +1,40 @@
+// --- Scrub secrets from anything we render, log or save ---
+// Known secret values (our client secret, API keys, bearer tokens) are replaced wherever they
+// appear, fields whose names look secret are blanked, and JWT-shaped strings are removed even
+// when we did not issue them.
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /token|secret|password|api[-_]?key|authorization|assertion/i;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+
+// Secrets shorter than this would redact ordinary words, so they are ignored
+const MIN_SECRET_LENGTH = 8;
+
+function redactText(text, secrets = []) {
+    return secrets
+        .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+        .reduce((result, secret) => result.split(secret).join(REDACTED), text)
+        .replace(JWT_PATTERN, REDACTED);
+}
+
+function redactSecrets(value, secrets = []) {
+    if (typeof value === 'string') {
+        return redactText(value, secrets);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, secrets));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SECRET_FIELD.test(key) ? REDACTED : redactSecrets(item, secrets),
+        ]));
+    }
+    return value;
+}
+
+module.exports = {
+    REDACTED,
+    redactText,
+    redactSecrets,
+};
@@ -0,0 +1,187 @@
+// --- UK registration number normalisation, validation and format detection ---
+
+const MAX_LENGTH = 7;
+
+// Prefix plates (A123 BCD): the leading letter marks a twelve-month period
+// from August, until the switch to six-monthly letters in 1998.
+const PREFIX_PERIODS = {
+    A: ['1983-08-01', '1984-07-31'],
+    B: ['1984-08-01', '1985-07-31'],
+    C: ['1985-08-01', '1986-07-31'],
+    D: ['1986-08-01', '1987-07-31'],
+    E: ['1987-08-01', '1988-07-31'],
+    F: ['1988-08-01', '1989-07-31'],
+    G: ['1989-08-01', '1990-07-31'],
+    H: ['1990-08-01', '1991-07-31'],
+    J: ['1991-08-01', '1992-07-31'],
+    K: ['1992-08-01', '1993-07-31'],
+    L: ['1993-08-01', '1994-07-31'],
+    M: ['1994-08-01', '1995-07-31'],
+    N: ['1995-08-01', '1996-07-31'],
+    P: ['1996-08-01', '1997-07-31'],
+    R: ['1997-08-01', '1998-07-31'],
+    S: ['1998-08-01', '1999-02-28'],
+    T: ['1999-03-01', '1999-08-31'],
+    V: ['1999-09-01', '2000-02-29'],
+    W: ['2000-03-01', '2000-08-31'],
+    X: ['2000-09-01', '2001-02-28'],
+    Y: ['2001-03-01', '2001-08-31'],
+};
+
+// Suffix plates (ABC 123D): calendar years to 1966, then August to July.
+const SUFFIX_PERIODS = {
+    A: ['1963-02-01', '1963-12-31'],
+    B: ['1964-01-01', '1964-12-31'],
+    C: ['1965-01-01', '1965-12-31'],
+    D: ['1966-01-01', '1966-12-31'],
+    E: ['1967-01-01', '1967-07-31'],
+    F: ['1967-08-01', '1968-07-31'],
+    G: ['1968-08-01', '1969-07-31'],
+    H: ['1969-08-01', '1970-07-31'],
+    J: ['1970-08-01', '1971-07-31'],
+    K: ['1971-08-01', '1972-07-31'],
+    L: ['1972-08-01', '1973-07-31'],
+    M: ['1973-08-01', '1974-07-31'],
+    N: ['1974-08-01', '1975-07-31'],
+    P: ['1975-08-01', '1976-07-31'],
+    R: ['1976-08-01', '1977-07-31'],
+    S: ['1977-08-01', '1978-07-31'],
+    T: ['1978-08-01', '1979-07-31'],
+    V: ['1979-08-01', '1980-07-31'],
+    W: ['1980-08-01', '1981-07-31'],
+    X: ['1981-08-01', '1982-07-31'],
+    Y: ['1982-08-01', '1983-07-31'],
+};
+
+const PATTERNS = {
+    current: /^[A-Z]{2}(\d{2})[A-Z]{3}$/,
+    prefix: /^([A-Z])\d{1,3}[A-Z]{3}$/,
+    suffix: /^[A-Z]{3}\d{1,3}([A-Z])$/,
+    diplomatic: /^\d{3}[DX]\d{3}$/,
+    northernIreland: /^[A-Z]?([A-Z]{2})\d{1,4}$/,
+    dateless: /^(?:[A-Z]{1,3}\d{1,4}|\d{1,4}[A-Z]{1,3})$/,
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function lastDayOfFebruary(year) {
+    const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return isLeap ? 29 : 28;
+}
+
+// Current-style age identifiers: "02" is March 2002, "52" is September 2002.
+// "00" and "50" are reserved for March and September 2050.
+function currentFormatPeriod(ageIdentifier) {
+    const value = parseInt(ageIdentifier, 10);
+    if (value < 50) {
+        const year = value === 0 ? 2050 : 2000 + value;
+        return { from: `${year}-03-01`, to: `${year}-08-31` };
+    }
+    const year = value === 50 ? 2050 : 2000 + value - 50;
+    return { from: `${year}-09-01`, to: `${year + 1}-02-${pad(lastDayOfFebruary(year + 1))}` };
+}
+
+function toDateString(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// --- Strip spaces and hyphens and upper-case the input ---
+function normaliseRegistration(input) {
+    if (input === undefined || input === null) {
+        return '';
+    }
+    return String(input).toUpperCase().replace(/[\s-]/g, '');
+}
+
+function invalid(registration, reason) {
+    return { valid: false, registration, reason };
+}
+
+// --- Validate a registration and detect its format and age identifier ---
+// Returns { valid: true, registration, format, ageIdentifier, period } or
+// { valid: false, registration, reason }. `period` is null for formats that
+// do not encode a date (dateless, Northern Ireland, diplomatic).
+function parseRegistration(input, { now = new Date() } = {}) {
+    const registration = normaliseRegistration(input);
+
+    if (!registration) {
+        return invalid(registration, 'Registration number is required.');
+    }
+    if (!/^[A-Z0-9]+$/.test(registration)) {
+        return invalid(registration, 'Registration numbers may only contain letters and digits.');
+    }
+    if (registration.length > MAX_LENGTH) {
+        return invalid(registration, `Registration numbers are at most ${MAX_LENGTH} characters long.`);
+    }
+
+    let match = registration.match(PATTERNS.current);
+    if (match) {
+        const ageIdentifier = match[1];
+        // The current format started with "51" in September 2001, so "01" was never issued
+        if (ageIdentifier === '01') {
+            return invalid(registration, 'Age identifier "01" was never issued.');
+        }
+        const period = currentFormatPeriod(ageIdentifier);
+        if (period.from > toDateString(now)) {
+            return invalid(registration, `Age identifier "${ageIdentifier}" has not been issued yet.`);
+        }
+        return { valid: true, registration, format: 'current', ageIdentifier, period };
+    }
+
+    match = registration.match(PATTERNS.prefix);
+    if (match) {
+        const ageIdentifier = match[1];
+        if (!PREFIX_PERIODS[ageIdentifier]) {
+            return invalid(registration, `"${ageIdentifier}" is not a valid prefix age identifier.`);
+        }
+        const [from, to] = PREFIX_PERIODS[ageIdentifier];
+        return { valid: true, registration, format: 'prefix', ageIdentifier, period: { from, to } };
+    }
+
+    match = registration.match(PATTERNS.suffix);
+    if (match) {
+        const ageIdentifier = match[1];
+        if (!SUFFIX_PERIODS[ageIdentifier]) {
+            return invalid(registration, `"${ageIdentifier}" is not a valid suffix age identifier.`);
+        }
+        const [from, to] = SUFFIX_PERIODS[ageIdentifier];
+        return { valid: true, registration, format: 'suffix', ageIdentifier, period: { from, to } };
+    }
+
+    if (PATTERNS.diplomatic.test(registration)) {
+        return { valid: true, registration, format: 'diplomatic', ageIdentifier: null, period: null };
+    }
+
+    // Northern Ireland plates carry a two-letter area code containing I or Z
+    match = registration.match(PATTERNS.northernIreland);
+    if (match && /[IZ]/.test(match[1])) {
+        return { valid: true, registration, format: 'northern_ireland', ageIdentifier: null, period: null };
+    }
+
+    if (PATTERNS.dateless.test(registration)) {
+        return { valid: true, registration, format: 'dateless', ageIdentifier: null, period: null };
+    }
+
+    return invalid(registration, 'Registration number does not match any UK registration format.');
+}
+
+// --- Summary of a registration for API responses ---
+function describeRegistration(input) {
+    const parsed = parseRegistration(input);
+    if (!parsed.valid) {
+        return null;
+    }
+    return {
+        format: parsed.format,
+        age_identifier: parsed.ageIdentifier,
+        registration_period: parsed.period,
+    };
+}
+
+module.exports = {
+    normaliseRegistration,
+    parseRegistration,
+    describeRegistration,
+};
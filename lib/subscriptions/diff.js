@@ -0,0 +1,56 @@
+// --- Compare a vehicle's MOT history with the last snapshot and describe what is new ---
+// Tests are matched by test number, so a re-ordered or re-fetched history raises nothing.
+// Each change comes with a `key` that identifies it across polls, for deduplication.
+
+const EVENT_TYPES = ['test.passed', 'test.failed', 'defect.dangerous', 'mileage.anomaly'];
+
+const RESULT_EVENTS = {
+    PASSED: 'test.passed',
+    FAILED: 'test.failed',
+};
+
+function testSummary(test) {
+    return {
+        test_number: test.test_number,
+        completed_at: test.completed_at,
+        test_result: test.test_result,
+        expiry_date: test.expiry_date,
+        odometer: test.odometer,
+    };
+}
+
+// `previousTests` are the snapshot's v2 motTests; `record` is the current v2 payload.
+// Returns [{ key, type, data }] oldest test first.
+function diffMotHistory(previousTests, record) {
+    const seen = new Set((previousTests || []).map(test => test.test_number));
+    const newTests = (record.motTests || [])
+        .filter(test => !seen.has(test.test_number))
+        .sort((a, b) => (a.completed_at || '').localeCompare(b.completed_at || ''));
+    const anomalies = (record.mileage && record.mileage.anomalies) || [];
+
+    const changes = [];
+    for (const test of newTests) {
+        const summary = testSummary(test);
+        const resultEvent = RESULT_EVENTS[String(test.test_result).toUpperCase()];
+        if (resultEvent) {
+            changes.push({ key: `${resultEvent}:${test.test_number}`, type: resultEvent, data: { test: summary } });
+        }
+
+        const dangerous = (test.defects || []).filter(defect => defect.dangerous);
+        if (dangerous.length > 0) {
+            changes.push({ key: `defect.dangerous:${test.test_number}`, type: 'defect.dangerous', data: { test: summary, defects: dangerous } });
+        }
+
+        // Mileage anomalies are reported against the test date of the later reading
+        const testDate = test.completed_at ? test.completed_at.slice(0, 10) : null;
+        for (const anomaly of anomalies.filter(candidate => testDate && candidate.test_date === testDate)) {
+            changes.push({ key: `mileage.anomaly:${test.test_number}:${anomaly.type}`, type: 'mileage.anomaly', data: { test: summary, anomaly } });
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    diffMotHistory,
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { generateWebhookSecret } = require('../notifications');
+const { parseChannel } = require('../watchlist');
+const { EVENT_TYPES, diffMotHistory } = require('./diff');
+const { SubscriptionStore } = require('./store');
+const { SubscriptionPoller } = require('./poller');
+const { intFromEnv } = require('../util');
+
+const DEFAULT_MAX_PER_CLIENT = 100;
+
+// --- Change subscriptions: typed webhooks when a vehicle's MOT history changes ---
+// Subscriptions belong to the API client that created them. Like watchlist webhooks,
+// each gets its own signing secret, returned once on creation.
+
+// --- Validate the "channel" and "events" of POST /api/subscriptions; returns { value } or { error } ---
+// Only webhook channels are accepted. Without "events", every event type is delivered.
+function parseSubscriptionRequest(body, { production = false, allowPrivateTargets = false } = {}) {
+    const { value: channel, error } = parseChannel(body && body.channel, { production, allowPrivateTargets, types: ['webhook'] });
+    if (error) {
+        return { error };
+    }
+    const events = body.events === undefined ? EVENT_TYPES : body.events;
+    if (!Array.isArray(events) || events.length === 0 || !events.every(type => EVENT_TYPES.includes(type))) {
+        return { error: `"events" must be a non-empty array of ${EVENT_TYPES.join(', ')}` };
+    }
+    return { value: { channel, events: [...new Set(events)] } };
+}
+
+// `record` is the vehicle's current v2 payload, which becomes the first snapshot
+function createSubscription({ registration, channel, events }, record, clientId, now = Date.now()) {
+    const createdAt = new Date(now).toISOString();
+    return {
+        id: `sub_${crypto.randomUUID()}`,
+        client_id: clientId,
+        registration,
+        events,
+        channel: { ...channel, secret: generateWebhookSecret() },
+        created_at: createdAt,
+        snapshot: { taken_at: createdAt, motTests: record.motTests },
+        last_checked_at: createdAt,
+        last_error: null,
+    };
+}
+
+// The subscription as clients see it: no secret, dedupe keys or full snapshot
+function describeSubscription(subscription, { includeDeliveries = false } = {}) {
+    const { secret, ...channel } = subscription.channel;
+    const { sent, deliveries, dead_letters: deadLetters, snapshot, ...rest } = subscription;
+    return {
+        ...rest,
+        channel,
+        snapshot: { taken_at: snapshot.taken_at, tests: snapshot.motTests.length },
+        dead_letters: deadLetters.length,
+        ...(includeDeliveries ? { deliveries } : {}),
+    };
+}
+
+// --- Build the store and poller from SUBSCRIPTIONS_* environment variables ---
+// `lookup(registration)` resolves to the v2 vehicle payload (server.js passes its DVSA lookup);
+// `charge(subscription)` spends its owner's quota for each poll (see EntryPoller).
+function createSubscriptions(env = process.env, { lookup, notifier, charge }) {
+    const store = new SubscriptionStore({ filePath: env.SUBSCRIPTIONS_FILE || 'subscriptions.json' });
+    const poller = new SubscriptionPoller({
+        store,
+        lookup,
+        notifier,
+        charge,
+        intervalMs: parseInt(env.SUBSCRIPTIONS_POLL_INTERVAL_SECONDS || '3600', 10) * 1000,
+    });
+    return { store, poller, maxPerClient: intFromEnv(env, 'SUBSCRIPTIONS_MAX_PER_CLIENT', DEFAULT_MAX_PER_CLIENT) };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    SubscriptionPoller,
+    SubscriptionStore,
+    createSubscription,
+    createSubscriptions,
+    describeSubscription,
+    diffMotHistory,
+    parseSubscriptionRequest,
+};
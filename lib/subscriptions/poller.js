@@ -0,0 +1,61 @@
+const { EntryPoller } = require('../polling');
+const { createEvent } = require('../notifications');
+const { logger } = require('../observability');
+const { diffMotHistory } = require('./diff');
+
+// --- Polls DVSA for every subscription and delivers what changed ---
+// The new history replaces the snapshot after every successful poll. Events the receiver
+// still refuses after the notifier's retries go to the subscription's dead-letter log
+// rather than being retried forever, so one broken receiver cannot hold up the others.
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+class SubscriptionPoller extends EntryPoller {
+    constructor({ store, lookup, notifier, intervalMs = DEFAULT_INTERVAL_MS, concurrency = 2, charge }) {
+        super({ name: 'Subscriptions', store, intervalMs, concurrency, charge });
+        this.lookup = lookup; // registration -> v2 vehicle payload
+        this.notifier = notifier;
+    }
+
+    // Resolves to { sent, error? } for one subscription; lookup failures are recorded on it
+    async check(subscription) {
+        const checkedAt = new Date().toISOString();
+        let record;
+        try {
+            record = await this.lookup(subscription.registration);
+        } catch (error) {
+            logger.warn('Subscription lookup failed', { subscription_id: subscription.id, registration: subscription.registration, error });
+            this.store.update(subscription.id, { last_checked_at: checkedAt, last_error: { code: error.code || 'INTERNAL_ERROR', at: checkedAt } });
+            return { sent: 0, error };
+        }
+
+        const { vehicle } = record;
+        const changes = diffMotHistory(subscription.snapshot.motTests, record)
+            .filter(change => subscription.events.includes(change.type) && !this.store.hasSent(subscription.id, change.key));
+
+        let sent = 0;
+        for (const change of changes) {
+            const event = createEvent(change.type, {
+                subscription_id: subscription.id,
+                vehicle: { registration: vehicle.registration, make: vehicle.make, model: vehicle.model },
+                ...change.data,
+            });
+            const delivery = await this.notifier.deliver(subscription.channel, event);
+            this.store.recordDelivery(subscription.id, change.key, delivery, event);
+            if (delivery.status === 'sent') {
+                sent += 1;
+            } else {
+                logger.error('Subscription event dead-lettered', { subscription_id: subscription.id, event_id: event.id, type: event.type });
+            }
+        }
+
+        this.store.update(subscription.id, {
+            snapshot: { taken_at: checkedAt, motTests: record.motTests },
+            last_checked_at: checkedAt,
+            last_error: null,
+        });
+        return { sent };
+    }
+}
+
+module.exports = { SubscriptionPoller };
@@ -0,0 +1,56 @@
+const { JsonFileStore } = require('../json-store');
+
+// --- Change subscriptions, persisted as one JSON file ---
+// Each subscription keeps the snapshot of motTests it last compared against, the keys
+// of the changes it has handled (`sent`), recent delivery attempts, and a dead-letter
+// log of events that were still undelivered after every retry. Dead letters keep the
+// full event so they can be redelivered unchanged. Without a `filePath` it is in memory.
+
+const MAX_DELIVERIES = 20;
+const MAX_DEAD_LETTERS = 100;
+
+class SubscriptionStore extends JsonFileStore {
+    constructor({ filePath = null, writeDelayMs } = {}) {
+        super({ filePath, field: 'subscriptions', label: 'subscriptions', writeDelayMs });
+    }
+
+    add(subscription) {
+        return super.add({ dead_letters: [], ...subscription });
+    }
+
+    // A change is handled once delivered or dead-lettered; either way it is not raised again
+    recordDelivery(id, key, delivery, event) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return;
+        }
+        this.markSent(entry, key);
+        entry.deliveries = [{ key, ...delivery }, ...entry.deliveries].slice(0, MAX_DELIVERIES);
+        if (delivery.status === 'failed') {
+            entry.dead_letters = [
+                ...entry.dead_letters,
+                { event, attempts: delivery.attempts, error: delivery.error, at: delivery.at },
+            ].slice(-MAX_DEAD_LETTERS);
+        }
+        this.save();
+    }
+
+    // Drop a dead letter after a successful redelivery, or note the latest failure
+    resolveDeadLetter(id, eventId, delivery) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return;
+        }
+        entry.deliveries = [{ key: `redeliver:${eventId}`, ...delivery }, ...entry.deliveries].slice(0, MAX_DELIVERIES);
+        if (delivery.status === 'sent') {
+            entry.dead_letters = entry.dead_letters.filter(letter => letter.event.id !== eventId);
+        } else {
+            entry.dead_letters = entry.dead_letters.map(letter => (letter.event.id === eventId
+                ? { ...letter, attempts: letter.attempts + delivery.attempts, error: delivery.error, at: delivery.at }
+                : letter));
+        }
+        this.save();
+    }
+}
+
+module.exports = { SubscriptionStore };
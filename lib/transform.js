@@ -0,0 +1,162 @@
+const { describeRegistration } = require('./registration');
+const { computeMotStatus } = require('./mot-status');
+const { analyseMileage } = require('./mileage');
+const { classifyDefect, parseDefectLocation, analyseDefects } = require('./defects');
+const { parseDvsaDate, toIsoDate } = require('./dates');
+
+// --- Response formats: "v1" is the original (legacy) shape and stays the default ---
+const RESPONSE_FORMATS = ['v1', 'v2'];
+const DEFAULT_FORMAT = 'v1';
+
+// DVSA defect types mapped to a severity. Pre-2018 tests use FAIL rather than MAJOR/DANGEROUS.
+const DEFECT_SEVERITIES = {
+    DANGEROUS: 'dangerous',
+    MAJOR: 'major',
+    FAIL: 'fail',
+    MINOR: 'minor',
+    ADVISORY: 'advisory',
+    PRS: 'prs',
+    'USER ENTERED': 'user_entered',
+};
+
+// --- Transform a DVSA vehicle record into the structure the frontend expects ---
+function transformVehicle(vehicleInfo) {
+    const motStatus = computeMotStatus(vehicleInfo);
+    // DVSA leaves firstUsedDate out for some records (e.g. imports)
+    const firstUsed = parseDvsaDate(vehicleInfo.firstUsedDate);
+
+    return {
+        vehicle: {
+            registration: vehicleInfo.registration,
+            make: vehicleInfo.make,
+            model: vehicleInfo.model,
+            year: firstUsed ? firstUsed.getUTCFullYear() : null,
+            colour: vehicleInfo.primaryColour,
+            fuel_type: vehicleInfo.fuelType,
+            engine_size: vehicleInfo.engineCapacity,
+            registration_details: describeRegistration(vehicleInfo.registration),
+            // The expiry mot_status is based on, in v1's DVSA "YYYY.MM.DD" format
+            mot_expiry: motStatus.expiry_date ? motStatus.expiry_date.replace(/-/g, '.') : null,
+            tax_expiry: null, // DVSA Trade API does not provide tax data
+            mot_status: motStatus.status,
+            mot_status_details: {
+                rule: motStatus.rule,
+                expiry_date: motStatus.expiry_date,
+                days_until_expiry: motStatus.days_until_expiry,
+            },
+        },
+        motTests: (vehicleInfo.motTests || []).map(test => ({
+            test_date: test.completedDate,
+            test_result: test.testResult,
+            mileage: parseInt(test.odometerValue),
+            expiry_date: test.expiryDate,
+            test_station: test.motTestNumber, // No station name in this API version
+            defects: (test.rfrAndComments || []).map(defect => ({
+                type: defect.type, // e.g., 'ADVISORY', 'FAIL'
+                description: defect.text,
+                system: classifyDefect(defect.text),
+                location: parseDefectLocation(defect.text), // Parsed from the text, e.g. "Nearside Front"
+            })),
+        })),
+        mileage: analyseMileage(vehicleInfo),
+        defect_analysis: analyseDefects(vehicleInfo),
+    };
+}
+
+function toNumber(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+}
+
+function toIsoDateTime(value) {
+    const date = parseDvsaDate(value);
+    return date ? date.toISOString() : null;
+}
+
+function transformDefectV2(defect) {
+    const dangerous = defect.dangerous === true || defect.type === 'DANGEROUS';
+    return {
+        type: defect.type,
+        severity: dangerous ? 'dangerous' : (DEFECT_SEVERITIES[defect.type] || 'unknown'),
+        dangerous,
+        description: defect.text,
+        system: classifyDefect(defect.text),
+        location: parseDefectLocation(defect.text),
+    };
+}
+
+// --- v2: keeps every field DVSA returns, with typed values and ISO 8601 dates ---
+function transformVehicleV2(vehicleInfo) {
+    const motStatus = computeMotStatus(vehicleInfo);
+    const firstUsed = parseDvsaDate(vehicleInfo.firstUsedDate);
+
+    return {
+        schema_version: 2,
+        vehicle: {
+            registration: vehicleInfo.registration,
+            vehicle_id: vehicleInfo.vehicleId || null,
+            make: vehicleInfo.make,
+            model: vehicleInfo.model,
+            year: firstUsed ? firstUsed.getUTCFullYear() : null,
+            first_used_date: toIsoDate(firstUsed),
+            manufacture_date: toIsoDate(parseDvsaDate(vehicleInfo.manufactureDate)),
+            registration_date: toIsoDate(parseDvsaDate(vehicleInfo.registrationDate)),
+            colour: vehicleInfo.primaryColour,
+            fuel_type: vehicleInfo.fuelType,
+            engine_size: toNumber(vehicleInfo.engineCapacity),
+            data_source: vehicleInfo.dataSource || null,
+            registration_details: describeRegistration(vehicleInfo.registration),
+            mot_expiry: motStatus.expiry_date,
+            mot_status: motStatus.status,
+            mot_status_details: {
+                rule: motStatus.rule,
+                expiry_date: motStatus.expiry_date,
+                days_until_expiry: motStatus.days_until_expiry,
+            },
+        },
+        motTests: (vehicleInfo.motTests || []).map(test => ({
+            test_number: test.motTestNumber,
+            completed_at: toIsoDateTime(test.completedDate),
+            test_result: test.testResult,
+            expiry_date: toIsoDate(parseDvsaDate(test.expiryDate)),
+            odometer: {
+                value: toNumber(test.odometerValue),
+                unit: test.odometerUnit || null,
+                result_type: test.odometerResultType || null,
+            },
+            data_source: test.dataSource || null,
+            defects: (test.rfrAndComments || test.defects || []).map(transformDefectV2),
+        })),
+        mileage: analyseMileage(vehicleInfo),
+        defect_analysis: analyseDefects(vehicleInfo),
+    };
+}
+
+const TRANSFORMERS = {
+    v1: transformVehicle,
+    v2: transformVehicleV2,
+};
+
+// --- Validate a requested format; returns { format } or { error } ---
+function parseResponseFormat(value) {
+    if (value === undefined || value === '') {
+        return { format: DEFAULT_FORMAT };
+    }
+    const format = String(value).toLowerCase() === 'legacy' ? 'v1' : String(value).toLowerCase();
+    if (!RESPONSE_FORMATS.includes(format)) {
+        return { error: `Unsupported format "${value}". Expected one of: ${RESPONSE_FORMATS.join(', ')}.` };
+    }
+    return { format };
+}
+
+function transformForFormat(vehicleInfo, format = DEFAULT_FORMAT) {
+    return TRANSFORMERS[format](vehicleInfo);
+}
+
+module.exports = {
+    RESPONSE_FORMATS,
+    transformVehicle,
+    transformVehicleV2,
+    transformForFormat,
+    parseResponseFormat,
+};
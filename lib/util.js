@@ -0,0 +1,26 @@
+// --- Small helpers shared across lib/ ---
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// An integer setting, or `fallback` when the variable is unset
+function intFromEnv(env, name, fallback) {
+    return env[name] === undefined ? fallback : parseInt(env[name], 10);
+}
+
+// True for an absolute http(s) URL, or only https with `httpsOnly`
+function isHttpUrl(value, { httpsOnly = false } = {}) {
+    try {
+        const url = new URL(value);
+        return httpsOnly ? url.protocol === 'https:' : ['http:', 'https:'].includes(url.protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    intFromEnv,
+    isHttpUrl,
+    sleep,
+};
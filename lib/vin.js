@@ -0,0 +1,67 @@
+// --- Vehicle Identification Number (VIN) normalisation and validation ---
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// ISO 3779 transliteration values and position weights for the check digit
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const CHECK_DIGIT_POSITION = 8;
+
+function normaliseVin(input) {
+    if (input === undefined || input === null) {
+        return '';
+    }
+    return String(input).toUpperCase().replace(/[\s-]/g, '');
+}
+
+function computeCheckDigit(vin) {
+    const total = vin.split('').reduce((sum, char, index) => {
+        const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+        return sum + value * WEIGHTS[index];
+    }, 0);
+    const remainder = total % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+function invalid(vin, reason) {
+    return { valid: false, vin, reason };
+}
+
+// --- Validate a VIN's format and check digit ---
+// The position-9 check digit is mandatory in North America but optional for
+// European manufacturers, so a mismatch only fails validation when
+// `strictCheckDigit` is set. The result always reports `checkDigitValid`.
+function parseVin(input, { strictCheckDigit = false } = {}) {
+    const vin = normaliseVin(input);
+
+    if (!vin) {
+        return invalid(vin, 'VIN is required.');
+    }
+    if (vin.length !== 17) {
+        return invalid(vin, 'VINs must be exactly 17 characters long.');
+    }
+    if (/[IOQ]/.test(vin)) {
+        return invalid(vin, 'VINs cannot contain the letters I, O or Q.');
+    }
+    if (!VIN_PATTERN.test(vin)) {
+        return invalid(vin, 'VINs may only contain letters and digits.');
+    }
+
+    const expectedCheckDigit = computeCheckDigit(vin);
+    const checkDigitValid = vin[CHECK_DIGIT_POSITION] === expectedCheckDigit;
+    if (strictCheckDigit && !checkDigitValid) {
+        return invalid(vin, `Check digit "${vin[CHECK_DIGIT_POSITION]}" does not match the expected "${expectedCheckDigit}".`);
+    }
+
+    return { valid: true, vin, checkDigitValid };
+}
+
+module.exports = {
+    normaliseVin,
+    parseVin,
+    computeCheckDigit,
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { CHANNEL_TYPES, checkWebhookTarget, generateWebhookSecret } = require('../notifications');
+const { WatchlistStore } = require('./store');
+const { DEFAULT_LEAD_DAYS, ReminderScheduler, dueLeadDays, latestTest } = require('./scheduler');
+const { intFromEnv, isHttpUrl } = require('../util');
+
+// --- Watchlist: vehicles registered for MOT expiry and new-test reminders ---
+// Entries belong to the API client that created them. Webhook channels get their own
+// signing secret, returned once when the entry is created and never shown again.
+
+// Deliberately loose: the SMTP server is the real judge of an address
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_MAX_PER_CLIENT = 100;
+
+// --- Validate a notification channel from a request body; returns { value } or { error } ---
+// Production only accepts https webhooks, and no webhook may point at a private or loopback
+// address unless `allowPrivateTargets` is set. `emailEnabled` is false when SMTP is not
+// configured; `types` narrows the channel types a caller accepts.
+function parseChannel(channel, { production = false, emailEnabled = false, allowPrivateTargets = false, types = CHANNEL_TYPES } = {}) {
+    if (!channel || typeof channel !== 'object' || !types.includes(channel.type)) {
+        return { error: `"channel.type" must be ${types.length === 1 ? `"${types[0]}"` : `one of ${types.join(', ')}`}` };
+    }
+    if (channel.type === 'webhook') {
+        if (typeof channel.url !== 'string' || !isHttpUrl(channel.url, { httpsOnly: production })) {
+            return { error: `"channel.url" must be a valid ${production ? 'https' : 'http(s)'} URL` };
+        }
+        const targetProblem = allowPrivateTargets ? null : checkWebhookTarget(channel.url);
+        if (targetProblem) {
+            return { error: `"channel.url" ${targetProblem}` };
+        }
+        return { value: { type: 'webhook', url: channel.url } };
+    }
+    if (!emailEnabled) {
+        return { error: 'Email notifications are not configured on this server; use a webhook' };
+    }
+    if (typeof channel.address !== 'string' || !EMAIL_PATTERN.test(channel.address)) {
+        return { error: '"channel.address" must be an email address' };
+    }
+    return { value: { type: 'email', address: channel.address } };
+}
+
+function createWatchEntry({ registration, channel }, clientId, now = Date.now()) {
+    return {
+        id: `wat_${crypto.randomUUID()}`,
+        client_id: clientId,
+        registration,
+        channel: channel.type === 'webhook' ? { ...channel, secret: generateWebhookSecret() } : channel,
+        created_at: new Date(now).toISOString(),
+        last_checked_at: null,
+        last_success_at: null,
+        last_error: null,
+        mot_expiry: null,
+        last_test_number: null,
+    };
+}
+
+// The entry as clients see it: no webhook secret and no internal dedupe keys
+function describeWatch(entry, { includeDeliveries = false } = {}) {
+    const { secret, ...channel } = entry.channel;
+    const { sent, deliveries, ...rest } = entry;
+    return { ...rest, channel, ...(includeDeliveries ? { deliveries } : {}) };
+}
+
+function parseLeadDays(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_LEAD_DAYS;
+    }
+    return [...new Set(String(value).split(',').map(day => parseInt(day.trim(), 10)))].sort((a, b) => b - a);
+}
+
+// --- Build the store and scheduler from WATCHLIST_* / REMINDER_* environment variables ---
+// `lookup(registration)` resolves to the v2 vehicle payload (server.js passes its DVSA lookup);
+// `charge(entry)` spends its owner's quota for each check (see EntryPoller).
+function createWatchlist(env = process.env, { lookup, notifier, charge }) {
+    const store = new WatchlistStore({ filePath: env.WATCHLIST_FILE || 'watchlist.json' });
+    const scheduler = new ReminderScheduler({
+        store,
+        lookup,
+        notifier,
+        charge,
+        leadDays: parseLeadDays(env.REMINDER_LEAD_DAYS),
+        intervalMs: parseInt(env.WATCHLIST_CHECK_INTERVAL_SECONDS || '21600', 10) * 1000,
+    });
+    return { store, scheduler, maxPerClient: intFromEnv(env, 'WATCHLIST_MAX_PER_CLIENT', DEFAULT_MAX_PER_CLIENT) };
+}
+
+module.exports = {
+    ReminderScheduler,
+    WatchlistStore,
+    createWatchEntry,
+    createWatchlist,
+    describeWatch,
+    dueLeadDays,
+    latestTest,
+    parseChannel,
+    parseLeadDays,
+};
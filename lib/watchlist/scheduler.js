@@ -0,0 +1,114 @@
+const { EntryPoller } = require('../polling');
+const { createEvent } = require('../notifications');
+const { logger } = require('../observability');
+
+// --- Periodic re-check of every watched vehicle ---
+// Each run looks every vehicle up through the normal DVSA lookup (v2 format) and sends:
+// - "mot.expiry_reminder" once per lead time, when the days left drop to or below it.
+//   Only the nearest lead time is sent, so a vehicle added 10 days before expiry gets
+//   the 14-day reminder now and the 1-day reminder later, not the 30- and 14-day ones at once.
+// - "mot.new_test" when the latest test differs from the one seen on the previous check.
+//   The first successful check only records the latest test.
+// Failed deliveries are not marked as sent, so the next run tries them again.
+
+const DEFAULT_LEAD_DAYS = [30, 14, 1];
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// The nearest lead time that `daysLeft` has reached, or null
+function dueLeadDays(daysLeft, leadDays) {
+    if (daysLeft === null || daysLeft === undefined || daysLeft < 0) {
+        return null;
+    }
+    const reached = leadDays.filter(lead => daysLeft <= lead);
+    return reached.length === 0 ? null : Math.min(...reached);
+}
+
+function latestTest(motTests = []) {
+    return motTests.reduce((latest, test) => (!latest || (test.completed_at || '') > (latest.completed_at || '') ? test : latest), null);
+}
+
+function vehicleSummary({ vehicle }) {
+    return { registration: vehicle.registration, make: vehicle.make, model: vehicle.model };
+}
+
+class ReminderScheduler extends EntryPoller {
+    constructor({ store, lookup, notifier, leadDays = DEFAULT_LEAD_DAYS, intervalMs = DEFAULT_INTERVAL_MS, concurrency = 2, charge }) {
+        super({ name: 'Watchlist', store, intervalMs, concurrency, charge });
+        this.lookup = lookup; // registration -> v2 vehicle payload
+        this.notifier = notifier;
+        this.leadDays = leadDays;
+    }
+
+    // Resolves to { sent, error? } for one entry; lookup failures are recorded on the entry
+    async check(entry) {
+        const checkedAt = new Date().toISOString();
+        let record;
+        try {
+            record = await this.lookup(entry.registration);
+        } catch (error) {
+            logger.warn('Watchlist lookup failed', { watch_id: entry.id, registration: entry.registration, error });
+            this.store.update(entry.id, { last_checked_at: checkedAt, last_error: { code: error.code || 'INTERNAL_ERROR', at: checkedAt } });
+            return { sent: 0, error };
+        }
+
+        const { vehicle } = record;
+        let sent = 0;
+        const notify = async (key, type, data) => {
+            if (this.store.hasSent(entry.id, key)) {
+                return true;
+            }
+            const event = createEvent(type, { watch_id: entry.id, vehicle: vehicleSummary(record), ...data });
+            const delivery = await this.notifier.deliver(entry.channel, event);
+            this.store.recordDelivery(entry.id, key, delivery);
+            if (delivery.status === 'sent') {
+                sent += 1;
+                logger.info('Reminder sent', { watch_id: entry.id, registration: entry.registration, type });
+            }
+            return delivery.status === 'sent';
+        };
+
+        const daysLeft = vehicle.mot_status_details.days_until_expiry;
+        const lead = dueLeadDays(daysLeft, this.leadDays);
+        if (lead !== null) {
+            await notify(`expiry:${vehicle.mot_expiry}:${lead}`, 'mot.expiry_reminder', {
+                mot_expiry: vehicle.mot_expiry,
+                days_until_expiry: daysLeft,
+                lead_days: lead,
+            });
+        }
+
+        const latest = latestTest(record.motTests);
+        let lastTestNumber = latest ? latest.test_number : null;
+        if (latest && entry.last_success_at && latest.test_number !== entry.last_test_number) {
+            const delivered = await notify(`test:${latest.test_number}`, 'mot.new_test', {
+                test: {
+                    test_number: latest.test_number,
+                    completed_at: latest.completed_at,
+                    test_result: latest.test_result,
+                    expiry_date: latest.expiry_date,
+                    odometer: latest.odometer,
+                },
+            });
+            if (!delivered) {
+                // Keep the previous test so the next run notices this one again
+                lastTestNumber = entry.last_test_number;
+            }
+        }
+
+        this.store.update(entry.id, {
+            last_checked_at: checkedAt,
+            last_success_at: checkedAt,
+            last_error: null,
+            mot_expiry: vehicle.mot_expiry,
+            last_test_number: lastTestNumber,
+        });
+        return { sent };
+    }
+}
+
+module.exports = {
+    DEFAULT_LEAD_DAYS,
+    ReminderScheduler,
+    dueLeadDays,
+    latestTest,
+};
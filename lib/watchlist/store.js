@@ -0,0 +1,29 @@
+const { JsonFileStore } = require('../json-store');
+
+// --- Watched vehicles, persisted as one JSON file ---
+// Each entry remembers what it has already been sent (`sent` holds one key per
+// reminder or test result), so a restart or a second check never repeats a reminder.
+// `deliveries` keeps the most recent delivery attempts for GET /api/watchlist/:id.
+// Without a `filePath` the watchlist lives in memory only.
+
+const MAX_DELIVERIES = 20;
+
+class WatchlistStore extends JsonFileStore {
+    constructor({ filePath = null, writeDelayMs } = {}) {
+        super({ filePath, field: 'entries', label: 'the watchlist', writeDelayMs });
+    }
+
+    recordDelivery(id, key, delivery) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return;
+        }
+        if (delivery.status === 'sent') {
+            this.markSent(entry, key);
+        }
+        entry.deliveries = [{ key, ...delivery }, ...entry.deliveries].slice(0, MAX_DELIVERIES);
+        this.save();
+    }
+}
+
+module.exports = { WatchlistStore };
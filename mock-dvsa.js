@@ -0,0 +1,16 @@
+const { loadEnvFiles } = require('./lib/config');
+const { createMockDvsa } = require('./lib/mock-dvsa');
+
+// --- Offline DVSA mock for local development and tests ---
+// Point the servers at it with, for example:
+//   DVSA_TOKEN_URL=http://localhost:4010/token
+//   DVSA_API_BASE_URL=http://localhost:4010/trade/vehicles/mot-tests   (legacy-trade adapter)
+//   DVSA_API_BASE_URL=http://localhost:4010                            (mot-history adapter)
+
+loadEnvFiles();
+const port = process.env.MOCK_DVSA_PORT || 4010;
+
+createMockDvsa().listen(port, () => {
+    const mode = process.env.MOCK_DVSA_RECORD === 'true' ? 'recording from DVSA' : 'serving fixtures';
+    console.log(`Mock DVSA running on port ${port} (${mode})`);
+});
@@ -1,133 +1,481 @@
 const express = require('express');
-const fetch = require('node-fetch');
-require('dotenv').config();
+const { loadConfigOrExit } = require('./lib/config');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createResponseCache } = require('./lib/cache');
+const { parseRegistration } = require('./lib/registration');
+const { parseVin } = require('./lib/vin');
+const { transformForFormat, parseResponseFormat } = require('./lib/transform');
+const { parseFeedRequest, feedPages } = require('./lib/feed');
+const { createDvsaClient, TokenManager } = require('./lib/dvsa');
+const { correlationId, applySecurity, ApiError, toProblem, asyncRoute, notFoundHandler, errorHandler } = require('./lib/http');
+const { createApiKeyAuth } = require('./lib/api-keys');
+const { logger, metrics, requestObserver, observeCircuitBreaker, metricsHandler } = require('./lib/observability');
+const { createHealthChecks } = require('./lib/health');
+const { createNotifier } = require('./lib/notifications');
+const { createWatchlist, createWatchEntry, describeWatch, parseChannel } = require('./lib/watchlist');
+const { createSubscriptions, createSubscription, describeSubscription, parseSubscriptionRequest } = require('./lib/subscriptions');
+
+// --- Validated configuration; exits with a list of problems if anything is missing or malformed ---
+const config = loadConfigOrExit();
+const { env } = config;
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
+app.use(correlationId());
+// JSON access log and HTTP metrics; every log line for the request carries its correlation ID
+app.use(requestObserver());
+// CORS allowlist, security headers and body size limits (see lib/http/security)
+applySecurity(app, env);
 
-// --- DVSA API Credentials from Environment Variables ---
-const { CLIENT_ID, CLIENT_SECRET, TENANT_ID, DVSA_API_KEY } = process.env;
-const TOKEN_URL = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`;
-const API_BASE_URL = 'https://beta.check-mot.service.gov.uk/trade/vehicles/mot-tests';
-const SCOPE = 'https://tapi.dvsa.gov.uk/.default';
+// --- Batch lookup limits ---
+const BATCH_MAX_SIZE = parseInt(env.BATCH_MAX_SIZE || '500', 10);
+const BATCH_CONCURRENCY = parseInt(env.BATCH_CONCURRENCY || '5', 10);
 
-// --- In-memory cache for the OAuth token ---
-let tokenCache = {
-    accessToken: null,
-    expiresAt: null,
-};
+// --- VIN validation: European VINs often omit the check digit, so only enforce it on request ---
+const VIN_STRICT_CHECK_DIGIT = env.VIN_STRICT_CHECK_DIGIT === 'true';
 
-// --- Function to get a valid OAuth token ---
-async function getDVSAToken() {
-    // If we have a valid, non-expired token, return it
-    if (tokenCache.accessToken && tokenCache.expiresAt > Date.now()) {
-        console.log('Using cached token.');
-        return tokenCache.accessToken;
+// --- OAuth token manager: caches the token, refreshes it once for concurrent callers and renews it early ---
+const tokenManager = new TokenManager({
+    tokenUrl: config.dvsa.tokenUrl,
+    clientId: config.dvsa.clientId,
+    clientSecret: config.dvsa.clientSecret,
+    scope: config.dvsa.scope,
+});
+
+// --- DVSA API client; the adapter (legacy trade or MOT History API) comes from DVSA_API_ADAPTER ---
+const dvsaClient = createDvsaClient(env);
+observeCircuitBreaker(dvsaClient.circuitBreaker);
+
+// --- Cache for raw DVSA vehicle records (see lib/cache) ---
+const vehicleCache = createResponseCache(env);
+
+// --- Client API keys, per-key rate limits and daily quotas (see lib/api-keys) ---
+const apiKeyAuth = createApiKeyAuth(env);
+
+// Batches spend one unit of the caller's daily quota per registration; other requests spend one.
+// The feed spends one more for each DVSA page after the first, as it fetches them.
+function quotaCost(req) {
+    const registrations = req.method === 'POST' && req.path === '/mot-check/batch' && req.body && req.body.registrations;
+    return Array.isArray(registrations) ? Math.min(Math.max(registrations.length, 1), BATCH_MAX_SIZE) : 1;
+}
+
+app.use('/api', apiKeyAuth.authenticate({ cost: quotaCost }));
+
+// --- Liveness, readiness and status for load balancers and on-call (see lib/health) ---
+const health = createHealthChecks({ config, tokenManager, dvsaClient }, env);
+
+app.get('/healthz', (req, res) => {
+    res.json(health.liveness());
+});
+
+// Ready once the DVSA settings are complete and a token is cached or can be fetched
+app.get('/readyz', asyncRoute(async (req, res) => {
+    const { ready, checks } = await health.readiness();
+    if (!ready) {
+        throw new ApiError('NOT_READY', 'The DVSA configuration is incomplete or no access token could be obtained.', { checks });
     }
+    res.json({ status: 'ready', checks });
+}));
 
-    console.log('Fetching new DVSA token...');
+app.get('/status', (req, res) => {
+    res.json(health.status());
+});
+
+// --- Prometheus metrics; off with METRICS_ENABLED=false, bearer-protected when METRICS_TOKEN is set ---
+if (env.METRICS_ENABLED !== 'false') {
+    app.get('/metrics', (req, res, next) => {
+        if (env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+            throw new ApiError('UNAUTHORIZED', 'A valid metrics token is required (Authorization: Bearer <METRICS_TOKEN>).');
+        }
+        next();
+    }, metricsHandler());
+}
+
+// --- Function to get a valid OAuth token ---
+function getDVSAToken() {
+    return tokenManager.getToken();
+}
+
+// --- Fetch a single vehicle record from DVSA ---
+// `query` holds the DVSA search parameter, e.g. { registration } or { vin }.
+async function fetchVehicle(query, accessToken) {
     try {
-        const params = new URLSearchParams();
-        params.append('grant_type', 'client_credentials');
-        params.append('client_id', CLIENT_ID);
-        params.append('client_secret', CLIENT_SECRET);
-        params.append('scope', SCOPE);
-
-        const response = await fetch(TOKEN_URL, {
-            method: 'POST',
-            body: params,
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        });
-
-        if (!response.ok) {
-            const errorBody = await response.text();
-            throw new Error(`Token request failed with status ${response.status}: ${errorBody}`);
+        return await dvsaClient.getVehicle(query, accessToken);
+    } catch (error) {
+        if (error.upstreamStatus === 404) {
+            throw new ApiError('VEHICLE_NOT_FOUND', 'DVSA has no MOT history for this vehicle.');
         }
+        throw error;
+    }
+}
 
-        const data = await response.json();
-        
-        // Cache the new token and set its expiry time (e.g., 55 minutes)
-        tokenCache.accessToken = data.access_token;
-        tokenCache.expiresAt = Date.now() + (data.expires_in - 300) * 1000; // expires_in is in seconds, subtract 5 mins for buffer
+// --- Cached lookup: serves fresh or stale records and refreshes from DVSA when needed ---
+// The cache holds the raw DVSA record under the query alone, so every format shares one
+// entry, and the record is transformed on each request: mot_status and days_until_expiry
+// are always worked out for today, however old the entry is.
+// `format` picks the response shape (see RESPONSE_FORMATS in lib/transform).
+// A token is only requested when DVSA actually has to be contacted, and a 401
+// from DVSA triggers one re-authentication and retry.
+// Query values must already be normalised (parseRegistration / parseVin).
+async function cachedLookupVehicle(query, format) {
+    const key = `vehicle:${new URLSearchParams(query)}`;
+    const { value, cacheStatus } = await vehicleCache.getOrLoad(key, () => tokenManager.withToken(accessToken => fetchVehicle(query, accessToken)));
+    return { value: transformForFormat(value, format), cacheStatus };
+}
 
-        console.log('Successfully fetched new token.');
-        return tokenCache.accessToken;
+// --- Count a lookup in mot_lookups_total by kind and outcome ("ok" or the lower-cased problem code) ---
+async function countedLookup(kind, lookup) {
+    try {
+        const result = await lookup();
+        metrics.lookups.inc({ kind, outcome: 'ok' });
+        return result;
     } catch (error) {
-        console.error('Error fetching DVSA token:', error);
-        tokenCache.accessToken = null; // Clear invalid token
+        metrics.lookups.inc({ kind, outcome: toProblem(error).code.toLowerCase() });
         throw error;
     }
 }
 
+// --- Fresh v2 payloads for reminders and subscriptions: skip the response cache so new tests show up ---
+// `kind` labels the lookups in mot_lookups_total.
+function freshLookup(kind) {
+    return registration => countedLookup(kind, async () => {
+        const vehicleInfo = await tokenManager.withToken(accessToken => fetchVehicle({ registration }, accessToken));
+        return transformForFormat(vehicleInfo, 'v2');
+    });
+}
+
+// Each background check of a vehicle spends one unit of its owner's daily quota; owners
+// with none left are skipped until it resets
+const chargeOwner = entry => apiKeyAuth.chargeClient(entry.client_id, 1);
+
+// --- Watchlist for MOT expiry and new-test reminders, sent by webhook or email (see lib/watchlist) ---
+const notifier = createNotifier(env);
+// Webhook URLs on loopback or private networks are refused unless this is set (local development)
+const allowPrivateTargets = env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+const watchlist = createWatchlist(env, { lookup: freshLookup('watchlist'), notifier, charge: chargeOwner });
+
+// --- Change subscriptions: typed, signed webhooks when a vehicle's MOT history changes (see lib/subscriptions) ---
+const subscriptions = createSubscriptions(env, { lookup: freshLookup('subscription'), notifier, charge: chargeOwner });
+
+// --- Validate ?format=, throwing INVALID_FORMAT for anything unsupported ---
+function requireResponseFormat(value) {
+    const { format, error } = parseResponseFormat(value);
+    if (error) {
+        throw new ApiError('INVALID_FORMAT', error);
+    }
+    return format;
+}
+
 // --- API Endpoint for the Frontend to Call ---
-app.get('/api/mot-check/:registration', async (req, res) => {
-    const { registration } = req.params;
-    if (!registration) {
-        return res.status(400).json({ error: 'Registration number is required' });
+app.get('/api/mot-check/:registration', asyncRoute(async (req, res) => {
+    const { value, cacheStatus } = await countedLookup('registration', () => {
+        const parsed = parseRegistration(req.params.registration);
+        if (!parsed.valid) {
+            throw new ApiError('INVALID_REGISTRATION', parsed.reason, { registration: parsed.registration });
+        }
+        const format = requireResponseFormat(req.query.format);
+        return cachedLookupVehicle({ registration: parsed.registration }, format);
+    });
+    res.set('X-Cache', cacheStatus);
+    res.json(value);
+}));
+
+// --- Lookup by VIN, for vehicles whose plates have been changed or retained ---
+app.get('/api/mot-check/vin/:vin', asyncRoute(async (req, res) => {
+    const { value, cacheStatus } = await countedLookup('vin', () => {
+        const parsed = parseVin(req.params.vin, { strictCheckDigit: VIN_STRICT_CHECK_DIGIT });
+        if (!parsed.valid) {
+            throw new ApiError('INVALID_VIN', parsed.reason, { vin: parsed.vin });
+        }
+        const format = requireResponseFormat(req.query.format);
+        return cachedLookupVehicle({ vin: parsed.vin }, format);
+    });
+    res.set('X-Cache', cacheStatus);
+    res.json(value);
+}));
+
+// --- Batch endpoint for fleets: look up many registrations in one request ---
+// Failed items carry the same problem object a single lookup would have returned.
+app.post('/api/mot-check/batch', asyncRoute(async (req, res) => {
+    const registrations = req.body && req.body.registrations;
+    if (!Array.isArray(registrations) || registrations.length === 0) {
+        throw new ApiError('INVALID_REQUEST', 'Request body must include a non-empty "registrations" array.');
     }
+    if (registrations.length > BATCH_MAX_SIZE) {
+        throw new ApiError('INVALID_REQUEST', `A batch may contain at most ${BATCH_MAX_SIZE} registrations.`);
+    }
+    const format = requireResponseFormat(req.body.format || req.query.format);
+
+    // Fetch the token once up front so every lookup in the batch shares the cached token
+    await getDVSAToken();
+
+    const results = await mapWithConcurrency(registrations, BATCH_CONCURRENCY, async (registration) => {
+        try {
+            const { value, cacheStatus } = await countedLookup('batch_item', () => {
+                const parsed = parseRegistration(registration);
+                if (!parsed.valid) {
+                    throw new ApiError('INVALID_REGISTRATION', parsed.reason);
+                }
+                return cachedLookupVehicle({ registration: parsed.registration }, format);
+            });
+            return { registration, status: 'ok', cache: cacheStatus, data: value };
+        } catch (error) {
+            const problem = toProblem(error);
+            if (problem.status >= 429) {
+                logger.error('Batch item failed', { registration, code: problem.code, error });
+            }
+            return { registration, status: 'error', error: problem };
+        }
+    });
+
+    const succeeded = results.filter(result => result.status === 'ok').length;
+    res.json({
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+    });
+}));
+
+// --- Bulk feed for trade users: pages through DVSA test data and streams it as NDJSON ---
+app.get('/api/mot-tests/feed', asyncRoute(async (req, res) => {
+    const { plan, error } = parseFeedRequest(req.query);
+    if (error) {
+        throw new ApiError('INVALID_REQUEST', `${error}.`);
+    }
+    const format = requireResponseFormat(req.query.format);
+
+    if (!dvsaClient.supportsFeed) {
+        throw new ApiError('FEED_NOT_SUPPORTED', 'The bulk feed is not available with the configured DVSA API adapter.');
+    }
+
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = true;
+    });
+
+    // Resolves once the socket can take more data, so a slow reader never makes us buffer pages
+    const waitForDrain = () => new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
 
+    // A 404 from DVSA means there are no more pages for this date. A range can run to tens of
+    // thousands of pages, so every page after the first spends another unit of the daily quota.
+    let pagesFetched = 0;
+    const fetchPage = async (query) => {
+        if (pagesFetched > 0) {
+            apiKeyAuth.spend(req, 1);
+        }
+        pagesFetched += 1;
+        try {
+            return await tokenManager.withToken(accessToken => dvsaClient.getFeedPage(query, accessToken));
+        } catch (fetchError) {
+            if (fetchError.upstreamStatus === 404) {
+                return null;
+            }
+            throw fetchError;
+        }
+    };
+
+    res.type('application/x-ndjson');
     try {
-        const accessToken = await getDVSAToken();
-        const apiUrl = `${API_BASE_URL}?registration=${registration}`;
-
-        const apiResponse = await fetch(apiUrl, {
-            headers: {
-                'Accept': 'application/json+v6',
-                'x-api-key': DVSA_API_KEY,
-                'Authorization': `Bearer ${accessToken}`,
-            },
-        });
-
-        if (!apiResponse.ok) {
-             if (apiResponse.status === 404) {
-                return res.status(404).json({ error: 'Vehicle not found.' });
+        for await (const { query, records } of feedPages(plan, fetchPage)) {
+            for (const record of records) {
+                if (clientGone) {
+                    return;
+                }
+                let line;
+                try {
+                    line = JSON.stringify(transformForFormat(record, format));
+                } catch (transformError) {
+                    const problem = toProblem(new ApiError('RECORD_TRANSFORM_FAILED', transformError.message));
+                    line = JSON.stringify({ error: problem, registration: record.registration, ...query });
+                }
+                if (!res.write(`${line}\n`)) {
+                    await waitForDrain();
+                }
             }
-            const errorBody = await apiResponse.text();
-            throw new Error(`DVSA API request failed with status ${apiResponse.status}: ${errorBody}`);
         }
+        res.end();
+    } catch (streamError) {
+        if (!res.headersSent) {
+            throw streamError;
+        }
+        logger.error('MOT test feed failed mid-stream', { error: streamError });
+        // Headers are already out, so report the failure as the final NDJSON line
+        res.end(`${JSON.stringify({ error: { ...toProblem(streamError), correlation_id: req.correlationId } })}\n`);
+    }
+}));
 
-        const dvsaData = await apiResponse.json();
-        // The API returns an array, we take the first element
-        const vehicleInfo = dvsaData[0];
-
-        // --- Transform DVSA data into the structure the frontend expects ---
-        const transformedData = {
-            vehicle: {
-                registration: vehicleInfo.registration,
-                make: vehicleInfo.make,
-                model: vehicleInfo.model,
-                year: parseInt(vehicleInfo.firstUsedDate.substring(0, 4)),
-                colour: vehicleInfo.primaryColour,
-                fuel_type: vehicleInfo.fuelType,
-                engine_size: vehicleInfo.engineCapacity,
-                // Find the latest MOT test with an expiry date
-                mot_expiry: vehicleInfo.motTests?.find(t => t.expiryDate)?.expiryDate || null,
-                tax_expiry: null, // DVSA Trade API does not provide tax data
-                mot_status: vehicleInfo.motTests?.[0]?.testResult === 'PASSED' ? 'valid' : 'expired',
-            },
-            motTests: (vehicleInfo.motTests || []).map(test => ({
-                test_date: test.completedDate,
-                test_result: test.testResult,
-                mileage: parseInt(test.odometerValue),
-                expiry_date: test.expiryDate,
-                test_station: test.motTestNumber, // No station name in this API version
-                defects: (test.rfrAndComments || []).map(defect => ({
-                    type: defect.type, // e.g., 'ADVISORY', 'FAIL'
-                    description: defect.text,
-                    location: null, // No location data in this API version
-                })),
-            })),
-        };
+// --- Watchlist: register a vehicle for reminders ---
+// The response includes the webhook signing secret; it is not shown again.
+app.post('/api/watchlist', (req, res) => {
+    const parsed = parseRegistration(req.body && req.body.registration);
+    if (!parsed.valid) {
+        throw new ApiError('INVALID_REGISTRATION', parsed.reason, { registration: parsed.registration });
+    }
+    const { value: channel, error } = parseChannel(req.body.channel, {
+        production: config.profile === 'production',
+        emailEnabled: notifier.supports('email'),
+        allowPrivateTargets,
+    });
+    if (error) {
+        throw new ApiError('INVALID_REQUEST', `${error}.`);
+    }
+    requireRoomFor(req, watchlist.store, { registration: parsed.registration, channel }, {
+        maxPerClient: watchlist.maxPerClient,
+        noun: 'watchlist entry',
+    });
+
+    const entry = watchlist.store.add(createWatchEntry({ registration: parsed.registration, channel }, ownerOf(req)));
+    res.status(201).json({
+        ...describeWatch(entry),
+        ...(entry.channel.secret ? { webhook_secret: entry.channel.secret } : {}),
+    });
+});
 
-        res.json(transformedData);
+app.get('/api/watchlist', (req, res) => {
+    res.json({ entries: watchlist.store.list(ownerOf(req)).map(entry => describeWatch(entry)) });
+});
 
-    } catch (error) {
-        console.error(`Error processing registration ${registration}:`, error.message);
-        res.status(500).json({ error: 'Failed to retrieve vehicle data from DVSA.' });
+app.get('/api/watchlist/:id', (req, res) => {
+    res.json(describeWatch(requireWatch(req), { includeDeliveries: true }));
+});
+
+app.delete('/api/watchlist/:id', (req, res) => {
+    watchlist.store.remove(requireWatch(req).id);
+    res.status(204).end();
+});
+
+// Watchlist entries and subscriptions belong to the API client that created them
+// (null while authentication is disabled)
+function ownerOf(req) {
+    return req.apiClient ? req.apiClient.id : null;
+}
+
+// Refuse a second entry for the same vehicle and channel, and more than `maxPerClient` per client
+function requireRoomFor(req, store, { registration, channel }, { maxPerClient, noun }) {
+    const duplicate = store.findDuplicate(ownerOf(req), registration, channel);
+    if (duplicate) {
+        throw new ApiError('CONFLICT', `A ${noun} for this vehicle and channel already exists.`, { id: duplicate.id });
+    }
+    if (store.list(ownerOf(req)).length >= maxPerClient) {
+        throw new ApiError('LIMIT_REACHED', `This API key may hold at most ${maxPerClient}; delete a ${noun} first.`, { limit: maxPerClient });
+    }
+}
+
+function requireWatch(req) {
+    const entry = watchlist.store.get(req.params.id);
+    if (!entry || entry.client_id !== ownerOf(req)) {
+        throw new ApiError('NOT_FOUND', 'No watchlist entry with this ID.');
+    }
+    return entry;
+}
+
+// --- Subscriptions: snapshot a vehicle's MOT history now, then get webhooks as it changes ---
+// Creating one looks the vehicle up straight away, so unknown vehicles get VEHICLE_NOT_FOUND.
+// The response includes the webhook signing secret; it is not shown again.
+app.post('/api/subscriptions', asyncRoute(async (req, res) => {
+    const parsed = parseRegistration(req.body && req.body.registration);
+    if (!parsed.valid) {
+        throw new ApiError('INVALID_REGISTRATION', parsed.reason, { registration: parsed.registration });
+    }
+    const { value, error } = parseSubscriptionRequest(req.body, { production: config.profile === 'production', allowPrivateTargets });
+    if (error) {
+        throw new ApiError('INVALID_REQUEST', `${error}.`);
     }
+
+    requireRoomFor(req, subscriptions.store, { registration: parsed.registration, channel: value.channel }, {
+        maxPerClient: subscriptions.maxPerClient,
+        noun: 'subscription',
+    });
+
+    const record = await freshLookup('subscription')(parsed.registration);
+    const subscription = subscriptions.store.add(createSubscription({ registration: parsed.registration, ...value }, record, ownerOf(req)));
+    res.status(201).json({ ...describeSubscription(subscription), webhook_secret: subscription.channel.secret });
+}));
+
+app.get('/api/subscriptions', (req, res) => {
+    res.json({ subscriptions: subscriptions.store.list(ownerOf(req)).map(subscription => describeSubscription(subscription)) });
+});
+
+app.get('/api/subscriptions/:id', (req, res) => {
+    res.json(describeSubscription(requireSubscription(req), { includeDeliveries: true }));
 });
 
-// --- Server Startup ---
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+app.delete('/api/subscriptions/:id', (req, res) => {
+    subscriptions.store.remove(requireSubscription(req).id);
+    res.status(204).end();
 });
+
+// Events still undelivered after every retry, oldest first, with the full payload
+app.get('/api/subscriptions/:id/dead-letters', (req, res) => {
+    res.json({ dead_letters: requireSubscription(req).dead_letters });
+});
+
+// Try a dead-lettered event again, unchanged; it leaves the log once delivered
+app.post('/api/subscriptions/:id/dead-letters/:eventId/redeliver', asyncRoute(async (req, res) => {
+    const subscription = requireSubscription(req);
+    const letter = subscription.dead_letters.find(candidate => candidate.event.id === req.params.eventId);
+    if (!letter) {
+        throw new ApiError('NOT_FOUND', 'No dead-lettered event with this ID.');
+    }
+    const delivery = await notifier.deliver(subscription.channel, letter.event);
+    subscriptions.store.resolveDeadLetter(subscription.id, letter.event.id, delivery);
+    res.json(delivery);
+}));
+
+function requireSubscription(req) {
+    const subscription = subscriptions.store.get(req.params.id);
+    if (!subscription || subscription.client_id !== ownerOf(req)) {
+        throw new ApiError('NOT_FOUND', 'No subscription with this ID.');
+    }
+    return subscription;
+}
+
+// --- Admin: per-client usage for a day (defaults to today, UTC) ---
+app.get('/admin/usage', apiKeyAuth.authenticate(), apiKeyAuth.requireAdmin(), (req, res) => {
+    const { date } = req.query;
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new ApiError('INVALID_REQUEST', '"date" must be formatted as YYYY-MM-DD.');
+    }
+    res.json(apiKeyAuth.usageReport(date));
+});
+
+// --- Anything unmatched, and every error thrown above, becomes application/problem+json ---
+app.use(notFoundHandler());
+app.use(errorHandler());
+
+// --- Server Startup (tests require the app without listening) ---
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        logger.info('Server is running', { port: PORT });
+    });
+
+    // Let in-flight requests finish, then save metered usage and pending watchlist and
+    // subscription changes so a deploy loses none of them.
+    // Connections that outstay SHUTDOWN_GRACE_MS are cut off.
+    const SHUTDOWN_GRACE_MS = 10000;
+    const shutdown = signal => {
+        logger.info('Shutting down', { signal });
+        watchlist.scheduler.stop();
+        subscriptions.poller.stop();
+        const exit = () => {
+            apiKeyAuth.stop();
+            Promise.all([watchlist.store.flush(), subscriptions.store.flush()]).then(() => process.exit(0));
+        };
+        server.close(exit);
+        setTimeout(exit, SHUTDOWN_GRACE_MS).unref();
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+    if (env.WATCHLIST_SCHEDULER_ENABLED !== 'false') {
+        watchlist.scheduler.start();
+    }
+    if (env.SUBSCRIPTIONS_POLLER_ENABLED !== 'false') {
+        subscriptions.poller.start();
+    }
+}
+
+module.exports = app;
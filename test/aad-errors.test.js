@@ -0,0 +1,41 @@
+const { aadErrorCode, explainAadError } = require('../lib/diagnostics/aad-errors');
+
+describe('aadErrorCode', () => {
+    test('prefers error_codes', () => {
+        expect(aadErrorCode({ error_codes: [7000215], error_description: 'AADSTS70011: ...' })).toBe(7000215);
+    });
+
+    test('falls back to the description', () => {
+        expect(aadErrorCode({ error_description: 'AADSTS700016: Application not found.' })).toBe(700016);
+    });
+
+    test.each([[undefined], ['text'], [{ error: 'invalid_client' }]])('returns null for %p', body => {
+        expect(aadErrorCode(body)).toBeNull();
+    });
+});
+
+describe('explainAadError', () => {
+    test('explains a known code', () => {
+        const explanation = explainAadError({
+            error: 'invalid_client',
+            error_description: 'AADSTS7000215: Invalid client secret provided.\r\nTrace ID: abc',
+            error_codes: [7000215],
+        });
+
+        expect(explanation).toEqual({
+            code: 'AADSTS7000215',
+            error: 'invalid_client',
+            description: 'AADSTS7000215: Invalid client secret provided.',
+            remediation: expect.stringContaining('not the secret ID'),
+        });
+    });
+
+    test('links to Microsoft for unknown codes', () => {
+        expect(explainAadError({ error_codes: [123456] }).remediation)
+            .toBe('See https://login.microsoftonline.com/error?code=123456 for what this error means.');
+    });
+
+    test('returns null for other errors', () => {
+        expect(explainAadError({ message: 'Bad Gateway' })).toBeNull();
+    });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { ApiKeyAuth, ApiKeyRegistry, FixedWindowLimiter, UsageMeter, hashApiKey } = require('../lib/api-keys');
+const { utcDay } = require('../lib/api-keys/usage');
+const { correlationId, errorHandler } = require('../lib/http');
+
+describe('ApiKeyRegistry', () => {
+    const registry = new ApiKeyRegistry([
+        { id: 'plain', key: 'plain-key' },
+        { id: 'hashed', keyHash: hashApiKey('hashed-key'), dailyQuota: 10 },
+    ], { rateLimitPerMinute: 60, dailyQuota: 5000 });
+
+    test('matches plaintext and hashed keys', () => {
+        expect(registry.authenticate('plain-key')).toMatchObject({ id: 'plain', dailyQuota: 5000 });
+        expect(registry.authenticate('hashed-key')).toMatchObject({ id: 'hashed', dailyQuota: 10 });
+        expect(registry.authenticate('wrong-key')).toBeNull();
+        expect(registry.authenticate('')).toBeNull();
+    });
+
+    test('refuses two clients with the same key', () => {
+        expect(() => new ApiKeyRegistry([{ id: 'a', key: 'same' }, { id: 'b', key: 'same' }])).toThrow('reuses');
+    });
+
+    test('loads the example file as it ships', () => {
+        const example = ApiKeyRegistry.fromFile(path.join(__dirname, '..', 'api-keys.example.json'), { rateLimitPerMinute: 60, dailyQuota: 5000 });
+
+        expect(example.list().map(client => client.id)).toEqual(['acme-garage', 'ops']);
+    });
+});
+
+describe('UsageMeter', () => {
+    test('saves what is left to flush when stopped', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mot-api-usage-'));
+        const filePath = path.join(directory, 'usage.json');
+        try {
+            const meter = new UsageMeter({ filePath, flushIntervalMs: 60 * 60 * 1000 });
+            meter.charge('garage', 3);
+            new ApiKeyAuth({ registry: new ApiKeyRegistry([]), meter }).stop();
+
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))[utcDay(Date.now())].garage).toMatchObject({ requests: 1, units: 3 });
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('FixedWindowLimiter', () => {
+    test('allows `limit` requests per window', () => {
+        const limiter = new FixedWindowLimiter({ windowMs: 60000 });
+
+        expect(limiter.consume('client', 2, 0)).toEqual({ allowed: true, limit: 2, remaining: 1, resetAt: 60000 });
+        expect(limiter.consume('client', 2, 1000).allowed).toBe(true);
+        expect(limiter.consume('client', 2, 2000)).toMatchObject({ allowed: false, remaining: 0 });
+        expect(limiter.consume('client', 2, 60000).allowed).toBe(true);
+    });
+});
+
+describe('ApiKeyAuth.chargeClient', () => {
+    const auth = new ApiKeyAuth({
+        registry: new ApiKeyRegistry([{ id: 'garage', key: 'key', dailyQuota: 2 }]),
+        meter: new UsageMeter(),
+    });
+
+    test('spends quota until it runs out', () => {
+        expect(auth.chargeClient('garage')).toBe(true);
+        expect(auth.chargeClient('garage')).toBe(true);
+        expect(auth.chargeClient('garage')).toBe(false);
+
+        const [usage] = auth.usageReport().clients;
+        expect(usage.usage).toMatchObject({ requests: 0, units: 2, rejected: { quota_exceeded: 1 } });
+    });
+
+    test('refuses clients that are no longer configured, and does not charge unowned entries', () => {
+        expect(auth.chargeClient('removed')).toBe(false);
+        expect(auth.chargeClient(null)).toBe(true);
+        expect(new ApiKeyAuth({ registry: new ApiKeyRegistry([]), enabled: false }).chargeClient('garage')).toBe(true);
+    });
+});
+
+describe('ApiKeyAuth middleware', () => {
+    function createApp(clients) {
+        const auth = new ApiKeyAuth({ registry: new ApiKeyRegistry(clients), meter: new UsageMeter() });
+        const app = express();
+        app.use(correlationId());
+        app.use(express.json());
+        app.use(auth.authenticate({ cost: req => (req.body && req.body.units) || 1 }));
+        app.post('/', (req, res) => res.json({ client: req.apiClient.id }));
+        app.use(errorHandler());
+        return { app, auth };
+    }
+
+    test('identifies the client and sets rate-limit headers', async () => {
+        const { app } = createApp([{ id: 'garage', key: 'key', rateLimitPerMinute: 5, dailyQuota: 100 }]);
+
+        const response = await request(app).post('/').set('X-API-Key', 'key');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ client: 'garage' });
+        expect(response.headers['x-ratelimit-limit']).toBe('5');
+        expect(response.headers['x-ratelimit-remaining']).toBe('4');
+        expect(response.headers['x-ratelimit-daily-remaining']).toBe('99');
+    });
+
+    test('rejects unknown keys', async () => {
+        const { app } = createApp([{ id: 'garage', key: 'key' }]);
+
+        const response = await request(app).post('/').set('X-API-Key', 'other');
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('UNAUTHORIZED');
+    });
+
+    test('charges the request cost against the daily quota', async () => {
+        const { app, auth } = createApp([{ id: 'garage', key: 'key', dailyQuota: 10 }]);
+
+        await request(app).post('/').set('X-API-Key', 'key').send({ units: 8 });
+        const response = await request(app).post('/').set('X-API-Key', 'key').send({ units: 3 });
+
+        expect(response.status).toBe(429);
+        expect(response.body.code).toBe('QUOTA_EXCEEDED');
+        expect(response.headers['x-ratelimit-daily-remaining']).toBe('2');
+        const [usage] = auth.usageReport().clients;
+        expect(usage.usage).toMatchObject({ units: 8, rejected: { quota_exceeded: 1 } });
+    });
+
+    test('only accepts Basic auth when given a realm', async () => {
+        const auth = new ApiKeyAuth({ registry: new ApiKeyRegistry([{ id: 'ops', key: 'key' }]), meter: new UsageMeter() });
+        const app = express();
+        app.use(correlationId());
+        app.get('/api', auth.authenticate(), (req, res) => res.json({ client: req.apiClient.id }));
+        app.get('/tool', auth.authenticate({ realm: 'Tool' }), (req, res) => res.json({ client: req.apiClient.id }));
+        app.use(errorHandler());
+
+        const withoutRealm = await request(app).get('/api').auth('user', 'key');
+        expect(withoutRealm.status).toBe(401);
+        expect(withoutRealm.headers['www-authenticate']).toBeUndefined();
+
+        const challenge = await request(app).get('/tool');
+        expect(challenge.status).toBe(401);
+        expect(challenge.headers['www-authenticate']).toBe('Basic realm="Tool", charset="UTF-8"');
+
+        const response = await request(app).get('/tool').auth('user', 'key');
+        expect(response.body).toEqual({ client: 'ops' });
+    });
+});
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, MemoryStore, FileStore, SqliteStore, CACHE_HIT, CACHE_MISS, CACHE_STALE } = require('../lib/cache');
+
+const TTL_MS = 60 * 1000;
+const STALE_MS = 10 * 60 * 1000;
+
+// A promise the test settles by hand, to hold a loader in flight
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+// Lets background refreshes (which are not awaited by getOrLoad) finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function sqliteInstalled() {
+    try {
+        require.resolve('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('ResponseCache', () => {
+    let time;
+    let cache;
+
+    beforeEach(() => {
+        time = 1000000;
+        cache = new ResponseCache({ store: new MemoryStore(), ttlMs: TTL_MS, staleMs: STALE_MS, now: () => time });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('goes from MISS to HIT, then STALE after the TTL and MISS once stale runs out', async () => {
+        const loader = jest.fn()
+            .mockResolvedValueOnce('first')
+            .mockResolvedValueOnce('refreshed')
+            .mockResolvedValueOnce('reloaded');
+
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'first', cacheStatus: CACHE_MISS });
+        time += TTL_MS;
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'first', cacheStatus: CACHE_HIT });
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        time += 1;
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'first', cacheStatus: CACHE_STALE });
+        await settle();
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'refreshed', cacheStatus: CACHE_HIT });
+
+        time += TTL_MS + STALE_MS + 1;
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'reloaded', cacheStatus: CACHE_MISS });
+        expect(loader).toHaveBeenCalledTimes(3);
+    });
+
+    test('shares one loader call between concurrent misses', async () => {
+        const load = deferred();
+        const loader = jest.fn(() => load.promise);
+
+        const lookups = [cache.getOrLoad('vehicle:FE08BBU', loader), cache.getOrLoad('vehicle:FE08BBU', loader)];
+        await settle();
+        load.resolve('record');
+
+        expect(await Promise.all(lookups)).toEqual([
+            { value: 'record', cacheStatus: CACHE_MISS },
+            { value: 'record', cacheStatus: CACHE_MISS },
+        ]);
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('revalidates a stale entry once in the background, however often it is read', async () => {
+        await cache.getOrLoad('vehicle:FE08BBU', async () => 'first');
+        time += TTL_MS + 1;
+        const refresh = deferred();
+        const loader = jest.fn(() => refresh.promise);
+
+        const reads = [];
+        for (let i = 0; i < 3; i++) {
+            reads.push(await cache.getOrLoad('vehicle:FE08BBU', loader));
+        }
+        expect(reads.map(read => read.cacheStatus)).toEqual([CACHE_STALE, CACHE_STALE, CACHE_STALE]);
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        refresh.resolve('refreshed');
+        await settle();
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'refreshed', cacheStatus: CACHE_HIT });
+    });
+
+    test('keeps serving the stale entry when the refresh fails', async () => {
+        await cache.getOrLoad('vehicle:FE08BBU', async () => 'first');
+        time += TTL_MS + 1;
+        const loader = jest.fn(async () => {
+            throw new Error('DVSA is down');
+        });
+
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'first', cacheStatus: CACHE_STALE });
+        await settle();
+        expect(await cache.getOrLoad('vehicle:FE08BBU', loader)).toEqual({ value: 'first', cacheStatus: CACHE_STALE });
+        await settle();
+
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Background cache refresh failed'));
+    });
+
+    test('does not cache a failed load', async () => {
+        await expect(cache.getOrLoad('vehicle:AB12CDE', async () => {
+            throw new Error('not found');
+        })).rejects.toThrow('not found');
+
+        expect(await cache.getOrLoad('vehicle:AB12CDE', async () => 'found')).toEqual({ value: 'found', cacheStatus: CACHE_MISS });
+    });
+
+    test('invalidate() drops an entry', async () => {
+        await cache.getOrLoad('vehicle:FE08BBU', async () => 'first');
+        await cache.invalidate('vehicle:FE08BBU');
+
+        expect(await cache.getOrLoad('vehicle:FE08BBU', async () => 'second')).toEqual({ value: 'second', cacheStatus: CACHE_MISS });
+    });
+});
+
+describe('MemoryStore', () => {
+    test('evicts the least recently used entry', async () => {
+        const store = new MemoryStore({ maxEntries: 2 });
+        await store.set('a', { value: 1 });
+        await store.set('b', { value: 2 });
+        await store.get('a');
+        await store.set('c', { value: 3 });
+
+        expect(await store.get('a')).toEqual({ value: 1 });
+        expect(await store.get('b')).toBeUndefined();
+        expect(await store.get('c')).toEqual({ value: 3 });
+    });
+
+    test('deletes entries', async () => {
+        const store = new MemoryStore();
+        await store.set('a', { value: 1 });
+        await store.delete('a');
+
+        expect(await store.get('a')).toBeUndefined();
+    });
+});
+
+describe('FileStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mot-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('keeps entries across instances, one file per key', async () => {
+        const entry = { value: { registration: 'FE08BBU' }, storedAt: 1000 };
+        await new FileStore({ directory }).set('vehicle:registration=FE08BBU', entry);
+
+        expect(await new FileStore({ directory }).get('vehicle:registration=FE08BBU')).toEqual(entry);
+        // Keys are hashed, so file names never hold the registration
+        expect(fs.readdirSync(directory)).toEqual([expect.stringMatching(/^[0-9a-f]{40}\.json$/)]);
+    });
+
+    test('treats missing and corrupt files as a miss', async () => {
+        const store = new FileStore({ directory });
+        await store.set('a', { value: 1, storedAt: 1000 });
+        fs.writeFileSync(store.filePath('a'), '{ not json');
+
+        expect(await store.get('a')).toBeUndefined();
+        expect(await store.get('never-set')).toBeUndefined();
+    });
+
+    test('prunes expired entries, then the oldest beyond maxEntries, after a write', async () => {
+        let time = Date.parse('2026-10-01T12:00:00Z');
+        const store = new FileStore({ directory, maxEntries: 2, maxAgeMs: STALE_MS, now: () => time });
+        const write = (key, minutesAgo) => store.set(key, { value: key, storedAt: time - minutesAgo * 60 * 1000 });
+        await write('expired', 11);
+        await store.pruning;
+        expect(await store.get('expired')).toBeUndefined();
+
+        // Not pruned until a minute after the last prune
+        await write('expires-soon', 9.5);
+        await write('oldest', 5);
+        await write('older', 3);
+        time += 60 * 1000;
+        await write('newest', 1);
+        await store.pruning;
+
+        expect(await store.get('expires-soon')).toBeUndefined();
+        expect(await store.get('oldest')).toBeUndefined();
+        expect(await store.get('older')).toMatchObject({ value: 'older' });
+        expect(await store.get('newest')).toMatchObject({ value: 'newest' });
+        expect(fs.readdirSync(directory)).toHaveLength(2);
+    });
+
+    test('prunes at most once a minute', async () => {
+        let time = Date.parse('2026-10-01T12:00:00Z');
+        const store = new FileStore({ directory, maxEntries: 1, now: () => time });
+        await store.set('a', { value: 1, storedAt: time });
+        await store.pruning;
+        await store.set('b', { value: 2, storedAt: time });
+        await store.set('c', { value: 3, storedAt: time });
+
+        expect(store.pruning).toBeNull();
+        expect(fs.readdirSync(directory)).toHaveLength(3);
+        time += 60 * 1000;
+        expect(await store.prune()).toBe(2);
+        expect(fs.readdirSync(directory)).toHaveLength(1);
+    });
+
+    test('deletes entries', async () => {
+        const store = new FileStore({ directory });
+        await store.set('a', { value: 1, storedAt: 1000 });
+        await store.delete('a');
+        await store.delete('never-set');
+
+        expect(await store.get('a')).toBeUndefined();
+    });
+});
+
+describe('SqliteStore', () => {
+    if (!sqliteInstalled()) {
+        test('explains how to install better-sqlite3', () => {
+            expect(() => new SqliteStore({ filename: ':memory:' })).toThrow('npm install better-sqlite3');
+        });
+        return;
+    }
+
+    test('stores, reads and deletes entries', async () => {
+        const store = new SqliteStore({ filename: ':memory:' });
+        await store.set('a', { value: 1, storedAt: 1000 });
+
+        expect(await store.get('a')).toEqual({ value: 1, storedAt: 1000 });
+        await store.delete('a');
+        expect(await store.get('a')).toBeUndefined();
+    });
+
+    test('drops expired entries on write', async () => {
+        const time = 10 * STALE_MS;
+        const store = new SqliteStore({ filename: ':memory:', maxAgeMs: STALE_MS, now: () => time });
+        await store.set('expired', { value: 1, storedAt: time - STALE_MS - 1 });
+        await store.set('fresh', { value: 2, storedAt: time });
+
+        expect(await store.get('expired')).toBeUndefined();
+        expect(await store.get('fresh')).toEqual({ value: 2, storedAt: time });
+    });
+});
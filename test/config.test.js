@@ -0,0 +1,118 @@
+const { loadConfig, describeConfig, ConfigError } = require('../lib/config');
+
+const REQUIRED = {
+    DVSA_CLIENT_ID: 'client-id-1234',
+    DVSA_CLIENT_SECRET: 'client-secret',
+    DVSA_API_KEY: 'dvsa-api-key',
+    DVSA_TOKEN_URL: 'https://login.example.test/token',
+};
+
+function problemsFor(env) {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.problems;
+    }
+    return [];
+}
+
+describe('loadConfig', () => {
+    test('applies defaults', () => {
+        const config = loadConfig(REQUIRED);
+
+        expect(config).toMatchObject({
+            profile: 'development',
+            port: 3001,
+            dvsa: { clientId: 'client-id-1234', scope: 'https://tapi.dvsa.gov.uk/.default' },
+        });
+    });
+
+    test('per-entry-point defaults yield to the environment', () => {
+        expect(loadConfig(REQUIRED, { PORT: '3000' }).port).toBe(3000);
+        expect(loadConfig({ ...REQUIRED, PORT: '8080' }, { PORT: '3000' }).port).toBe(8080);
+    });
+
+    test('accepts the older CLIENT_ID names and derives the token URL from TENANT_ID', () => {
+        const { DVSA_CLIENT_ID, DVSA_CLIENT_SECRET, DVSA_TOKEN_URL, ...rest } = REQUIRED;
+        const config = loadConfig({ ...rest, CLIENT_ID: 'old-id', CLIENT_SECRET: 'old-secret', TENANT_ID: 'contoso.onmicrosoft.com' });
+
+        expect(config.dvsa).toMatchObject({
+            clientId: 'old-id',
+            clientSecret: 'old-secret',
+            tokenUrl: 'https://login.microsoftonline.com/contoso.onmicrosoft.com/oauth2/v2.0/token',
+        });
+    });
+
+    test('reports every problem at once', () => {
+        const problems = problemsFor({ PORT: 'eighty', CACHE_STORE: 'redis', API_AUTH_DISABLED: 'yes' });
+
+        expect(problems).toEqual(expect.arrayContaining([
+            'DVSA_CLIENT_ID (or CLIENT_ID) is required',
+            'DVSA_API_KEY is required',
+            'PORT must be a whole number of at least 1 (got "eighty")',
+            'CACHE_STORE must be one of memory, file, sqlite (got "redis")',
+            'API_AUTH_DISABLED must be "true" or "false" (got "yes")',
+        ]));
+    });
+
+    test('refuses conflicting aliases', () => {
+        expect(problemsFor({ ...REQUIRED, CLIENT_ID: 'different' })).toEqual([
+            'DVSA_CLIENT_ID and CLIENT_ID are both set to different values; set only one',
+        ]);
+    });
+
+    test('checks the reminder and email settings', () => {
+        expect(problemsFor({ ...REQUIRED, REMINDER_LEAD_DAYS: '30,two' })).toEqual([
+            'REMINDER_LEAD_DAYS must be a comma-separated list of whole days, e.g. 30,14,1 (got "30,two")',
+        ]);
+        expect(problemsFor({ ...REQUIRED, SMTP_URL: 'mail.example.test' })).toEqual(expect.arrayContaining([
+            'SMTP_URL must be an smtp:// or smtps:// URL',
+            'SMTP_FROM is required when SMTP_URL is set',
+        ]));
+    });
+
+    test('needs better-sqlite3 for the SQLite cache', () => {
+        // better-sqlite3 is an optional dependency, so expect whichever outcome fits this install
+        let installed = true;
+        try {
+            require.resolve('better-sqlite3');
+        } catch (error) {
+            installed = false;
+        }
+
+        expect(problemsFor({ ...REQUIRED, CACHE_STORE: 'SQLite' })).toEqual(installed ? [] : [
+            'CACHE_STORE=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)',
+        ]);
+        expect(problemsFor({ ...REQUIRED, CACHE_STORE: 'memory' })).toEqual([]);
+    });
+
+    test('production requires https and API keys', () => {
+        const problems = problemsFor({
+            ...REQUIRED,
+            APP_PROFILE: 'production',
+            DVSA_TOKEN_URL: 'http://localhost:4010/token',
+            API_AUTH_DISABLED: 'true',
+            WEBHOOK_ALLOW_PRIVATE_TARGETS: 'true',
+        });
+
+        expect(problems).toEqual([
+            'DVSA_TOKEN_URL must be a valid https URL (got "http://localhost:4010/token")',
+            'API_AUTH_DISABLED=true is not allowed in production',
+            'LOG_HASH_SALT is required in production',
+            'WEBHOOK_ALLOW_PRIVATE_TARGETS=true is not allowed in production',
+        ]);
+    });
+});
+
+describe('describeConfig', () => {
+    test('redacts secrets', () => {
+        const summary = describeConfig(loadConfig(REQUIRED));
+
+        expect(summary).toContain('Configuration (profile: development)');
+        expect(summary).toMatch(/DVSA_CLIENT_ID\s+clie…/);
+        expect(summary).toMatch(/DVSA_CLIENT_SECRET\s+\(set, redacted\)/);
+        expect(summary).not.toContain('client-secret');
+        expect(summary).not.toContain('dvsa-api-key');
+    });
+});
@@ -0,0 +1,211 @@
+const { classifyDefect, parseDefectLocation, analyseDefects } = require('../lib/defects');
+
+function motTest(completedDate, ...defects) {
+    return { completedDate, rfrAndComments: defects.map(([type, text]) => ({ type, text })) };
+}
+
+describe('classifyDefect', () => {
+    test.each([
+        ['Nearside Front Tyre worn close to legal limit (5.2.3 (e))', 'tyres'],
+        ['Tread depth below requirements of 1.6mm', 'tyres'],
+        ['Offside Rear Brake disc worn, pitted or scored, but not seriously weakened (1.1.14 (a) (ii))', 'brakes'],
+        ['Parking brake efficiency below requirements', 'brakes'],
+        ['Track rod end ball joint has slight play', 'steering'],
+        ['Nearside Front Coil spring corroded', 'suspension'],
+        ['Offside Rear Shock absorber has a light misting of oil', 'suspension'],
+        ['Headlamp aim too high', 'lights'],
+        ['Nearside Rear Indicator not working', 'lights'],
+        ['Nearside Rear Brake lamp(s) not working (4.3.1 (a) (ii))', 'lights'],
+        ['High level brake light inoperative', 'lights'],
+        ['Exhaust has a minor leak of exhaust gases', 'exhaust_emissions'],
+        ['Emissions exceed the limits for this vehicle', 'exhaust_emissions'],
+        ['Windscreen damaged but not adversely affecting driver\'s view', 'visibility'],
+        ['Driver\'s seat belt webbing frayed', 'seat_belts'],
+        ['Airbag missing', 'seat_belts'],
+        ['Nearside Sill corroded', 'corrosion'],
+        ['Underside has slight corrosion to sub-frame', 'corrosion'],
+        ['Oil leak from engine, but not excessive', 'fluid_leaks'],
+        ['Offside Front Drive shaft CV boot damaged', 'driveline'],
+        ['Nearside Front Wheel bearing has slight play', 'driveline'],
+        ['Rear bumper insecure', 'body_structure'],
+        ['Battery insecure', 'electrical'],
+        ['Registration plate letters incorrectly spaced', 'registration_plate'],
+        ['Speedometer inoperative', 'other'],
+    ])('%s -> %s', (text, system) => {
+        expect(classifyDefect(text)).toBe(system);
+    });
+
+    test('puts component systems before generic wording', () => {
+        expect(classifyDefect('Brake pipe corroded, covering removed')).toBe('brakes');
+        expect(classifyDefect('Power steering fluid leaking')).toBe('steering');
+    });
+
+    test('treats missing text as other', () => {
+        expect(classifyDefect(undefined)).toBe('other');
+        expect(classifyDefect('')).toBe('other');
+    });
+});
+
+describe('parseDefectLocation', () => {
+    test.each([
+        ['Nearside Front Tyre worn close to legal limit', { lateral: 'nearside', longitudinal: 'front', vertical: null }],
+        ['Offside Rear Upper Suspension arm ball joint worn', { lateral: 'offside', longitudinal: 'rear', vertical: 'upper' }],
+        ['N/S lower ball joint has play', { lateral: 'nearside', longitudinal: null, vertical: 'lower' }],
+        ['OSF inner CV boot split', { lateral: 'offside', longitudinal: 'front', vertical: 'inner' }],
+        ['NSR tyre sidewall bulge', { lateral: 'nearside', longitudinal: 'rear', vertical: null }],
+        ['Centre rear lamp inoperative', { lateral: 'central', longitudinal: 'rear', vertical: null }],
+    ])('%s', (text, location) => {
+        expect(parseDefectLocation(text)).toEqual(location);
+    });
+
+    test('is null when the text names no location', () => {
+        expect(parseDefectLocation('Exhaust has a minor leak')).toBeNull();
+        expect(parseDefectLocation(null)).toBeNull();
+    });
+});
+
+describe('analyseDefects', () => {
+    const TYRE = 'Nearside Front Tyre worn close to legal limit (5.2.3 (e))';
+    const DISC = 'Offside Rear Brake disc worn, pitted or scored (1.1.14 (a) (ii))';
+
+    test('counts every defect by system', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2023.03.01', ['ADVISORY', TYRE], ['FAIL', 'Headlamp aim too high'], ['MINOR', DISC]),
+                motTest('2024.03.01', ['ADVISORY', 'Nearside Sill corroded'], ['DANGEROUS', 'Brake hose damaged']),
+            ],
+        });
+
+        expect(result.by_system).toEqual({ tyres: 1, lights: 1, brakes: 2, corrosion: 1 });
+    });
+
+    test('needs two consecutive tests for an advisory to recur', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2022.03.01', ['ADVISORY', TYRE]),
+                motTest('2023.03.01', ['ADVISORY', 'Windscreen chipped']),
+                motTest('2024.03.01', ['ADVISORY', TYRE]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toEqual([]);
+        expect(result.likely_upcoming_failures).toEqual([]);
+    });
+
+    test('finds advisories on consecutive tests, ignoring case, spacing and manual references', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2024.03.01 10:00:00', ['ADVISORY', 'NEARSIDE FRONT TYRE   WORN close to legal limit (5.2.3 (e))'], ['MINOR', DISC]),
+                motTest('2022.03.01 10:00:00', ['ADVISORY', 'Nearside front tyre worn close to legal limit']),
+                motTest('2023.03.01 10:00:00', ['ADVISORY', TYRE], ['MINOR', DISC]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toEqual([
+            {
+                description: 'NEARSIDE FRONT TYRE   WORN close to legal limit (5.2.3 (e))',
+                system: 'tyres',
+                location: { lateral: 'nearside', longitudinal: 'front', vertical: null },
+                occurrences: 3,
+                consecutive_tests: 3,
+                first_seen: '2022-03-01',
+                last_seen: '2024-03-01',
+            },
+            {
+                description: DISC,
+                system: 'brakes',
+                location: { lateral: 'offside', longitudinal: 'rear', vertical: null },
+                occurrences: 2,
+                consecutive_tests: 2,
+                first_seen: '2023-03-01',
+                last_seen: '2024-03-01',
+            },
+        ]);
+        expect(result.likely_upcoming_failures).toEqual([
+            {
+                description: 'NEARSIDE FRONT TYRE   WORN close to legal limit (5.2.3 (e))',
+                system: 'tyres',
+                location: { lateral: 'nearside', longitudinal: 'front', vertical: null },
+                reason: 'Advised on the last 3 consecutive tests.',
+            },
+            {
+                description: DISC,
+                system: 'brakes',
+                location: { lateral: 'offside', longitudinal: 'rear', vertical: null },
+                reason: 'Advised on the last 2 consecutive tests.',
+            },
+        ]);
+    });
+
+    test('merges same-day retests so a fail-then-pass counts once', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2023.03.01 09:00:00', ['ADVISORY', TYRE], ['FAIL', 'Headlamp aim too high']),
+                motTest('2023.03.01 15:00:00', ['ADVISORY', TYRE]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toEqual([]);
+        expect(result.by_system).toEqual({ tyres: 2, lights: 1 });
+    });
+
+    test('only counts advisory and minor defects as recurring', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2023.03.01', ['FAIL', TYRE], ['PRS', DISC]),
+                motTest('2024.03.01', ['FAIL', TYRE], ['PRS', DISC]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toEqual([]);
+    });
+
+    test('does not predict failures from a streak that has ended', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2021.03.01', ['ADVISORY', DISC]),
+                motTest('2022.03.01', ['ADVISORY', DISC]),
+                motTest('2023.03.01', ['ADVISORY', TYRE]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toMatchObject([{ system: 'brakes', consecutive_tests: 2, last_seen: '2022-03-01' }]);
+        expect(result.likely_upcoming_failures).toEqual([]);
+    });
+
+    test('starts a new streak after a gap, keeping the first sighting and total count', () => {
+        const result = analyseDefects({
+            motTests: [
+                motTest('2020.03.01', ['ADVISORY', TYRE]),
+                motTest('2021.03.01', ['ADVISORY', 'Windscreen chipped']),
+                motTest('2022.03.01', ['ADVISORY', TYRE]),
+                motTest('2023.03.01', ['ADVISORY', TYRE]),
+            ],
+        });
+
+        expect(result.recurring_advisories).toMatchObject([
+            { system: 'tyres', occurrences: 3, consecutive_tests: 2, first_seen: '2020-03-01', last_seen: '2023-03-01' },
+        ]);
+        expect(result.likely_upcoming_failures).toHaveLength(1);
+    });
+
+    test('reads MOT History API defects and skips tests without a date', () => {
+        const result = analyseDefects({
+            motTests: [
+                { completedDate: '2023-03-01T10:00:00.000Z', defects: [{ type: 'ADVISORY', text: TYRE }] },
+                { completedDate: '2024-03-01T10:00:00.000Z', defects: [{ type: 'ADVISORY', text: TYRE }] },
+                { defects: [{ type: 'ADVISORY', text: DISC }] },
+            ],
+        });
+
+        expect(result.by_system).toEqual({ tyres: 2 });
+        expect(result.recurring_advisories).toHaveLength(1);
+    });
+
+    test('handles vehicles without tests', () => {
+        const empty = { by_system: {}, recurring_advisories: [], likely_upcoming_failures: [] };
+
+        expect(analyseDefects(null)).toEqual(empty);
+        expect(analyseDefects({ motTests: [] })).toEqual(empty);
+    });
+});
@@ -0,0 +1,195 @@
+const { startMockDvsa, mockDvsaEnv } = require('./helpers/mock-dvsa');
+const { DEFAULT_SCOPES, createDiagnostics, parseMatrixOptions } = require('../lib/diagnostics');
+const { main, parseArgs } = require('../diagnose-dvsa');
+
+// The mock DVSA only issues tokens for the default scope, so every other scope
+// fails at Azure AD. URL lists stay on the mock so nothing leaves the machine.
+
+describe('parseMatrixOptions', () => {
+    test('falls back to the defaults for missing or blank lists', () => {
+        expect(parseMatrixOptions({})).toEqual({ options: {} });
+        expect(parseMatrixOptions({ scopes: ' ', urls: '' })).toEqual({ options: {} });
+    });
+
+    test('splits on commas and newlines and removes duplicates', () => {
+        const { options } = parseMatrixOptions({
+            scopes: 'mot.read,\r\n(empty)\nmot.read',
+            urls: ['https://a.example/mot, https://b.example/mot', 'https://a.example/mot'],
+        });
+
+        expect(options).toEqual({
+            scopes: ['mot.read', ''],
+            urls: ['https://a.example/mot', 'https://b.example/mot'],
+        });
+    });
+
+    test('rejects URLs that are not http(s)', () => {
+        expect(parseMatrixOptions({ urls: 'ftp://example.test/mot' }))
+            .toEqual({ error: '"ftp://example.test/mot" is not an http(s) URL' });
+    });
+
+    test('applies the URL allowlist it is given', () => {
+        const isAllowedUrl = url => url.startsWith('https://dvsa.example/');
+
+        expect(parseMatrixOptions({ urls: 'https://dvsa.example/mot' }, { isAllowedUrl })).toEqual({ options: { urls: ['https://dvsa.example/mot'] } });
+        expect(parseMatrixOptions({ urls: 'https://attacker.example/mot' }, { isAllowedUrl }))
+            .toEqual({ error: '"https://attacker.example/mot" is not on a DVSA host this tool may call' });
+    });
+
+    test('limits the number of entries', () => {
+        const scopes = Array.from({ length: 21 }, (_, index) => `scope-${index}`);
+
+        expect(parseMatrixOptions({ scopes }).error).toMatch(/at most 20 scopes/);
+    });
+});
+
+describe('DvsaDiagnostics', () => {
+    let dvsa;
+    let diagnostics;
+    let apiUrl;
+
+    beforeAll(async () => {
+        dvsa = await startMockDvsa();
+        apiUrl = `${dvsa.url}/trade/vehicles/mot-tests`;
+        diagnostics = createDiagnostics(mockDvsaEnv(dvsa.url));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        console.log.mockRestore();
+        await dvsa.close();
+    });
+
+    test('tests scopes against the configured URL', () => {
+        expect(diagnostics.apiUrl).toBe(apiUrl);
+        expect(diagnostics.defaultScope).toBe(DEFAULT_SCOPES[0]);
+    });
+
+    test('allows URLs on the configured and known DVSA hosts only', () => {
+        expect(diagnostics.isAllowedUrl(`${dvsa.url}/v1/trade/vehicles/registration/FE08BBU`)).toBe(true);
+        expect(diagnostics.isAllowedUrl('https://tapi.dvsa.gov.uk/mot/trade/vehicles/mot-tests')).toBe(true);
+        expect(diagnostics.isAllowedUrl('https://tapi.dvsa.gov.uk.attacker.example/mot')).toBe(false);
+        expect(diagnostics.isAllowedUrl('not a url')).toBe(false);
+    });
+
+    test('reports a working scope with its token', async () => {
+        const result = await diagnostics.testScope(DEFAULT_SCOPES[0], 'FE08BBU');
+
+        expect(result).toMatchObject({ ok: true, token: { acquired: true, type: 'Bearer' }, api: { ok: true, status: 200 } });
+        expect(result.api_without_key).toBeUndefined();
+    });
+
+    test('decodes the token claims', async () => {
+        const { token } = await diagnostics.testScope(DEFAULT_SCOPES[0], 'FE08BBU');
+
+        expect(token.claims).toMatchObject({ aud: 'https://tapi.dvsa.gov.uk', roles: ['MOT.Read'], appid: 'test-client' });
+        expect(token.issues).toEqual([]);
+    });
+
+    test('reports a refused scope without calling the API', async () => {
+        const result = await diagnostics.testScope('mot.read', 'FE08BBU');
+
+        expect(result.ok).toBe(false);
+        expect(result.token).toMatchObject({ acquired: false, status: 400, code: 'UPSTREAM_AUTH_FAILED' });
+        expect(result.token.aad).toMatchObject({ code: 'AADSTS70011', error: 'invalid_scope' });
+        expect(result.api).toBeUndefined();
+    });
+
+    test('runMatrix summarises what works', async () => {
+        const report = await diagnostics.runMatrix('FE08BBU', {
+            scopes: [DEFAULT_SCOPES[0], 'mot.read'],
+            urls: [apiUrl, `${dvsa.url}/elsewhere`],
+        });
+
+        expect(report).toMatchObject({
+            registration: 'FE08BBU',
+            ok: true,
+            working_scopes: [DEFAULT_SCOPES[0]],
+            working_urls: [apiUrl],
+            recommended: { scope: DEFAULT_SCOPES[0], url: apiUrl },
+        });
+        expect(report.scopes).toHaveLength(2);
+        expect(report.urls[1]).toMatchObject({ ok: false, api: { ok: false } });
+        // Vehicle data is left out of the report
+        expect(report.scopes[0].api.data).toBeUndefined();
+    });
+
+    test('runMatrix fails when the registration is unknown', async () => {
+        const report = await diagnostics.runMatrix('AB12CDE', { scopes: [DEFAULT_SCOPES[0]], urls: [apiUrl] });
+
+        expect(report.ok).toBe(false);
+        expect(report.recommended).toEqual({ scope: null, url: null });
+        expect(report.scopes[0].api).toMatchObject({ status: 404, code: 'UPSTREAM_NOT_FOUND' });
+    });
+});
+
+describe('diagnose-dvsa.js', () => {
+    const originalEnv = process.env;
+    let dvsa;
+    let stdout;
+    let stderr;
+
+    beforeAll(async () => {
+        dvsa = await startMockDvsa();
+    });
+
+    afterAll(async () => {
+        await dvsa.close();
+    });
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, ...mockDvsaEnv(dvsa.url) };
+        stdout = jest.spyOn(console, 'log').mockImplementation(() => {});
+        stderr = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    const output = spy => spy.mock.calls.map(args => args.join(' ')).join('\n');
+    const localUrl = () => `--url=${dvsa.url}/trade/vehicles/mot-tests`;
+
+    test('parses repeated and inline options', () => {
+        expect(parseArgs(['--registration', 'FE08BBU', '--scope=a', '--scope', 'b', '--json'])).toEqual({
+            args: { registration: 'FE08BBU', scopes: ['a', 'b'], urls: [], json: true },
+        });
+        expect(parseArgs(['--scope', 'a'])).toEqual({ error: '--registration is required' });
+        expect(parseArgs(['--registration', 'X', '--verbose'])).toEqual({ error: 'Unknown option "--verbose"' });
+    });
+
+    test('exits 0 and recommends the working combination', async () => {
+        const code = await main(['--registration', 'fe08 bbu', '--scope', `${DEFAULT_SCOPES[0]},mot.read`, localUrl()]);
+
+        expect(code).toBe(0);
+        expect(output(stdout)).toMatch(/PASS {2}https:\/\/tapi\.dvsa\.gov\.uk\/\.default/);
+        expect(output(stdout)).toMatch(/FAIL {2}mot\.read {2}400 UPSTREAM_AUTH_FAILED AADSTS70011/);
+        expect(output(stdout)).toContain('Fix: The scope is not valid.');
+        expect(output(stdout)).toContain(`OK: recommended scope ${DEFAULT_SCOPES[0]}`);
+        // Progress messages stay off stdout
+        expect(output(stderr)).toContain('Testing scope scope=mot.read');
+    });
+
+    test('exits 1 with a JSON report when nothing works', async () => {
+        const code = await main(['--registration', 'AB12CDE', '--scope', DEFAULT_SCOPES[0], localUrl(), '--json']);
+
+        expect(code).toBe(1);
+        const report = JSON.parse(output(stdout));
+        expect(report).toMatchObject({ registration: 'AB12CDE', ok: false, working_scopes: [], working_urls: [] });
+    });
+
+    test('exits 2 on bad usage', async () => {
+        expect(await main([])).toBe(2);
+        expect(await main(['--registration', 'FE08BBU', '--url', 'not-a-url'])).toBe(2);
+        expect(output(stderr)).toContain('"not-a-url" is not an http(s) URL.');
+    });
+
+    test('exits 2 when the configuration is invalid', async () => {
+        delete process.env.DVSA_API_KEY;
+
+        expect(await main(['--registration', 'FE08BBU'])).toBe(2);
+        expect(output(stderr)).toContain('DVSA_API_KEY');
+    });
+});
@@ -0,0 +1,194 @@
+const { DvsaClient, CircuitBreaker, TokenBucket, UpstreamError, UPSTREAM_ERROR_CODES, createLegacyTradeAdapter, createMotHistoryAdapter } = require('../lib/dvsa');
+const { loadFixture } = require('./helpers/mock-dvsa');
+
+function response(status, body, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => headers[name.toLowerCase()] || null },
+        json: async () => body,
+        text: async () => JSON.stringify(body),
+    };
+}
+
+function createClient(fetchImpl, options = {}) {
+    return new DvsaClient({
+        adapter: createLegacyTradeAdapter({ baseUrl: 'https://dvsa.example.test/mot-tests' }),
+        apiKey: 'dvsa-key',
+        retry: { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 1000 },
+        fetchImpl,
+        ...options,
+    });
+}
+
+describe('DvsaClient', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sends the token and API key and returns the first record', async () => {
+        const fixture = loadFixture('legacy-trade', 'registration', 'FE08BBU');
+        const fetchImpl = jest.fn(async () => response(200, fixture.body));
+
+        const vehicle = await createClient(fetchImpl).getVehicle({ registration: 'FE08BBU' }, 'access-token');
+
+        expect(vehicle.registration).toBe('FE08BBU');
+        const [url, { headers }] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://dvsa.example.test/mot-tests?registration=FE08BBU');
+        expect(headers).toMatchObject({ 'x-api-key': 'dvsa-key', 'Authorization': 'Bearer access-token' });
+    });
+
+    test('treats an empty result as not found', async () => {
+        const client = createClient(async () => response(200, []));
+
+        await expect(client.getVehicle({ registration: 'AB12CDE' }, 'token')).rejects.toMatchObject({
+            code: 'UPSTREAM_NOT_FOUND',
+            upstreamStatus: 404,
+        });
+    });
+
+    test('retries server errors', async () => {
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(response(500, { message: 'Internal error' }))
+            .mockResolvedValueOnce(response(200, [{ registration: 'FE08BBU' }]));
+
+        await expect(createClient(fetchImpl).getVehicle({ registration: 'FE08BBU' }, 'token')).resolves.toEqual({ registration: 'FE08BBU' });
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not wait out a Retry-After longer than the maximum delay', async () => {
+        const fetchImpl = jest.fn(async () => response(429, { message: 'Too Many Requests' }, { 'retry-after': '30' }));
+
+        await expect(createClient(fetchImpl).getVehicle({ registration: 'FE08BBU' }, 'token')).rejects.toMatchObject({
+            code: 'UPSTREAM_RATE_LIMITED',
+            retryAfterMs: 30000,
+        });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry calls the local rate limiter turns away', async () => {
+        const fetchImpl = jest.fn(async () => response(200, [{ registration: 'FE08BBU' }]));
+        const client = createClient(fetchImpl, {
+            retry: { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 10000 },
+            rateLimiter: new TokenBucket({ ratePerSecond: 1, burst: 1, maxWaitMs: 0 }),
+        });
+
+        await client.getVehicle({ registration: 'FE08BBU' }, 'token');
+        const started = Date.now();
+        await expect(client.getVehicle({ registration: 'FE08BBU' }, 'token')).rejects.toMatchObject({
+            code: 'UPSTREAM_RATE_LIMITED',
+            upstreamStatus: undefined,
+        });
+
+        // Retrying would have waited about a second for the bucket to refill
+        expect(Date.now() - started).toBeLessThan(500);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('opens the circuit after repeated outages', async () => {
+        const fetchImpl = jest.fn(async () => response(503, { message: 'Service Unavailable' }));
+        const client = createClient(fetchImpl, {
+            retry: { maxRetries: 0 },
+            circuitBreaker: new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 }),
+        });
+
+        for (let i = 0; i < 2; i++) {
+            await expect(client.getVehicle({ registration: 'FE08BBU' }, 'token')).rejects.toMatchObject({ upstreamStatus: 503 });
+        }
+        await expect(client.getVehicle({ registration: 'FE08BBU' }, 'token')).rejects.toMatchObject({
+            code: 'UPSTREAM_UNAVAILABLE',
+            message: expect.stringContaining('Circuit breaker is open'),
+        });
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    test('maps MOT History API records onto the internal model', async () => {
+        const fixture = loadFixture('mot-history', 'registration', 'FE08BBU');
+        const client = createClient(async () => response(200, fixture.body), {
+            adapter: createMotHistoryAdapter({ baseUrl: 'https://history.example.test' }),
+        });
+
+        const vehicle = await client.getVehicle({ registration: 'FE08BBU' }, 'token');
+
+        expect(vehicle).toMatchObject({ registration: 'FE08BBU', make: 'VAUXHALL' });
+        expect(vehicle.motTests.length).toBeGreaterThan(0);
+        expect(client.supportsFeed).toBe(false);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    const outage = () => new UpstreamError('Service Unavailable', { code: UPSTREAM_ERROR_CODES.UNAVAILABLE, upstreamStatus: 503 });
+    const localRejection = () => new UpstreamError('Local DVSA rate limit reached', { code: UPSTREAM_ERROR_CODES.RATE_LIMITED, retryAfterMs: 6000 });
+    const fail = error => async () => {
+        throw error;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('does not count local rate limit rejections as DVSA answering', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+
+        await expect(breaker.execute(fail(outage()))).rejects.toMatchObject({ upstreamStatus: 503 });
+        await expect(breaker.execute(fail(localRejection()))).rejects.toMatchObject({ code: 'UPSTREAM_RATE_LIMITED' });
+        await expect(breaker.execute(fail(outage()))).rejects.toMatchObject({ upstreamStatus: 503 });
+
+        expect(breaker.getState()).toBe('open');
+    });
+
+    test('still counts a 429 from DVSA as DVSA answering', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+        const tooManyRequests = new UpstreamError('Too Many Requests', { code: UPSTREAM_ERROR_CODES.RATE_LIMITED, upstreamStatus: 429 });
+
+        await expect(breaker.execute(fail(outage()))).rejects.toThrow();
+        await expect(breaker.execute(fail(tooManyRequests))).rejects.toThrow();
+        await expect(breaker.execute(fail(outage()))).rejects.toThrow();
+
+        expect(breaker.getState()).toBe('closed');
+    });
+
+    test('lets only the trial call release the half-open slot', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+        let rejectEarlier;
+        const earlier = breaker.execute(() => new Promise((resolve, reject) => {
+            rejectEarlier = reject;
+        }));
+        await expect(breaker.execute(fail(outage()))).rejects.toThrow();
+        let resolveTrial;
+        const trial = breaker.execute(() => new Promise(resolve => {
+            resolveTrial = resolve;
+        }));
+
+        // A call from before the circuit opened settles while the trial is still running
+        rejectEarlier(localRejection());
+        await expect(earlier).rejects.toMatchObject({ code: 'UPSTREAM_RATE_LIMITED' });
+
+        const second = jest.fn();
+        await expect(breaker.execute(second)).rejects.toThrow('Circuit breaker is open');
+        expect(second).not.toHaveBeenCalled();
+
+        resolveTrial('ok');
+        await expect(trial).resolves.toBe('ok');
+        expect(breaker.getState()).toBe('closed');
+    });
+
+    test('frees the slot for a new trial when the trial is turned away locally', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+        await expect(breaker.execute(fail(outage()))).rejects.toThrow();
+
+        await expect(breaker.execute(fail(localRejection()))).rejects.toMatchObject({ code: 'UPSTREAM_RATE_LIMITED' });
+        expect(breaker.getState()).toBe('half_open');
+
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+        expect(breaker.getState()).toBe('closed');
+    });
+});
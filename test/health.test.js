@@ -0,0 +1,145 @@
+const { HealthChecks } = require('../lib/health');
+const { CallStats, CircuitBreaker } = require('../lib/dvsa');
+
+const CONFIG = {
+    profile: 'test',
+    dvsa: { clientId: 'id', clientSecret: 'secret', tokenUrl: 'https://login.example.test/token', apiKey: 'key' },
+};
+
+function fakeTokenManager({ token = null, lastFailure = null, getTokenInfo } = {}) {
+    return {
+        token,
+        lastFailure,
+        hasValidToken() {
+            return Boolean(this.token && this.token.usableUntil > Date.now());
+        },
+        getTokenInfo: getTokenInfo || (async () => {
+            throw Object.assign(new Error('Token request failed with status 401'), { status: 401 });
+        }),
+    };
+}
+
+function createChecks({ config = CONFIG, tokenManager = fakeTokenManager(), stats = new CallStats(), circuitBreaker = new CircuitBreaker() } = {}) {
+    const dvsaClient = { adapter: { name: 'legacy-trade' }, stats, circuitBreaker };
+    return new HealthChecks({ config, tokenManager, dvsaClient, readinessTimeoutMs: 50, version: '9.9.9' });
+}
+
+describe('HealthChecks', () => {
+    describe('readiness', () => {
+        test('is ready with a cached token', async () => {
+            const expiresAt = Date.now() + 3600 * 1000;
+            const tokenManager = fakeTokenManager({ token: { fetchedAt: Date.now(), expiresAt, usableUntil: expiresAt } });
+
+            await expect(createChecks({ tokenManager }).readiness()).resolves.toEqual({
+                ready: true,
+                checks: {
+                    config: { ok: true, profile: 'test' },
+                    token: { ok: true, source: 'cached', expires_at: new Date(expiresAt).toISOString() },
+                },
+            });
+        });
+
+        test('fetches a token when none is cached', async () => {
+            const tokenManager = fakeTokenManager({ getTokenInfo: async () => ({ expiresAt: 0 }) });
+
+            const { ready, checks } = await createChecks({ tokenManager }).readiness();
+
+            expect(ready).toBe(true);
+            expect(checks.token).toMatchObject({ ok: true, source: 'fetched' });
+        });
+
+        test('reports the OAuth error code when the token request fails', async () => {
+            const tokenManager = fakeTokenManager({ lastFailure: { at: Date.now(), status: 401, error: 'invalid_client' } });
+
+            const { ready, checks } = await createChecks({ tokenManager }).readiness();
+
+            expect(ready).toBe(false);
+            expect(checks.token).toEqual({ ok: false, status: 401, error: 'invalid_client' });
+        });
+
+        test('gives up on a token request that takes too long', async () => {
+            const tokenManager = fakeTokenManager({ getTokenInfo: () => new Promise(() => {}) });
+
+            const { ready, checks } = await createChecks({ tokenManager }).readiness();
+
+            expect(ready).toBe(false);
+            expect(checks.token).toEqual({ ok: false, error: 'No token within 50ms' });
+        });
+
+        test('lists missing settings without requesting a token', async () => {
+            const tokenManager = fakeTokenManager();
+            tokenManager.getTokenInfo = jest.fn();
+            const config = { profile: 'test', dvsa: { ...CONFIG.dvsa, apiKey: undefined } };
+
+            const { ready, checks } = await createChecks({ config, tokenManager }).readiness();
+
+            expect(ready).toBe(false);
+            expect(checks).toEqual({ config: { ok: false, missing: ['DVSA_API_KEY'] }, token: { ok: false, skipped: true } });
+            expect(tokenManager.getTokenInfo).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('status', () => {
+        test('reports token expiry, DVSA call outcomes and the version', () => {
+            const now = Date.now();
+            const token = { fetchedAt: now, expiresAt: now + 3600 * 1000, usableUntil: now + 3300 * 1000 };
+            const stats = new CallStats();
+            stats.recordSuccess();
+            stats.recordFailure({ code: 'UPSTREAM_NOT_FOUND', upstreamStatus: 404 });
+            stats.recordFailure({ code: 'UPSTREAM_TIMEOUT' });
+
+            const status = createChecks({ tokenManager: fakeTokenManager({ token }), stats }).status();
+
+            expect(status).toMatchObject({
+                status: 'ok',
+                version: '9.9.9',
+                profile: 'test',
+                token: { valid: true, expires_at: new Date(token.expiresAt).toISOString(), last_failure: null },
+                dvsa: {
+                    adapter: 'legacy-trade',
+                    circuit_breaker: 'closed',
+                    last_success_at: expect.any(String),
+                    last_failure: { code: 'UPSTREAM_TIMEOUT' },
+                    recent: { window_seconds: 300, calls: 3, errors: 1, error_rate: 0.333 },
+                },
+            });
+        });
+
+        test('is degraded when the token has failed since it was last fetched', () => {
+            const now = Date.now();
+            const token = { fetchedAt: now - 1000, expiresAt: now + 1000, usableUntil: now };
+            const lastFailure = { at: now, status: 401, error: 'invalid_client' };
+
+            const status = createChecks({ tokenManager: fakeTokenManager({ token, lastFailure }) }).status();
+
+            expect(status.status).toBe('degraded');
+            expect(status.token.last_failure).toEqual({ at: new Date(now).toISOString(), status: 401, error: 'invalid_client' });
+        });
+
+        test('is degraded when most recent DVSA calls fail', () => {
+            const stats = new CallStats();
+            stats.recordFailure({ code: 'UPSTREAM_ERROR', upstreamStatus: 500 });
+
+            expect(createChecks({ stats }).status().status).toBe('degraded');
+        });
+    });
+});
+
+describe('CallStats', () => {
+    test('forgets calls older than the window', () => {
+        let now = 1_000_000;
+        const stats = new CallStats({ windowMs: 10_000, now: () => now });
+        stats.recordFailure({ code: 'UPSTREAM_TIMEOUT' });
+        now += 5_000;
+        stats.recordSuccess();
+
+        expect(stats.recent()).toEqual({ window_seconds: 10, calls: 2, errors: 1, error_rate: 0.5 });
+
+        now += 6_000;
+        expect(stats.recent()).toEqual({ window_seconds: 10, calls: 1, errors: 0, error_rate: 0 });
+        expect(stats.lastFailure).toEqual({ at: 1_000_000, code: 'UPSTREAM_TIMEOUT', upstreamStatus: undefined });
+
+        now += 60_000;
+        expect(stats.recent().error_rate).toBeNull();
+    });
+});
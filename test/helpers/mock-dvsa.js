@@ -0,0 +1,53 @@
+const path = require('path');
+const { createMockDvsaApp, FixtureStore } = require('../../lib/mock-dvsa');
+
+// --- Stubbed DVSA for route tests: the offline mock, serving the bundled fixtures ---
+
+const FIXTURE_DIRECTORY = path.join(__dirname, '..', '..', 'fixtures', 'dvsa');
+
+const CREDENTIALS = {
+    clientId: 'test-client',
+    clientSecret: 'test-secret',
+    apiKey: 'test-dvsa-key',
+};
+
+// Reads one fixture envelope, e.g. loadFixture('legacy-trade', 'registration', 'FE08BBU')
+function loadFixture(api, kind, id) {
+    return new FixtureStore({ directory: FIXTURE_DIRECTORY }).read(api, kind, id);
+}
+
+// Starts the mock on a free port; resolves to { url, close }
+function startMockDvsa(options = {}) {
+    const app = createMockDvsaApp({
+        fixtures: new FixtureStore({ directory: FIXTURE_DIRECTORY }),
+        ...CREDENTIALS,
+        ...options,
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+// Environment that points server.js or test-scopes.js at a running mock
+function mockDvsaEnv(url) {
+    return {
+        APP_PROFILE: 'test',
+        DVSA_CLIENT_ID: CREDENTIALS.clientId,
+        DVSA_CLIENT_SECRET: CREDENTIALS.clientSecret,
+        DVSA_API_KEY: CREDENTIALS.apiKey,
+        DVSA_TOKEN_URL: `${url}/token`,
+        DVSA_API_BASE_URL: `${url}/trade/vehicles/mot-tests`,
+    };
+}
+
+module.exports = {
+    CREDENTIALS,
+    loadFixture,
+    startMockDvsa,
+    mockDvsaEnv,
+};
@@ -0,0 +1,26 @@
+const express = require('express');
+
+// --- Local webhook endpoint for notification tests ---
+// Records every request (headers and raw body). `statuses` are answered in order,
+// then 200 for everything after.
+function startWebhookReceiver({ statuses = [] } = {}) {
+    const requests = [];
+    const pending = [...statuses];
+    const app = express();
+    app.use(express.text({ type: '*/*' }));
+    app.post('*', (req, res) => {
+        requests.push({ path: req.path, headers: req.headers, body: req.body, json: JSON.parse(req.body) });
+        res.status(pending.length > 0 ? pending.shift() : 200).end();
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+module.exports = { startWebhookReceiver };
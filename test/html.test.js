@@ -0,0 +1,30 @@
+const { escapeHtml, html, raw } = require('../lib/http');
+
+describe('html templates', () => {
+    test('escapes interpolated values', () => {
+        const name = '<b onclick="x()">Tom & Jerry\'s</b>';
+
+        expect(html`<p>${name}</p>`.toString())
+            .toBe('<p>&lt;b onclick=&quot;x()&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;</p>');
+    });
+
+    test('does not escape nested templates twice', () => {
+        const item = html`<li>${'<i>'}</li>`;
+
+        expect(html`<ul>${item}</ul>`.toString()).toBe('<ul><li>&lt;i&gt;</li></ul>');
+    });
+
+    test('joins arrays and skips null, undefined and false', () => {
+        const items = ['a', '<b>'].map(value => html`<li>${value}</li>`);
+
+        expect(html`${items}${null}${undefined}${false}${0}`.toString()).toBe('<li>a</li><li>&lt;b&gt;</li>0');
+    });
+
+    test('passes raw markup through', () => {
+        expect(html`${raw('<br>')}`.toString()).toBe('<br>');
+    });
+
+    test('escapeHtml handles non-strings', () => {
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { Logger, configureObservability, logger: sharedLogger, runWithLogContext, setTracer, withSpan } = require('../lib/observability');
+
+function captureLogs(logger) {
+    const lines = [];
+    for (const method of ['log', 'warn', 'error']) {
+        jest.spyOn(console, method).mockImplementation(line => lines.push(line));
+    }
+    return () => lines.map(line => (logger.format === 'json' ? JSON.parse(line) : line));
+}
+
+describe('Logger', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('writes one JSON object per line', () => {
+        const logger = new Logger();
+        const logs = captureLogs(logger);
+        logger.info('Fetched new DVSA token', { expires_in: 3599 });
+
+        expect(logs()).toEqual([{ time: expect.any(String), level: 'info', msg: 'Fetched new DVSA token', expires_in: 3599 }]);
+    });
+
+    test('drops lines below the configured level', () => {
+        const logger = new Logger({ level: 'warn' });
+        const logs = captureLogs(logger);
+        logger.debug('noise');
+        logger.info('noise');
+        logger.warn('kept');
+
+        expect(logs().map(entry => entry.msg)).toEqual(['kept']);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('hashes registrations and VINs with the salt', () => {
+        const logger = new Logger({ hashSalt: 'pepper' });
+        const logs = captureLogs(logger);
+        logger.info('lookup', { registration: 'AB12CDE', vin: 'WVWZZZ1JZXW000001' });
+
+        const [entry] = logs();
+        expect(JSON.stringify(entry)).not.toContain('AB12CDE');
+        expect(entry.registration).toMatch(/^sha256:[0-9a-f]{16}$/);
+        expect(entry.registration).toBe(logger.hash('AB12CDE'));
+        expect(entry.registration).not.toBe(new Logger().hash('AB12CDE'));
+    });
+
+    test('never hashes without a salt', () => {
+        const unsalted = `sha256:${crypto.createHash('sha256').update('AB12CDE').digest('hex').slice(0, 16)}`;
+
+        expect(new Logger().hash('AB12CDE')).not.toBe(unsalted);
+        expect(new Logger().hash('AB12CDE')).not.toBe(new Logger().hash('AB12CDE'));
+    });
+
+    test('warns when LOG_HASH_SALT is unset and salts with random bytes instead', () => {
+        const logs = captureLogs(sharedLogger);
+        configureObservability({ LOG_HASH_SALT: 'pepper' });
+        const pepperHash = sharedLogger.hash('AB12CDE');
+        configureObservability({});
+
+        expect(sharedLogger.hashSalt).toMatch(/^[0-9a-f]{32}$/);
+        expect(sharedLogger.hash('AB12CDE')).not.toBe(pepperHash);
+        expect(logs()).toEqual([expect.objectContaining({ level: 'warn', msg: expect.stringContaining('LOG_HASH_SALT is not set') })]);
+    });
+
+    test('redacts configured secrets and serialises errors', () => {
+        const logger = new Logger({ secrets: ['very-secret-value'] });
+        const logs = captureLogs(logger);
+        const error = Object.assign(new Error('rejected very-secret-value'), { code: 'UPSTREAM_AUTH_FAILED' });
+        logger.error('failed', { error });
+
+        expect(logs()[0].error).toEqual({ name: 'Error', message: 'rejected [REDACTED]', code: 'UPSTREAM_AUTH_FAILED' });
+    });
+
+    test('adds the request context and child fields', () => {
+        const logger = new Logger();
+        const logs = captureLogs(logger);
+        runWithLogContext({ correlation_id: 'abc-123' }, () => {
+            logger.child({ component: 'cache' }).info('miss');
+        });
+        logger.info('outside');
+
+        expect(logs()).toEqual([
+            expect.objectContaining({ msg: 'miss', correlation_id: 'abc-123', component: 'cache' }),
+            expect.not.objectContaining({ correlation_id: 'abc-123' }),
+        ]);
+    });
+
+    test('pretty format puts fields after the message', () => {
+        const logger = new Logger({ format: 'pretty' });
+        const logs = captureLogs(logger);
+        logger.warn('retrying', { retry_in_ms: 250 });
+
+        expect(logs()[0]).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3} WARN  retrying retry_in_ms=250$/);
+    });
+});
+
+describe('withSpan', () => {
+    afterEach(() => {
+        setTracer(null);
+    });
+
+    test('runs without a span when tracing is off', async () => {
+        await expect(withSpan('dvsa.token', {}, async span => span)).resolves.toBeNull();
+    });
+
+    test('records failures on the span and always ends it', async () => {
+        const span = { recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() };
+        const tracer = { startActiveSpan: jest.fn((name, options, fn) => fn(span)) };
+        setTracer(tracer);
+        const error = new Error('timed out');
+
+        await expect(withSpan('dvsa.request', { 'dvsa.operation': 'vehicle' }, async () => {
+            throw error;
+        })).rejects.toBe(error);
+
+        expect(tracer.startActiveSpan).toHaveBeenCalledWith('dvsa.request', { attributes: { 'dvsa.operation': 'vehicle' } }, expect.any(Function));
+        expect(span.recordException).toHaveBeenCalledWith(error);
+        expect(span.setStatus).toHaveBeenCalledWith({ code: 2, message: 'timed out' });
+        expect(span.end).toHaveBeenCalledTimes(1);
+    });
+});
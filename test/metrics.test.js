@@ -0,0 +1,85 @@
+const { MetricsRegistry } = require('../lib/observability');
+
+describe('MetricsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry();
+    });
+
+    test('renders counters with HELP and TYPE lines', () => {
+        const counter = registry.counter({ name: 'lookups_total', help: 'Lookups.', labelNames: ['outcome'] });
+        counter.inc({ outcome: 'ok' });
+        counter.inc({ outcome: 'ok' }, 2);
+        counter.inc({ outcome: 'vehicle_not_found' });
+
+        expect(registry.render()).toBe([
+            '# HELP lookups_total Lookups.',
+            '# TYPE lookups_total counter',
+            'lookups_total{outcome="ok"} 3',
+            'lookups_total{outcome="vehicle_not_found"} 1',
+            '',
+        ].join('\n'));
+        expect(counter.get({ outcome: 'ok' })).toBe(3);
+    });
+
+    test('ignores undeclared labels and does not create series when read', () => {
+        const counter = registry.counter({ name: 'requests_total', help: 'Requests.', labelNames: ['route'] });
+        counter.inc({ route: '/a', registration: 'AB12CDE' });
+
+        expect(counter.get({ route: '/b' })).toBe(0);
+        expect(counter.lines()).toEqual(['requests_total{route="/a"} 1']);
+    });
+
+    test('escapes label values', () => {
+        const counter = registry.counter({ name: 'errors_total', help: 'Errors.', labelNames: ['message'] });
+        counter.inc({ message: 'say "hi"\nback\\slash' });
+
+        expect(counter.lines()).toEqual(['errors_total{message="say \\"hi\\"\\nback\\\\slash"} 1']);
+    });
+
+    test('gauges can collect their value at render time', () => {
+        let state = 'open';
+        registry.gauge({
+            name: 'breaker_state',
+            help: 'Breaker state.',
+            labelNames: ['state'],
+            collect: gauge => ['closed', 'open'].forEach(name => gauge.set({ state: name }, name === state ? 1 : 0)),
+        });
+
+        expect(registry.render()).toContain('breaker_state{state="open"} 1');
+        state = 'closed';
+        expect(registry.render()).toContain('breaker_state{state="closed"} 1');
+        expect(registry.render()).toContain('breaker_state{state="open"} 0');
+    });
+
+    test('histograms render cumulative buckets, sum and count', () => {
+        const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency.', labelNames: ['outcome'], buckets: [0.5, 0.1] });
+        histogram.observe({ outcome: 200 }, 0.05);
+        histogram.observe({ outcome: 200 }, 0.3);
+        histogram.observe({ outcome: 200 }, 2);
+
+        expect(histogram.lines()).toEqual([
+            'latency_seconds_bucket{outcome="200",le="0.1"} 1',
+            'latency_seconds_bucket{outcome="200",le="0.5"} 2',
+            'latency_seconds_bucket{outcome="200",le="+Inf"} 3',
+            'latency_seconds_sum{outcome="200"} 2.35',
+            'latency_seconds_count{outcome="200"} 3',
+        ]);
+    });
+
+    test('histogram timers observe elapsed seconds with labels added on stop', () => {
+        const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration.', labelNames: ['operation', 'outcome'] });
+        const stop = histogram.startTimer({ operation: 'vehicle' });
+        const seconds = stop({ outcome: 'timeout' });
+
+        expect(seconds).toBeGreaterThanOrEqual(0);
+        expect(histogram.lines()).toContain('duration_seconds_count{operation="vehicle",outcome="timeout"} 1');
+    });
+
+    test('refuses duplicate names', () => {
+        registry.counter({ name: 'twice_total', help: 'Once.' });
+
+        expect(() => registry.counter({ name: 'twice_total', help: 'Twice.' })).toThrow('already registered');
+    });
+});
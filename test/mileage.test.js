@@ -0,0 +1,178 @@
+const { analyseMileage } = require('../lib/mileage');
+
+const now = new Date('2025-03-01T00:00:00Z');
+
+// One DVSA trade API test with an odometer reading
+function motTest(completedDate, odometerValue, { unit = 'mi', resultType = 'READ' } = {}) {
+    return { completedDate, odometerValue: String(odometerValue), odometerUnit: unit, odometerResultType: resultType };
+}
+
+const analyse = (...motTests) => analyseMileage({ motTests }, { now });
+
+describe('analyseMileage', () => {
+    test('estimates annual and current mileage from a clean history', () => {
+        const result = analyse(
+            motTest('2023.03.01 10:00:00', 26000),
+            motTest('2021.03.01 09:30:00', 10000),
+            motTest('2022.03.01 11:15:00', 18000)
+        );
+
+        expect(result).toEqual({
+            unit: 'mi',
+            readings: 3,
+            latest: { mileage: 26000, test_date: '2023-03-01' },
+            // 16,000 miles over 730 days
+            estimated_annual_mileage: 8005,
+            // 731 more days at that rate, up to "now"
+            projected_current_mileage: 42021,
+            clocking_suspected: false,
+            anomalies: [],
+        });
+    });
+
+    test('flags a rollback as suspected clocking and gives no estimate', () => {
+        const result = analyse(motTest('2021.03.01', 50000), motTest('2022.03.01', 42000));
+
+        expect(result.clocking_suspected).toBe(true);
+        expect(result.anomalies).toEqual([{
+            type: 'rollback',
+            test_date: '2022-03-01',
+            previous_test_date: '2021-03-01',
+            previous_mileage: 50000,
+            mileage: 42000,
+            difference: -8000,
+            message: 'Mileage went down by 8000 miles since the previous test.',
+        }]);
+        expect(result.estimated_annual_mileage).toBeNull();
+        expect(result.projected_current_mileage).toBeNull();
+    });
+
+    test('flags a rise faster than 200 miles a day as an implausible jump', () => {
+        const result = analyse(motTest('2022.01.01', 20000), motTest('2022.02.01', 30000));
+
+        expect(result.clocking_suspected).toBe(false);
+        expect(result.anomalies).toEqual([{
+            type: 'implausible_jump',
+            test_date: '2022-02-01',
+            previous_test_date: '2022-01-01',
+            previous_mileage: 20000,
+            mileage: 30000,
+            difference: 10000,
+            message: 'Mileage rose by 10000 miles in 31 days.',
+        }]);
+    });
+
+    test('ignores small rises between close-together tests', () => {
+        // 900 miles in one day is over 200 a day, but under the 1,000-mile noise floor
+        expect(analyse(motTest('2022.01.01', 20000), motTest('2022.01.02', 20900)).anomalies).toEqual([]);
+        // 60,000 miles in a year is a lot, but plausible
+        expect(analyse(motTest('2021.01.01', 20000), motTest('2022.01.01', 80000)).anomalies).toEqual([]);
+    });
+
+    test('converts km to miles and flags a unit change without calling it a rollback', () => {
+        const result = analyse(motTest('2020.03.01', 16093, { unit: 'km' }), motTest('2021.03.01', 18000));
+
+        expect(result.anomalies).toEqual([{
+            type: 'unit_change',
+            test_date: '2021-03-01',
+            previous_unit: 'km',
+            unit: 'mi',
+            message: 'Odometer unit changed from km to mi.',
+        }]);
+        expect(result.clocking_suspected).toBe(false);
+        // 16,093 km is 10,000 miles, so 8,000 miles over 365 days
+        expect(result.estimated_annual_mileage).toBe(8005);
+    });
+
+    test('spots a rollback hidden by a unit change', () => {
+        const result = analyse(motTest('2020.03.01', 30000), motTest('2021.03.01', 35000, { unit: 'km' }));
+
+        expect(result.anomalies.map(anomaly => anomaly.type)).toEqual(['unit_change', 'rollback']);
+        expect(result.anomalies[1]).toMatchObject({ previous_mileage: 30000, mileage: 21748, difference: -8252 });
+    });
+
+    test('reports unreadable odometers and leaves them out of the readings', () => {
+        const result = analyse(
+            motTest('2020.03.01', 10000),
+            motTest('2021.03.01', 0, { resultType: 'NO_ODOMETER' }),
+            motTest('2022.03.01', 0, { resultType: 'UNREADABLE' }),
+            motTest('2023.03.01', 'not a number'),
+            motTest('2024.03.01', 40000)
+        );
+
+        expect(result.readings).toBe(2);
+        expect(result.anomalies).toEqual([
+            { type: 'unreadable', test_date: '2021-03-01', result_type: 'NO_ODOMETER', message: 'No odometer was present at this test.' },
+            { type: 'unreadable', test_date: '2022-03-01', result_type: 'UNREADABLE', message: 'The odometer could not be read at this test.' },
+            { type: 'unreadable', test_date: '2023-03-01', result_type: 'READ', message: 'The odometer could not be read at this test.' },
+        ]);
+        // Readings either side of the gap are still compared
+        expect(result.estimated_annual_mileage).toBe(7500);
+    });
+
+    test('lists anomalies in date order', () => {
+        const result = analyse(
+            motTest('2023.03.01', 0, { resultType: 'UNREADABLE' }),
+            motTest('2021.03.01', 50000),
+            motTest('2022.03.01', 40000)
+        );
+
+        expect(result.anomalies.map(anomaly => [anomaly.test_date, anomaly.type])).toEqual([
+            ['2022-03-01', 'rollback'],
+            ['2023-03-01', 'unreadable'],
+        ]);
+    });
+
+    describe('estimates', () => {
+        test('need at least two readings', () => {
+            const result = analyse(motTest('2024.03.01', 40000));
+
+            expect(result).toMatchObject({
+                readings: 1,
+                latest: { mileage: 40000, test_date: '2024-03-01' },
+                estimated_annual_mileage: null,
+                projected_current_mileage: null,
+                anomalies: [],
+            });
+        });
+
+        test('are not made from readings on the same day', () => {
+            // A failed test and its retest a few hours later
+            const result = analyse(motTest('2024.03.01 09:00:00', 40000), motTest('2024.03.01 15:00:00', 40012));
+
+            expect(result).toMatchObject({ readings: 2, latest: { mileage: 40012 }, estimated_annual_mileage: null, anomalies: [] });
+        });
+
+        test('are not made from readings under 90 days apart', () => {
+            const result = analyse(motTest('2024.01.01', 40000), motTest('2024.03.01', 41000));
+
+            expect(result.estimated_annual_mileage).toBeNull();
+        });
+
+        test('do not project backwards when the latest test is after "now"', () => {
+            const result = analyseMileage(
+                { motTests: [motTest('2023.03.01', 10000), motTest('2024.03.01', 20000)] },
+                { now: new Date('2024-01-01T00:00:00Z') }
+            );
+
+            expect(result.projected_current_mileage).toBe(20000);
+        });
+
+        test('default the unit to miles and accept ISO dates from the MOT History API', () => {
+            const result = analyse(
+                { completedDate: '2022-03-01T10:00:00.000Z', odometerValue: '10000' },
+                { completedDate: '2023-03-01T10:00:00.000Z', odometerValue: '20000', odometerUnit: 'MI' }
+            );
+
+            expect(result).toMatchObject({ readings: 2, estimated_annual_mileage: 10007, anomalies: [] });
+        });
+    });
+
+    test('handles missing records and tests without dates', () => {
+        const empty = { unit: 'mi', readings: 0, latest: null, estimated_annual_mileage: null, projected_current_mileage: null, clocking_suspected: false, anomalies: [] };
+
+        expect(analyseMileage(null, { now })).toEqual(empty);
+        expect(analyseMileage({}, { now })).toEqual(empty);
+        expect(analyse({ odometerValue: '1000', odometerUnit: 'mi' })).toEqual(empty);
+    });
+});
@@ -0,0 +1,95 @@
+const { computeMotStatus } = require('../lib/mot-status');
+const { loadFixture } = require('./helpers/mock-dvsa');
+
+const now = new Date('2025-06-01T00:00:00Z');
+
+describe('computeMotStatus', () => {
+    test.each([
+        ['a current pass', { motTests: [{ expiryDate: '2025.12.20' }] }, 'valid', 'current_pass'],
+        ['a pass expiring within 30 days', { motTests: [{ expiryDate: '2025.06.20' }] }, 'due_soon', 'current_pass'],
+        ['a lapsed pass', { firstUsedDate: '2010.01.01', motTests: [{ expiryDate: '2025.01.01' }] }, 'expired', 'lapsed_pass'],
+        ['only failed tests', { firstUsedDate: '2010.01.01', motTests: [{ testResult: 'FAILED' }] }, 'expired', 'no_pass_recorded'],
+        ['a new vehicle', { firstUsedDate: '2023.01.10' }, 'not_yet_due', 'new_vehicle'],
+        ['an overdue first MOT', { firstUsedDate: '2022.01.01' }, 'expired', 'first_mot_overdue'],
+        ['a pre-1960 vehicle', { firstUsedDate: '1955.01.01' }, 'exempt', 'pre_1960'],
+        ['a historic vehicle', { firstUsedDate: '1980.01.01', motTests: [{ expiryDate: '2020.01.01' }] }, 'exempt', 'historic_vehicle'],
+        ['no record', null, 'no_data', 'no_data'],
+        ['no dates at all', {}, 'no_data', 'no_data'],
+    ])('%s', (description, vehicle, status, rule) => {
+        expect(computeMotStatus(vehicle, { now })).toMatchObject({ status, rule });
+    });
+
+    test('uses the latest expiry whatever order the tests are in', () => {
+        const result = computeMotStatus({
+            motTests: [{ expiryDate: '2024.06.01' }, { expiryDate: '2026.01.01' }, { expiryDate: '2025.01.01' }],
+        }, { now });
+
+        expect(result).toEqual({ status: 'valid', rule: 'current_pass', expiry_date: '2026-01-01', days_until_expiry: 214 });
+    });
+
+    // Trade API records from fixtures/dvsa, as the mock DVSA serves them
+    describe('with DVSA records', () => {
+        const record = registration => loadFixture('legacy-trade', 'registration', registration).body[0];
+
+        test('a vehicle with no tests yet uses the first MOT due date DVSA sends', () => {
+            expect(computeMotStatus(record('LB22NEW'), { now })).toEqual({
+                status: 'not_yet_due',
+                rule: 'new_vehicle',
+                expiry_date: '2025-09-29',
+                days_until_expiry: 120,
+            });
+        });
+
+        test('a new vehicle is due soon within 30 days of its first MOT', () => {
+            expect(computeMotStatus(record('LB22NEW'), { now: new Date('2025-09-01T09:00:00Z') }))
+                .toMatchObject({ status: 'due_soon', rule: 'new_vehicle', days_until_expiry: 28 });
+        });
+
+        test('a vehicle whose last pass has run out is expired', () => {
+            expect(computeMotStatus(record('CU12EXP'), { now })).toEqual({
+                status: 'expired',
+                rule: 'lapsed_pass',
+                expiry_date: '2024-05-09',
+                days_until_expiry: -388,
+            });
+        });
+
+        test('a same-day fail then pass is valid from the retest', () => {
+            expect(computeMotStatus(record('YR15RTS'), { now })).toEqual({
+                status: 'valid',
+                rule: 'current_pass',
+                expiry_date: '2026-04-13',
+                days_until_expiry: 316,
+            });
+        });
+
+        test('a pass with no expiry date falls back to the latest expiry DVSA did send', () => {
+            expect(computeMotStatus(record('BD10NOX'), { now })).toEqual({
+                status: 'due_soon',
+                rule: 'current_pass',
+                expiry_date: '2025-06-20',
+                days_until_expiry: 19,
+            });
+        });
+
+        test('a vehicle with tests but no expiry dates at all has no recorded pass', () => {
+            const { motTests, ...vehicle } = record('BD10NOX');
+
+            expect(computeMotStatus({ ...vehicle, motTests: motTests.slice(0, 1) }, { now })).toEqual({
+                status: 'expired',
+                rule: 'no_pass_recorded',
+                expiry_date: null,
+                days_until_expiry: null,
+            });
+        });
+
+        test('the full FE08BBU history', () => {
+            expect(computeMotStatus(record('FE08BBU'), { now })).toEqual({
+                status: 'valid',
+                rule: 'current_pass',
+                expiry_date: '2026-03-13',
+                days_until_expiry: 285,
+            });
+        });
+    });
+});
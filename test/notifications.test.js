@@ -0,0 +1,188 @@
+const {
+    DeliveryError,
+    EmailSender,
+    Notifier,
+    WebhookSender,
+    checkWebhookTarget,
+    createEvent,
+    isPrivateAddress,
+    renderEmail,
+    signWebhook,
+    verifyWebhookSignature,
+} = require('../lib/notifications');
+const { startWebhookReceiver } = require('./helpers/webhook-receiver');
+
+const SECRET = 'whsec_test-secret';
+
+describe('webhook signatures', () => {
+    test('verify what they sign, and only while fresh', () => {
+        const now = Date.now();
+        const timestamp = String(Math.floor(now / 1000));
+        const body = '{"type":"mot.new_test"}';
+        const signature = signWebhook(SECRET, timestamp, body);
+
+        expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+        expect(verifyWebhookSignature(SECRET, { signature, timestamp, body }, { now })).toBe(true);
+        expect(verifyWebhookSignature(SECRET, { signature, timestamp, body: `${body} ` }, { now })).toBe(false);
+        expect(verifyWebhookSignature('other-secret', { signature, timestamp, body }, { now })).toBe(false);
+        expect(verifyWebhookSignature(SECRET, { signature, timestamp, body }, { now: now + 10 * 60 * 1000 })).toBe(false);
+    });
+});
+
+describe('webhook targets', () => {
+    test('recognise private, loopback, link-local and metadata addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.31.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+            '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+            expect([address, isPrivateAddress(address)]).toEqual([address, true]);
+        }
+        for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:808:808', 'hooks.example.test']) {
+            expect([address, isPrivateAddress(address)]).toEqual([address, false]);
+        }
+    });
+
+    test('refuse URLs that name a local host or private address', () => {
+        expect(checkWebhookTarget('https://hooks.example.test/mot')).toBeNull();
+        expect(checkWebhookTarget('http://127.0.0.1:8080/')).toMatch(/private, loopback or link-local/);
+        expect(checkWebhookTarget('http://169.254.169.254/latest/meta-data/')).toMatch(/private/);
+        expect(checkWebhookTarget('http://[::ffff:10.0.0.1]/')).toMatch(/private/);
+        expect(checkWebhookTarget('http://2130706433/')).toMatch(/private/);
+        expect(checkWebhookTarget('http://LOCALHOST./hook')).toBe('must not point at localhost');
+        expect(checkWebhookTarget('http://metadata.google.internal/')).toBe('must not point at metadata.google.internal');
+    });
+});
+
+describe('WebhookSender', () => {
+    let receiver;
+
+    afterEach(async () => {
+        if (receiver) {
+            await receiver.close();
+            receiver = null;
+        }
+    });
+
+    test('refuses private targets, before and after DNS resolution', async () => {
+        const sender = new WebhookSender();
+        const event = createEvent('mot.new_test', {});
+
+        await expect(sender.send({ url: 'http://127.0.0.1:9/hook', secret: SECRET }, event))
+            .rejects.toMatchObject({ name: 'DeliveryError', retryable: false });
+        // The hostname passes the URL check, but DNS (mocked here) resolves it to loopback
+        const lookup = jest.spyOn(require('dns'), 'lookup').mockImplementation((hostname, options, callback) => (
+            options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4)
+        ));
+        try {
+            await expect(sender.send({ url: 'http://rebind.example.test/hook', secret: SECRET }, event))
+                .rejects.toMatchObject({ retryable: false, message: expect.stringMatching(/resolves to 127\.0\.0\.1/) });
+        } finally {
+            lookup.mockRestore();
+        }
+    });
+
+    test('posts the event with signed headers', async () => {
+        receiver = await startWebhookReceiver();
+        const event = createEvent('mot.expiry_reminder', { days_until_expiry: 14 });
+
+        await expect(new WebhookSender({ allowPrivateTargets: true }).send({ url: `${receiver.url}/hooks/mot`, secret: SECRET }, event)).resolves.toEqual({ status: 200 });
+
+        const [received] = receiver.requests;
+        expect(received.path).toBe('/hooks/mot');
+        expect(received.json).toEqual(event);
+        expect(received.headers).toMatchObject({
+            'content-type': 'application/json',
+            'x-mot-event': 'mot.expiry_reminder',
+            'x-mot-delivery': event.id,
+        });
+        expect(verifyWebhookSignature(SECRET, {
+            signature: received.headers['x-mot-signature'],
+            timestamp: received.headers['x-mot-timestamp'],
+            body: received.body,
+        })).toBe(true);
+    });
+
+    test('marks 5xx as retryable and 4xx as permanent', async () => {
+        receiver = await startWebhookReceiver({ statuses: [503, 410] });
+        const sender = new WebhookSender({ allowPrivateTargets: true });
+        const channel = { url: receiver.url, secret: SECRET };
+
+        await expect(sender.send(channel, createEvent('mot.new_test', {}))).rejects.toMatchObject({ retryable: true, status: 503 });
+        await expect(sender.send(channel, createEvent('mot.new_test', {}))).rejects.toMatchObject({ retryable: false, status: 410 });
+    });
+});
+
+describe('Notifier', () => {
+    const channel = { type: 'webhook', url: 'https://hooks.example.test', secret: SECRET };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('retries until the receiver accepts the event', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(new DeliveryError('down'))
+            .mockResolvedValueOnce({ status: 200 });
+        const notifier = new Notifier({ webhook: { send }, baseDelayMs: 0 });
+        const event = createEvent('mot.new_test', {});
+
+        await expect(notifier.deliver(channel, event)).resolves.toMatchObject({
+            event_id: event.id,
+            type: 'mot.new_test',
+            channel: 'webhook',
+            status: 'sent',
+            attempts: 2,
+            at: expect.any(String),
+        });
+        expect(send.mock.calls[1][1]).toBe(event);
+    });
+
+    test('gives up after the last retry, or at once on a permanent failure', async () => {
+        const failing = new Notifier({ webhook: { send: jest.fn().mockRejectedValue(new DeliveryError('down')) }, maxRetries: 2, baseDelayMs: 0 });
+        const rejected = new Notifier({ webhook: { send: jest.fn().mockRejectedValue(new DeliveryError('gone', { retryable: false })) }, baseDelayMs: 0 });
+
+        await expect(failing.deliver(channel, createEvent('mot.new_test', {}))).resolves.toMatchObject({ status: 'failed', attempts: 3, error: 'down' });
+        await expect(rejected.deliver(channel, createEvent('mot.new_test', {}))).resolves.toMatchObject({ status: 'failed', attempts: 1, error: 'gone' });
+    });
+
+    test('fails deliveries for channels it cannot send to', async () => {
+        const notifier = new Notifier();
+
+        expect(notifier.supports('email')).toBe(false);
+        await expect(notifier.deliver({ type: 'email', address: 'a@example.test' }, createEvent('mot.new_test', {})))
+            .resolves.toMatchObject({ status: 'failed', attempts: 0, error: 'No email sender is configured' });
+    });
+});
+
+describe('email', () => {
+    const event = createEvent('mot.expiry_reminder', {
+        vehicle: { registration: 'FE08BBU', make: 'FORD', model: 'FOCUS' },
+        mot_expiry: '2026-11-02',
+        days_until_expiry: 14,
+    });
+
+    test('renders reminders as plain text', () => {
+        expect(renderEmail(event)).toEqual({
+            subject: 'MOT reminder: FE08BBU expires in 14 days',
+            text: expect.stringContaining('The MOT for FE08BBU (FORD FOCUS) expires on 2026-11-02.'),
+        });
+    });
+
+    test('sends through the transport and treats SMTP 5xx replies as permanent', async () => {
+        const sendMail = jest.fn()
+            .mockResolvedValueOnce({ messageId: '<1@example.test>' })
+            .mockRejectedValueOnce(Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 }));
+        const sender = new EmailSender({ from: 'reminders@example.test', transport: { sendMail } });
+
+        await expect(sender.send({ address: 'fleet@example.test' }, event)).resolves.toEqual({ message_id: '<1@example.test>' });
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ from: 'reminders@example.test', to: 'fleet@example.test' }));
+        await expect(sender.send({ address: 'fleet@example.test' }, event)).rejects.toMatchObject({ retryable: false, status: 550 });
+    });
+
+    test('explains how to install nodemailer when it is missing', () => {
+        expect(() => new EmailSender({ url: 'smtp://localhost', from: 'a@example.test' })).toThrow('npm install nodemailer');
+    });
+});
@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+const { ApiError, toProblem, correlationId, asyncRoute, notFoundHandler, errorHandler } = require('../lib/http');
+const { UpstreamError } = require('../lib/dvsa');
+
+describe('toProblem', () => {
+    test('builds a problem from an ApiError with its extensions', () => {
+        expect(toProblem(new ApiError('INVALID_VIN', 'Too short.', { vin: 'ABC' }))).toEqual({
+            type: '/problems/invalid-vin',
+            title: 'Invalid VIN',
+            status: 400,
+            detail: 'Too short.',
+            code: 'INVALID_VIN',
+            vin: 'ABC',
+        });
+    });
+
+    test('maps upstream errors to their codes', () => {
+        expect(toProblem(new UpstreamError('timed out', { code: 'UPSTREAM_TIMEOUT' }))).toMatchObject({ status: 504, code: 'UPSTREAM_TIMEOUT' });
+    });
+
+    test('hides the details of unexpected errors', () => {
+        expect(toProblem(new Error('secret stack detail'))).toMatchObject({
+            status: 500,
+            code: 'INTERNAL_ERROR',
+            detail: 'An unexpected error occurred.',
+        });
+    });
+
+    test('rejects unknown codes', () => {
+        expect(() => new ApiError('NOT_A_CODE', 'x')).toThrow();
+    });
+});
+
+describe('error middleware', () => {
+    const app = express();
+    app.use(correlationId());
+    app.get('/fails', asyncRoute(async () => {
+        throw new ApiError('VEHICLE_NOT_FOUND', 'Nothing here.');
+    }));
+    app.get('/crashes', asyncRoute(async () => {
+        throw new Error('boom');
+    }));
+    app.use(notFoundHandler());
+    app.use(errorHandler());
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sends application/problem+json with the instance and correlation ID', async () => {
+        const response = await request(app).get('/fails');
+
+        expect(response.status).toBe(404);
+        expect(response.type).toBe('application/problem+json');
+        expect(response.body).toMatchObject({
+            code: 'VEHICLE_NOT_FOUND',
+            instance: '/fails',
+            correlation_id: response.headers['x-correlation-id'],
+        });
+    });
+
+    test('turns crashes into INTERNAL_ERROR', async () => {
+        const response = await request(app).get('/crashes');
+
+        expect(response.status).toBe(500);
+        expect(response.body.code).toBe('INTERNAL_ERROR');
+    });
+
+    test('answers unknown routes with NOT_FOUND', async () => {
+        const response = await request(app).get('/missing');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('NOT_FOUND');
+    });
+
+    test('ignores malformed incoming correlation IDs', async () => {
+        const response = await request(app).get('/fails').set('X-Correlation-ID', 'not valid!');
+
+        expect(response.headers['x-correlation-id']).not.toBe('not valid!');
+    });
+});
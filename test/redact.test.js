@@ -0,0 +1,29 @@
+const { redactSecrets, redactText } = require('../lib/redact');
+
+describe('redactSecrets', () => {
+    test('replaces known secrets wherever they appear', () => {
+        expect(redactSecrets({ message: 'client secret s3cr3t-value was rejected' }, ['s3cr3t-value']))
+            .toEqual({ message: 'client secret [REDACTED] was rejected' });
+    });
+
+    test('blanks fields that look secret', () => {
+        expect(redactSecrets({ access_token: 'a', client_secret: 'b', 'x-api-key': 'c', error: 'd' })).toEqual({
+            access_token: '[REDACTED]',
+            client_secret: '[REDACTED]',
+            'x-api-key': '[REDACTED]',
+            error: 'd',
+        });
+    });
+
+    test('removes JWTs it was not told about', () => {
+        expect(redactSecrets(['Bearer eyJ0eXAi.eyJhdWQi.sig-nature'])).toEqual(['Bearer [REDACTED]']);
+    });
+
+    test('ignores secrets too short to redact safely', () => {
+        expect(redactText('key abc', ['abc', undefined])).toBe('key abc');
+    });
+
+    test('leaves other values alone', () => {
+        expect(redactSecrets({ status: 500, ok: false, nothing: null })).toEqual({ status: 500, ok: false, nothing: null });
+    });
+});
@@ -0,0 +1,52 @@
+const { parseRegistration, normaliseRegistration } = require('../lib/registration');
+const { parseVin } = require('../lib/vin');
+
+const now = new Date('2025-06-01T00:00:00Z');
+
+describe('parseRegistration', () => {
+    test.each([
+        ['AB12 CDE', 'AB12CDE', 'current', { from: '2012-03-01', to: '2012-08-31' }],
+        ['A123BCD', 'A123BCD', 'prefix', { from: '1983-08-01', to: '1984-07-31' }],
+        ['ABC123D', 'ABC123D', 'suffix', { from: '1966-01-01', to: '1966-12-31' }],
+        ['123ABC', '123ABC', 'dateless', null],
+        ['ABZ1234', 'ABZ1234', 'northern_ireland', null],
+        ['101D234', '101D234', 'diplomatic', null],
+    ])('%s is a %s-format plate', (input, registration, format, period) => {
+        expect(parseRegistration(input, { now })).toMatchObject({ valid: true, registration, format, period });
+    });
+
+    test('normalises case, spaces and hyphens', () => {
+        expect(normaliseRegistration(' ab-12 cde ')).toBe('AB12CDE');
+    });
+
+    test.each([
+        ['', 'Registration number is required.'],
+        ['HELLO!!', 'Registration numbers may only contain letters and digits.'],
+        ['AB99CDE', 'Age identifier "99" has not been issued yet.'],
+    ])('rejects %p', (input, reason) => {
+        expect(parseRegistration(input, { now })).toMatchObject({ valid: false, reason });
+    });
+});
+
+describe('parseVin', () => {
+    test('accepts a VIN with a valid check digit', () => {
+        expect(parseVin('1m8gdm9a-xkp042788')).toEqual({ valid: true, vin: '1M8GDM9AXKP042788', checkDigitValid: true });
+    });
+
+    test('only enforces the check digit in strict mode', () => {
+        expect(parseVin('W0L0AHL4885012345')).toMatchObject({ valid: true, checkDigitValid: false });
+        expect(parseVin('1M8GDM9A1KP042788', { strictCheckDigit: true })).toMatchObject({
+            valid: false,
+            reason: 'Check digit "1" does not match the expected "X".',
+        });
+    });
+
+    test.each([
+        ['', 'VIN is required.'],
+        ['TOOSHORT', 'VINs must be exactly 17 characters long.'],
+        ['1M8GDM9AXKP04278O', 'VINs cannot contain the letters I, O or Q.'],
+        ['1M8GDM9AXKP04278*', 'VINs may only contain letters and digits.'],
+    ])('rejects %p', (input, reason) => {
+        expect(parseVin(input)).toMatchObject({ valid: false, reason });
+    });
+});
@@ -0,0 +1,35 @@
+const express = require('express');
+const request = require('supertest');
+const { applySecurity } = require('../lib/http');
+
+function createApp(env) {
+    const app = express();
+    applySecurity(app, env);
+    app.delete('/api/watchlist/:id', (req, res) => res.status(204).end());
+    return app;
+}
+
+describe('CORS', () => {
+    const app = createApp({ CORS_ALLOWED_ORIGINS: 'https://app.example.com' });
+
+    test('allows DELETE in preflights from allowed origins', async () => {
+        const response = await request(app)
+            .options('/api/watchlist/w_1')
+            .set('Origin', 'https://app.example.com')
+            .set('Access-Control-Request-Method', 'DELETE');
+
+        expect(response.status).toBe(204);
+        expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+        expect(response.headers['access-control-allow-methods'].split(', ')).toContain('DELETE');
+    });
+
+    test('refuses preflights from other origins', async () => {
+        const response = await request(app)
+            .options('/api/watchlist/w_1')
+            .set('Origin', 'https://evil.example')
+            .set('Access-Control-Request-Method', 'DELETE');
+
+        expect(response.status).toBe(403);
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    });
+});
@@ -0,0 +1,503 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { startMockDvsa, mockDvsaEnv } = require('./helpers/mock-dvsa');
+
+// server.js reads its configuration when it is required, so the environment is
+// set up (pointing at the mock DVSA) before the app is loaded.
+
+const CLIENT_KEY = 'client-key';
+const ADMIN_KEY = 'admin-key';
+const LIMITED_KEY = 'limited-key';
+const FEED_KEY = 'feed-key';
+
+describe('server.js routes', () => {
+    const originalEnv = process.env;
+    let dvsa;
+    let keysDirectory;
+    let app;
+
+    beforeAll(async () => {
+        dvsa = await startMockDvsa();
+        keysDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mot-api-keys-'));
+        const keysFile = path.join(keysDirectory, 'api-keys.json');
+        fs.writeFileSync(keysFile, JSON.stringify({
+            clients: [
+                { id: 'garage', key: CLIENT_KEY },
+                { id: 'ops', key: ADMIN_KEY, admin: true },
+                { id: 'limited', key: LIMITED_KEY, rateLimitPerMinute: 1 },
+                { id: 'feed', key: FEED_KEY, dailyQuota: 2 },
+            ],
+        }));
+
+        process.env = {
+            ...originalEnv,
+            ...mockDvsaEnv(dvsa.url),
+            API_KEYS_FILE: keysFile,
+            WATCHLIST_FILE: path.join(keysDirectory, 'watchlist.json'),
+            WATCHLIST_MAX_PER_CLIENT: '2',
+            SUBSCRIPTIONS_FILE: path.join(keysDirectory, 'subscriptions.json'),
+            SUBSCRIPTIONS_MAX_PER_CLIENT: '2',
+            DVSA_MAX_RETRIES: '0',
+            DVSA_CIRCUIT_FAILURE_THRESHOLD: '100',
+        };
+        app = require('../server');
+    });
+
+    afterAll(async () => {
+        process.env = originalEnv;
+        fs.rmSync(keysDirectory, { recursive: true, force: true });
+        await dvsa.close();
+    });
+
+    const get = (url, key = CLIENT_KEY) => request(app).get(url).set('X-API-Key', key);
+
+    describe('authentication', () => {
+        test('rejects requests without an API key', async () => {
+            const response = await request(app).get('/api/mot-check/FE08BBU');
+
+            expect(response.status).toBe(401);
+            expect(response.type).toBe('application/problem+json');
+            expect(response.body).toMatchObject({ code: 'UNAUTHORIZED', status: 401, instance: '/api/mot-check/FE08BBU' });
+        });
+
+        test('enforces the per-key rate limit', async () => {
+            await get('/api/mot-check/AB1', LIMITED_KEY);
+            const response = await get('/api/mot-check/AB1', LIMITED_KEY);
+
+            expect(response.status).toBe(429);
+            expect(response.body.code).toBe('RATE_LIMITED');
+            expect(response.headers['retry-after']).toBeDefined();
+        });
+    });
+
+    describe('GET /api/mot-check/:registration', () => {
+        test('returns the transformed vehicle and caches it', async () => {
+            const first = await get('/api/mot-check/FE08BBU');
+
+            expect(first.status).toBe(200);
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(first.headers['x-ratelimit-limit']).toBe('60');
+            expect(first.body.vehicle).toMatchObject({ registration: 'FE08BBU', make: 'VAUXHALL', year: 2008 });
+            expect(first.body.motTests).toHaveLength(4);
+
+            // Normalised to the same cache key
+            const second = await get('/api/mot-check/fe08%20bbu');
+            expect(second.status).toBe(200);
+            expect(second.headers['x-cache']).toBe('HIT');
+        });
+
+        test('supports the v2 format', async () => {
+            const response = await get('/api/mot-check/FE08BBU?format=v2');
+
+            expect(response.status).toBe(200);
+            // Built from the record cached by the v1 lookup above
+            expect(response.headers['x-cache']).toBe('HIT');
+            expect(response.body.schema_version).toBe(2);
+            expect(response.body.vehicle.first_used_date).toBe('2008-03-14');
+        });
+
+        test('works out the MOT status on every request, not when the record was cached', async () => {
+            const first = await get('/api/mot-check/CU12EXP');
+            // A day later the entry is stale but still served. Only Date is faked, as
+            // supertest and the mock DVSA need real timers.
+            jest.useFakeTimers({
+                now: Date.now() + 24 * 60 * 60 * 1000,
+                doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'],
+            });
+            let second;
+            try {
+                second = await get('/api/mot-check/CU12EXP');
+            } finally {
+                jest.useRealTimers();
+            }
+
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(first.body.vehicle.mot_status).toBe('expired');
+            expect(second.headers['x-cache']).toBe('STALE');
+            expect(second.body.vehicle.mot_status_details.days_until_expiry).toBe(first.body.vehicle.mot_status_details.days_until_expiry - 1);
+        });
+
+        test('rejects invalid registrations before calling DVSA', async () => {
+            const response = await get('/api/mot-check/NOTAPLATE1');
+
+            expect(response.status).toBe(400);
+            expect(response.body).toMatchObject({ code: 'INVALID_REGISTRATION', registration: 'NOTAPLATE1' });
+        });
+
+        test('rejects unknown formats', async () => {
+            const response = await get('/api/mot-check/FE08BBU?format=v9');
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_FORMAT');
+        });
+
+        test('returns 404 when DVSA has no record', async () => {
+            const response = await get('/api/mot-check/AB12CDE');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('VEHICLE_NOT_FOUND');
+        });
+
+        test.each([
+            ['ER24AUT', 502, 'UPSTREAM_AUTH_FAILED'],
+            ['ER24FBN', 502, 'UPSTREAM_AUTH_FAILED'],
+            ['ER24SRV', 502, 'UPSTREAM_ERROR'],
+            ['ER24LIM', 429, 'UPSTREAM_RATE_LIMITED'],
+            ['ER24UNA', 503, 'UPSTREAM_UNAVAILABLE'],
+        ])('maps DVSA failures for %s to %i %s', async (registration, status, code) => {
+            const response = await get(`/api/mot-check/${registration}`);
+
+            expect(response.status).toBe(status);
+            expect(response.body.code).toBe(code);
+        });
+
+        test('passes DVSA Retry-After through', async () => {
+            const response = await get('/api/mot-check/ER24LIM');
+
+            expect(response.headers['retry-after']).toBe('30');
+            expect(response.body.retry_after).toBe(30);
+        });
+
+        test('echoes the correlation ID', async () => {
+            const response = await get('/api/mot-check/AB12CDE').set('X-Correlation-ID', 'trace-123');
+
+            expect(response.headers['x-correlation-id']).toBe('trace-123');
+            expect(response.body.correlation_id).toBe('trace-123');
+        });
+    });
+
+    describe('GET /api/mot-check/vin/:vin', () => {
+        test('looks up by VIN', async () => {
+            const response = await get('/api/mot-check/vin/W0L0AHL4885012345');
+
+            expect(response.status).toBe(200);
+            expect(response.body.vehicle.registration).toBe('FE08BBU');
+        });
+
+        test('rejects malformed VINs', async () => {
+            const response = await get('/api/mot-check/vin/TOOSHORT');
+
+            expect(response.status).toBe(400);
+            expect(response.body).toMatchObject({ code: 'INVALID_VIN', vin: 'TOOSHORT' });
+        });
+    });
+
+    describe('POST /api/mot-check/batch', () => {
+        test('reports each registration separately', async () => {
+            const response = await request(app)
+                .post('/api/mot-check/batch')
+                .set('X-API-Key', CLIENT_KEY)
+                .send({ registrations: ['FE08BBU', 'NOT A PLATE', 'AB12CDE'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+            const [found, invalid, missing] = response.body.results;
+            expect(found).toMatchObject({ registration: 'FE08BBU', status: 'ok' });
+            expect(invalid).toMatchObject({ status: 'error', error: { code: 'INVALID_REGISTRATION', status: 400 } });
+            expect(missing).toMatchObject({ status: 'error', error: { code: 'VEHICLE_NOT_FOUND', status: 404 } });
+        });
+
+        test('requires a non-empty registrations array', async () => {
+            const response = await request(app)
+                .post('/api/mot-check/batch')
+                .set('X-API-Key', CLIENT_KEY)
+                .send({ registrations: [] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_REQUEST');
+        });
+
+        test('rejects malformed JSON', async () => {
+            const response = await request(app)
+                .post('/api/mot-check/batch')
+                .set('X-API-Key', CLIENT_KEY)
+                .set('Content-Type', 'application/json')
+                .send('{"registrations": [');
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_REQUEST');
+        });
+    });
+
+    describe('GET /api/mot-tests/feed', () => {
+        test('streams every page for a date as NDJSON', async () => {
+            const response = await get('/api/mot-tests/feed?date=2024-01-15');
+
+            expect(response.status).toBe(200);
+            expect(response.type).toBe('application/x-ndjson');
+            const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.length).toBeGreaterThan(1);
+            expect(lines.every(line => line.vehicle && !line.error)).toBe(true);
+        });
+
+        test('spends a quota unit per DVSA page and stops when the quota runs out', async () => {
+            // The fixture date has two pages; the third request finds none, but would go over a quota of 2
+            const response = await get('/api/mot-tests/feed?date=2024-01-15', FEED_KEY);
+
+            expect(response.status).toBe(200);
+            const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.slice(0, -1).every(line => line.vehicle)).toBe(true);
+            expect(lines[lines.length - 1].error).toMatchObject({ code: 'QUOTA_EXCEEDED', status: 429 });
+
+            const next = await get('/api/mot-tests/feed?page=1', FEED_KEY);
+            expect(next.status).toBe(429);
+            expect(next.body.code).toBe('QUOTA_EXCEEDED');
+        });
+
+        test('validates the query', async () => {
+            const response = await get('/api/mot-tests/feed?date=yesterday');
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_REQUEST');
+        });
+    });
+
+    describe('GET /admin/usage', () => {
+        test('is limited to admin keys', async () => {
+            const response = await get('/admin/usage');
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('FORBIDDEN');
+        });
+
+        test('reports usage per client', async () => {
+            const response = await get('/admin/usage', ADMIN_KEY);
+
+            expect(response.status).toBe(200);
+            const garage = response.body.clients.find(client => client.id === 'garage');
+            expect(garage.usage.requests).toBeGreaterThan(0);
+        });
+    });
+
+    describe('watchlist', () => {
+        const watch = (body, key = CLIENT_KEY) => request(app).post('/api/watchlist').set('X-API-Key', key).send(body);
+
+        test('registers a vehicle and returns the webhook secret once', async () => {
+            const created = await watch({ registration: 'fe08 bbu', channel: { type: 'webhook', url: 'https://hooks.example.test/mot' } });
+
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({
+                id: expect.stringMatching(/^wat_/),
+                client_id: 'garage',
+                registration: 'FE08BBU',
+                channel: { type: 'webhook', url: 'https://hooks.example.test/mot' },
+                webhook_secret: expect.stringMatching(/^whsec_/),
+            });
+
+            const listed = await get('/api/watchlist');
+            expect(listed.body.entries.map(entry => entry.id)).toContain(created.body.id);
+            expect(JSON.stringify(listed.body)).not.toContain(created.body.webhook_secret);
+
+            const fetched = await get(`/api/watchlist/${created.body.id}`);
+            expect(fetched.body).toMatchObject({ id: created.body.id, deliveries: [] });
+            expect(fetched.body.channel.secret).toBeUndefined();
+            await request(app).delete(`/api/watchlist/${created.body.id}`).set('X-API-Key', CLIENT_KEY);
+        });
+
+        test('keeps entries private to the client that created them', async () => {
+            const created = await watch({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'https://hooks.example.test/mot' } });
+
+            const other = await get(`/api/watchlist/${created.body.id}`, ADMIN_KEY);
+            expect(other.status).toBe(404);
+            expect((await get('/api/watchlist', ADMIN_KEY)).body.entries).toEqual([]);
+
+            const removed = await request(app).delete(`/api/watchlist/${created.body.id}`).set('X-API-Key', CLIENT_KEY);
+            expect(removed.status).toBe(204);
+            expect((await get(`/api/watchlist/${created.body.id}`)).status).toBe(404);
+        });
+
+        test('validates the registration and channel', async () => {
+            const badRegistration = await watch({ registration: '!!', channel: { type: 'webhook', url: 'https://hooks.example.test' } });
+            const badUrl = await watch({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'ftp://hooks.example.test' } });
+            const privateUrl = await watch({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' } });
+            const noSmtp = await watch({ registration: 'FE08BBU', channel: { type: 'email', address: 'fleet@example.test' } });
+
+            expect(badRegistration.body.code).toBe('INVALID_REGISTRATION');
+            expect(badUrl.body).toMatchObject({ code: 'INVALID_REQUEST', detail: '"channel.url" must be a valid http(s) URL.' });
+            expect(privateUrl.body).toMatchObject({ code: 'INVALID_REQUEST', detail: '"channel.url" must not point at a private, loopback or link-local address.' });
+            expect(noSmtp.body).toMatchObject({ code: 'INVALID_REQUEST', detail: 'Email notifications are not configured on this server; use a webhook.' });
+        });
+
+        test('refuses duplicates and entries beyond the per-client limit', async () => {
+            const channel = { type: 'webhook', url: 'https://hooks.example.test/mot' };
+            const first = await watch({ registration: 'FE08BBU', channel });
+            const duplicate = await watch({ registration: 'fe08 bbu', channel });
+            const second = await watch({ registration: 'AB12CDE', channel });
+            const third = await watch({ registration: 'FE08BBU', channel: { ...channel, url: 'https://hooks.example.test/other' } });
+            const otherClient = await watch({ registration: 'FE08BBU', channel }, ADMIN_KEY);
+
+            expect(first.status).toBe(201);
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body).toMatchObject({ code: 'CONFLICT', id: first.body.id });
+            expect(second.status).toBe(201);
+            expect(third.status).toBe(409);
+            expect(third.body).toMatchObject({ code: 'LIMIT_REACHED', limit: 2 });
+            expect(otherClient.status).toBe(201);
+
+            for (const [id, key] of [[first.body.id, CLIENT_KEY], [second.body.id, CLIENT_KEY], [otherClient.body.id, ADMIN_KEY]]) {
+                await request(app).delete(`/api/watchlist/${id}`).set('X-API-Key', key);
+            }
+        });
+    });
+
+    describe('subscriptions', () => {
+        const subscribe = body => request(app).post('/api/subscriptions').set('X-API-Key', CLIENT_KEY).send(body);
+        const channel = { type: 'webhook', url: 'https://hooks.example.test/mot' };
+
+        test('snapshots the current MOT history', async () => {
+            const created = await subscribe({ registration: 'FE08BBU', channel, events: ['test.failed', 'defect.dangerous'] });
+
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({
+                id: expect.stringMatching(/^sub_/),
+                registration: 'FE08BBU',
+                events: ['test.failed', 'defect.dangerous'],
+                channel,
+                snapshot: { tests: expect.any(Number) },
+                dead_letters: 0,
+                webhook_secret: expect.stringMatching(/^whsec_/),
+            });
+            expect(created.body.snapshot.tests).toBeGreaterThan(0);
+
+            const fetched = await get(`/api/subscriptions/${created.body.id}`);
+            expect(fetched.body).toMatchObject({ id: created.body.id, deliveries: [] });
+            expect((await get(`/api/subscriptions/${created.body.id}/dead-letters`)).body).toEqual({ dead_letters: [] });
+
+            const redeliver = await request(app).post(`/api/subscriptions/${created.body.id}/dead-letters/evt_missing/redeliver`).set('X-API-Key', CLIENT_KEY);
+            expect(redeliver.status).toBe(404);
+
+            expect((await get(`/api/subscriptions/${created.body.id}`, ADMIN_KEY)).status).toBe(404);
+            expect((await request(app).delete(`/api/subscriptions/${created.body.id}`).set('X-API-Key', CLIENT_KEY)).status).toBe(204);
+        });
+
+        test('rejects vehicles DVSA does not know and unknown event types', async () => {
+            const unknown = await subscribe({ registration: 'AB12CDE', channel });
+            const badEvents = await subscribe({ registration: 'FE08BBU', channel, events: ['test.exploded'] });
+
+            expect(unknown.status).toBe(404);
+            expect(unknown.body.code).toBe('VEHICLE_NOT_FOUND');
+            expect(badEvents.body.code).toBe('INVALID_REQUEST');
+            expect((await get('/api/subscriptions')).body.subscriptions).toEqual([]);
+        });
+
+        test('refuses duplicates and subscriptions beyond the per-client limit', async () => {
+            const first = await subscribe({ registration: 'FE08BBU', channel });
+            const duplicate = await subscribe({ registration: 'fe08 bbu', channel, events: ['test.passed'] });
+            const second = await subscribe({ registration: 'FE08BBU', channel: { ...channel, url: 'https://hooks.example.test/other' } });
+            const third = await subscribe({ registration: 'FE08BBU', channel: { ...channel, url: 'https://hooks.example.test/third' } });
+
+            expect(first.status).toBe(201);
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body).toMatchObject({ code: 'CONFLICT', id: first.body.id });
+            expect(second.status).toBe(201);
+            expect(third.status).toBe(409);
+            expect(third.body).toMatchObject({ code: 'LIMIT_REACHED', limit: 2 });
+
+            const subscribed = (await get('/api/subscriptions')).body.subscriptions;
+            expect(subscribed.map(subscription => subscription.id)).toEqual([first.body.id, second.body.id]);
+            for (const { id } of subscribed) {
+                await request(app).delete(`/api/subscriptions/${id}`).set('X-API-Key', CLIENT_KEY);
+            }
+        });
+    });
+
+    describe('health', () => {
+        test('GET /healthz needs no API key', async () => {
+            const response = await request(app).get('/healthz');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ status: 'ok' });
+        });
+
+        test('GET /readyz checks the configuration and the token', async () => {
+            const response = await request(app).get('/readyz');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                status: 'ready',
+                checks: { config: { ok: true }, token: { ok: true, expires_at: expect.any(String) } },
+            });
+        });
+
+        test('GET /readyz fails with the OAuth error when the credentials are wrong', async () => {
+            const testEnv = process.env;
+            process.env = { ...testEnv, DVSA_CLIENT_SECRET: 'wrong-secret' };
+            let badApp;
+            jest.isolateModules(() => {
+                badApp = require('../server');
+            });
+            process.env = testEnv;
+
+            const response = await request(badApp).get('/readyz');
+
+            expect(response.status).toBe(503);
+            expect(response.body).toMatchObject({
+                code: 'NOT_READY',
+                checks: { config: { ok: true }, token: { ok: false, status: 401, error: 'invalid_client' } },
+            });
+            expect(JSON.stringify(response.body)).not.toContain('wrong-secret');
+        });
+
+        test('GET /status reports the token and recent DVSA calls', async () => {
+            await get('/api/mot-check/FE08BBU');
+
+            const response = await request(app).get('/status');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                status: expect.stringMatching(/^(ok|degraded)$/),
+                version: expect.any(String),
+                token: { valid: true, expires_at: expect.any(String) },
+                dvsa: { circuit_breaker: 'closed', last_success_at: expect.any(String), recent: { window_seconds: 300 } },
+            });
+        });
+    });
+
+    describe('GET /metrics', () => {
+        test('reports lookups, DVSA latency, tokens and the cache without registrations', async () => {
+            await get('/api/mot-check/FE08BBU');
+            await get('/api/mot-check/FE08BBU');
+            await get('/api/mot-check/AB');
+
+            const response = await request(app).get('/metrics');
+
+            expect(response.status).toBe(200);
+            expect(response.type).toBe('text/plain');
+            expect(response.text).toMatch(/^mot_lookups_total\{kind="registration",outcome="ok"\} \d+$/m);
+            expect(response.text).toMatch(/^mot_lookups_total\{kind="registration",outcome="invalid_registration"\} \d+$/m);
+            expect(response.text).toMatch(/^dvsa_request_duration_seconds_count\{operation="vehicle",outcome="200"\} \d+$/m);
+            expect(response.text).toMatch(/^dvsa_token_requests_total\{result="success"\} \d+$/m);
+            expect(response.text).toMatch(/^mot_cache_requests_total\{result="hit"\} \d+$/m);
+            expect(response.text).toMatch(/^mot_cache_hit_ratio \S+$/m);
+            expect(response.text).toContain('dvsa_circuit_breaker_state{state="closed"} 1');
+            expect(response.text).toContain('route="/api/mot-check/:registration"');
+            expect(response.text).not.toContain('FE08BBU');
+        });
+
+        test('requires the bearer token when METRICS_TOKEN is set', async () => {
+            const testEnv = process.env;
+            process.env = { ...testEnv, METRICS_TOKEN: 'scrape-token-123' };
+            let protectedApp;
+            jest.isolateModules(() => {
+                protectedApp = require('../server');
+            });
+            process.env = testEnv;
+
+            const denied = await request(protectedApp).get('/metrics');
+            const allowed = await request(protectedApp).get('/metrics').set('Authorization', 'Bearer scrape-token-123');
+
+            expect(denied.status).toBe(401);
+            expect(denied.body.code).toBe('UNAUTHORIZED');
+            expect(allowed.status).toBe(200);
+        });
+    });
+
+    test('unknown routes return a problem', async () => {
+        const response = await get('/api/nothing-here');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('NOT_FOUND');
+    });
+});
@@ -0,0 +1,178 @@
+const {
+    SubscriptionPoller,
+    SubscriptionStore,
+    createSubscription,
+    describeSubscription,
+    diffMotHistory,
+    parseSubscriptionRequest,
+} = require('../lib/subscriptions');
+const { DeliveryError, Notifier } = require('../lib/notifications');
+
+const PASS_2024 = { test_number: '111', completed_at: '2024-11-01T10:00:00.000Z', test_result: 'PASSED', expiry_date: '2025-11-02', odometer: { value: 40000, unit: 'mi' }, defects: [] };
+const FAIL_2025 = {
+    test_number: '222',
+    completed_at: '2025-10-28T09:00:00.000Z',
+    test_result: 'FAILED',
+    expiry_date: null,
+    odometer: { value: 38000, unit: 'mi' },
+    defects: [
+        { type: 'DANGEROUS', dangerous: true, description: 'Brake pipe excessively corroded' },
+        { type: 'ADVISORY', dangerous: false, description: 'Tyre worn close to legal limit' },
+    ],
+};
+const PASS_2025 = { test_number: '333', completed_at: '2025-10-30T09:00:00.000Z', test_result: 'PASSED', expiry_date: '2026-10-29', odometer: { value: 38010, unit: 'mi' }, defects: [] };
+
+const ROLLBACK = { type: 'rollback', test_date: '2025-10-28', message: 'Mileage went down by 2000 miles since the previous test.' };
+
+// The parts of a v2 lookup payload the poller reads
+function vehiclePayload(motTests, anomalies = []) {
+    return {
+        vehicle: { registration: 'FE08BBU', make: 'FORD', model: 'FOCUS' },
+        motTests,
+        mileage: { anomalies },
+    };
+}
+
+describe('diffMotHistory', () => {
+    test('raises nothing when the history is unchanged', () => {
+        expect(diffMotHistory([PASS_2024], vehiclePayload([PASS_2024]))).toEqual([]);
+    });
+
+    test('describes every new test, oldest first', () => {
+        const changes = diffMotHistory([PASS_2024], vehiclePayload([PASS_2025, FAIL_2025, PASS_2024], [ROLLBACK]));
+
+        expect(changes.map(change => change.key)).toEqual([
+            'test.failed:222',
+            'defect.dangerous:222',
+            'mileage.anomaly:222:rollback',
+            'test.passed:333',
+        ]);
+        expect(changes[1].data.defects).toEqual([FAIL_2025.defects[0]]);
+        expect(changes[2].data).toMatchObject({ test: { test_number: '222' }, anomaly: ROLLBACK });
+        expect(changes[3].data.test).toEqual({
+            test_number: '333',
+            completed_at: '2025-10-30T09:00:00.000Z',
+            test_result: 'PASSED',
+            expiry_date: '2026-10-29',
+            odometer: { value: 38010, unit: 'mi' },
+        });
+    });
+});
+
+describe('parseSubscriptionRequest', () => {
+    test('defaults to every event type', () => {
+        expect(parseSubscriptionRequest({ channel: { type: 'webhook', url: 'https://hooks.example.test' } })).toEqual({
+            value: {
+                channel: { type: 'webhook', url: 'https://hooks.example.test' },
+                events: ['test.passed', 'test.failed', 'defect.dangerous', 'mileage.anomaly'],
+            },
+        });
+    });
+
+    test('accepts webhooks only, and known event types only', () => {
+        expect(parseSubscriptionRequest({ channel: { type: 'email', address: 'fleet@example.test' } }).error)
+            .toBe('"channel.type" must be "webhook"');
+        expect(parseSubscriptionRequest({ channel: { type: 'webhook', url: 'http://hooks.example.test' } }, { production: true }).error)
+            .toBe('"channel.url" must be a valid https URL');
+        expect(parseSubscriptionRequest({ channel: { type: 'webhook', url: 'http://169.254.169.254/latest' } }).error)
+            .toBe('"channel.url" must not point at a private, loopback or link-local address');
+        expect(parseSubscriptionRequest({ channel: { type: 'webhook', url: 'http://127.0.0.1:8080' } }, { allowPrivateTargets: true }).error)
+            .toBeUndefined();
+        expect(parseSubscriptionRequest({ channel: { type: 'webhook', url: 'https://hooks.example.test' }, events: ['test.exploded'] }).error)
+            .toMatch(/^"events" must be a non-empty array of/);
+    });
+});
+
+describe('SubscriptionPoller', () => {
+    let store;
+    let lookup;
+    let send;
+    let poller;
+    let subscription;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        store = new SubscriptionStore();
+        lookup = jest.fn();
+        send = jest.fn(async () => ({ status: 200 }));
+        poller = new SubscriptionPoller({ store, lookup, notifier: new Notifier({ webhook: { send }, maxRetries: 1, baseDelayMs: 0 }) });
+        subscription = store.add(createSubscription({
+            registration: 'FE08BBU',
+            channel: { type: 'webhook', url: 'https://hooks.example.test' },
+            events: ['test.passed', 'test.failed', 'defect.dangerous'],
+        }, vehiclePayload([PASS_2024]), 'fleet'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const sentEvents = () => send.mock.calls.map(([, event]) => event);
+
+    test('delivers subscribed changes once and moves the snapshot on', async () => {
+        lookup.mockResolvedValue(vehiclePayload([FAIL_2025, PASS_2024], [ROLLBACK]));
+
+        await expect(poller.runOnce()).resolves.toEqual({ checked: 1, failed: 0, skipped: 0, sent: 2 });
+        await poller.runOnce();
+
+        expect(sentEvents().map(event => event.type)).toEqual(['test.failed', 'defect.dangerous']);
+        expect(sentEvents()[0]).toMatchObject({
+            id: expect.stringMatching(/^evt_/),
+            data: { subscription_id: subscription.id, vehicle: { registration: 'FE08BBU' }, test: { test_number: '222' } },
+        });
+        expect(send.mock.calls[0][0]).toBe(subscription.channel);
+        expect(store.get(subscription.id).snapshot.motTests.map(test => test.test_number)).toEqual(['222', '111']);
+    });
+
+    test('dead-letters events the receiver keeps refusing', async () => {
+        send.mockRejectedValue(new DeliveryError('Webhook answered with status 503', { status: 503 }));
+        lookup.mockResolvedValue(vehiclePayload([PASS_2025, PASS_2024]));
+
+        await expect(poller.runOnce()).resolves.toEqual({ checked: 1, failed: 0, skipped: 0, sent: 0 });
+        await poller.runOnce();
+
+        expect(send).toHaveBeenCalledTimes(2);
+        const [letter] = store.get(subscription.id).dead_letters;
+        expect(store.get(subscription.id).dead_letters).toHaveLength(1);
+        expect(letter).toMatchObject({ event: { type: 'test.passed' }, attempts: 2, error: 'Webhook answered with status 503' });
+
+        store.resolveDeadLetter(subscription.id, letter.event.id, { status: 'sent', attempts: 1, at: new Date().toISOString() });
+        expect(store.get(subscription.id).dead_letters).toEqual([]);
+    });
+
+    test('keeps the snapshot when the lookup fails', async () => {
+        lookup.mockRejectedValue(Object.assign(new Error('DVSA timed out'), { code: 'UPSTREAM_TIMEOUT' }));
+
+        await expect(poller.runOnce()).resolves.toEqual({ checked: 1, failed: 1, skipped: 0, sent: 0 });
+
+        expect(store.get(subscription.id)).toMatchObject({ last_error: { code: 'UPSTREAM_TIMEOUT' }, snapshot: { motTests: [PASS_2024] } });
+    });
+
+    test('skips subscriptions whose owner has no quota left', async () => {
+        const charge = jest.fn(() => false);
+        poller = new SubscriptionPoller({ store, lookup, notifier: new Notifier({ webhook: { send } }), charge });
+
+        await expect(poller.runOnce()).resolves.toEqual({ checked: 1, failed: 0, skipped: 1, sent: 0 });
+
+        expect(charge).toHaveBeenCalledWith(store.get(subscription.id));
+        expect(lookup).not.toHaveBeenCalled();
+        expect(store.get(subscription.id)).toMatchObject({ last_error: { code: 'QUOTA_EXCEEDED' }, snapshot: { motTests: [PASS_2024] } });
+    });
+
+    test('describes subscriptions without the secret or the full snapshot', () => {
+        expect(describeSubscription(store.get(subscription.id))).toEqual({
+            id: subscription.id,
+            client_id: 'fleet',
+            registration: 'FE08BBU',
+            events: ['test.passed', 'test.failed', 'defect.dangerous'],
+            channel: { type: 'webhook', url: 'https://hooks.example.test' },
+            created_at: expect.any(String),
+            snapshot: { taken_at: expect.any(String), tests: 1 },
+            last_checked_at: expect.any(String),
+            last_error: null,
+            dead_letters: 0,
+        });
+    });
+});
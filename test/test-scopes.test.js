@@ -0,0 +1,269 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const { CREDENTIALS, startMockDvsa, mockDvsaEnv } = require('./helpers/mock-dvsa');
+
+// The scope tester runs against the mock DVSA, which only issues tokens for the
+// default scope. Every other candidate URL is a real DVSA host, so those calls
+// are answered locally with a DNS failure instead of leaving the machine.
+
+const ADMIN_KEY = 'admin-key';
+const CLIENT_KEY = 'client-key';
+
+describe('test-scopes.js', () => {
+    const originalEnv = process.env;
+    const originalAdapter = axios.defaults.adapter;
+    let dvsa;
+    let keysDirectory;
+    let keysFile;
+    let app;
+
+    beforeAll(async () => {
+        dvsa = await startMockDvsa();
+        keysDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mot-api-keys-'));
+        keysFile = path.join(keysDirectory, 'api-keys.json');
+        fs.writeFileSync(keysFile, JSON.stringify({
+            clients: [
+                { id: 'ops', key: ADMIN_KEY, admin: true },
+                { id: 'garage', key: CLIENT_KEY },
+            ],
+        }));
+        process.env = { ...originalEnv, ...mockDvsaEnv(dvsa.url), API_KEYS_FILE: keysFile };
+
+        const httpAdapter = axios.getAdapter('http');
+        axios.defaults.adapter = config => {
+            if (config.url.startsWith(dvsa.url)) {
+                return httpAdapter(config);
+            }
+            const error = new axios.AxiosError(`getaddrinfo ENOTFOUND ${new URL(config.url).hostname}`, 'ENOTFOUND', config);
+            return Promise.reject(error);
+        };
+
+        app = require('../test-scopes');
+    });
+
+    afterAll(async () => {
+        axios.defaults.adapter = originalAdapter;
+        process.env = originalEnv;
+        fs.rmSync(keysDirectory, { recursive: true, force: true });
+        await dvsa.close();
+    });
+
+    const post = (url, form) => request(app).post(url).set('X-API-Key', ADMIN_KEY).type('form').send(form);
+
+    describe('access', () => {
+        test('asks browsers for an admin key', async () => {
+            const response = await request(app).get('/');
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('UNAUTHORIZED');
+            expect(response.headers['www-authenticate']).toBe('Basic realm="DVSA scope tester", charset="UTF-8"');
+        });
+
+        test('accepts the admin key as the Basic auth password', async () => {
+            const response = await request(app).get('/').auth('anyone', ADMIN_KEY);
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('DVSA MOT API Scope Tester');
+        });
+
+        test('rejects unknown keys', async () => {
+            const response = await request(app).get('/').auth('anyone', 'wrong-key');
+
+            expect(response.status).toBe(401);
+            expect(response.headers['www-authenticate']).toBeDefined();
+        });
+
+        test('rejects keys without admin rights', async () => {
+            const response = await request(app).get('/').set('X-API-Key', CLIENT_KEY);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('FORBIDDEN');
+        });
+
+        test('refuses cross-site posts', async () => {
+            const fromOtherSite = await post('/test-all', { registration: 'FE08BBU' }).set('Origin', 'https://attacker.example');
+            const fetchedCrossSite = await post('/test-all', { registration: 'FE08BBU' }).set('Sec-Fetch-Site', 'cross-site');
+            const fromThisSite = await post('/test-scope', { registration: 'FE08BBU', scope: 'mot.read' })
+                .set('Host', 'tester.example:3000')
+                .set('Origin', 'http://tester.example:3000')
+                .set('Sec-Fetch-Site', 'same-origin');
+
+            expect(fromOtherSite.status).toBe(403);
+            expect(fromOtherSite.body).toMatchObject({ code: 'FORBIDDEN', detail: 'Cross-site requests are not allowed.' });
+            expect(fetchedCrossSite.status).toBe(403);
+            expect(fromThisSite.status).toBe(200);
+        });
+
+        test('only calls DVSA hosts, so the token and API key cannot be sent elsewhere', async () => {
+            const testUrl = await post('/test-url', { registration: 'FE08BBU', apiUrl: 'https://attacker.example/collect' });
+            const testAll = await post('/test-all', { registration: 'FE08BBU', urls: `${dvsa.url}/trade/vehicles/mot-tests\nhttps://attacker.example/collect` })
+                .set('Accept', 'application/json');
+
+            expect(testUrl.status).toBe(400);
+            expect(testUrl.body.detail).toBe('"https://attacker.example/collect" is not on a DVSA host this tool may call.');
+            expect(testAll.status).toBe(400);
+            expect(testAll.body.code).toBe('INVALID_REQUEST');
+        });
+
+        test('is disabled in production', async () => {
+            const testEnv = process.env;
+            process.env = {
+                ...originalEnv,
+                ...mockDvsaEnv(dvsa.url),
+                APP_PROFILE: 'production',
+                LOG_HASH_SALT: 'test-salt',
+                DVSA_TOKEN_URL: 'https://login.example.test/token',
+                DVSA_API_BASE_URL: 'https://dvsa.example.test/trade/vehicles/mot-tests',
+                API_KEYS_FILE: keysFile,
+            };
+            let productionApp;
+            jest.isolateModules(() => {
+                productionApp = require('../test-scopes');
+            });
+            process.env = testEnv;
+
+            const response = await request(productionApp).get('/').set('X-API-Key', ADMIN_KEY);
+
+            expect(response.status).toBe(404);
+            expect(response.body.detail).toBe('The scope tester is disabled in production.');
+        });
+    });
+
+    describe('output', () => {
+        test('escapes what the request sent', async () => {
+            const response = await post('/test-all', { registration: '<script>alert(1)</script>', scopes: '<img src=x onerror=alert(1)>' });
+
+            expect(response.status).toBe(200);
+            expect(response.text).not.toMatch(/<script>|<img/i);
+            expect(response.text).toContain('&lt;SCRIPT&gt;ALERT(1)&lt;/SCRIPT&gt;');
+            expect(response.text).toContain('&lt;img src=x onerror=alert(1)&gt;');
+        });
+
+        test('redacts secrets and tokens echoed by DVSA', async () => {
+            await request(dvsa.url).post('/__mock/faults').send({
+                target: 'api',
+                status: 500,
+                body: { message: `Bad request from ${CREDENTIALS.clientSecret} with eyJhbGciOi.eyJhdWQiOi.c2ln`, access_token: 'anything' },
+            });
+
+            const response = await post('/test-url', { registration: 'FE08BBU', apiUrl: `${dvsa.url}/trade/vehicles/mot-tests` })
+                .set('Accept', 'application/json');
+
+            expect(response.body.api.details).toEqual({
+                message: 'Bad request from [REDACTED] with [REDACTED]',
+                access_token: '[REDACTED]',
+            });
+            expect(JSON.stringify(response.body)).not.toContain(CREDENTIALS.clientSecret);
+        });
+    });
+
+    describe('POST /test-all', () => {
+        let html;
+
+        beforeAll(async () => {
+            const response = await post('/test-all', { registration: 'fe08 bbu' });
+            expect(response.status).toBe(200);
+            html = response.text;
+        });
+
+        test('tests the normalised registration', () => {
+            expect(html).toContain('Registration tested: <strong>FE08BBU</strong>');
+            expect(html).toContain('Scopes tested: 7');
+        });
+
+        test('finds the scope DVSA accepts', () => {
+            expect(html).toContain('Working scope(s) found: <strong>https://tapi.dvsa.gov.uk/.default</strong>');
+            expect(html).toContain('Recommended scope: <strong>https://tapi.dvsa.gov.uk/.default</strong>');
+        });
+
+        test('reports scopes Azure AD refuses', () => {
+            expect(html).toMatch(/<td>mot\.read<\/td>\s*<td>❌<\/td>\s*<td>❌<\/td>\s*<td>400 UPSTREAM_AUTH_FAILED/);
+            expect(html).toContain('AADSTS70011');
+            expect(html).toContain('<em>The scope is not valid.');
+        });
+
+        test('finds the configured URL and reports the others as unreachable', () => {
+            const configuredUrl = `${dvsa.url}/trade/vehicles/mot-tests`;
+            expect(html).toContain(`Working URL(s) found: <strong>${configuredUrl}</strong>`);
+            expect(html).toMatch(/<td>https:\/\/mot\.api\.gov\.uk\/trade\/vehicles\/mot-tests<\/td>\s*<td>❌<\/td>\s*<td>- UPSTREAM_ERROR/);
+        });
+
+        test('requires a registration', async () => {
+            const response = await post('/test-all', {});
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_REQUEST');
+        });
+    });
+
+    describe('POST /test-all as JSON', () => {
+        const postJson = form => post('/test-all', form).set('Accept', 'application/json');
+
+        test('returns the report', async () => {
+            const response = await postJson({ registration: 'FE08BBU' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                registration: 'FE08BBU',
+                ok: true,
+                working_scopes: ['https://tapi.dvsa.gov.uk/.default'],
+                recommended: { scope: 'https://tapi.dvsa.gov.uk/.default', url: `${dvsa.url}/trade/vehicles/mot-tests` },
+            });
+            expect(response.body.scopes).toHaveLength(7);
+        });
+
+        test('tests only the given scopes and URLs', async () => {
+            const response = await postJson({
+                registration: 'FE08BBU',
+                scopes: 'mot.read\r\n(empty)',
+                urls: `${dvsa.url}/trade/vehicles/mot-tests`,
+            });
+
+            expect(response.body.scopes.map(entry => entry.scope)).toEqual(['mot.read', '']);
+            expect(response.body.urls).toHaveLength(1);
+            expect(response.body).toMatchObject({ ok: true, working_scopes: [], recommended: { scope: null } });
+        });
+
+        test('rejects URLs that are not http(s)', async () => {
+            const response = await postJson({ registration: 'FE08BBU', urls: 'javascript:alert(1)' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_REQUEST');
+        });
+    });
+
+    describe('POST /test-scope', () => {
+        test('reports a working scope', async () => {
+            const response = await post('/test-scope', { registration: 'FE08BBU', scope: 'https://tapi.dvsa.gov.uk/.default' });
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('FE08BBU');
+        });
+
+        test('reports a token failure with its error code', async () => {
+            const response = await post('/test-scope', { registration: 'FE08BBU', scope: 'mot.read' });
+
+            expect(response.text).toContain('UPSTREAM_AUTH_FAILED');
+            expect(response.text).toContain('AADSTS70011');
+            expect(response.text).toContain('How to fix AADSTS70011');
+        });
+
+        test('shows the decoded token claims', async () => {
+            const response = await post('/test-scope', { registration: 'FE08BBU', scope: 'https://tapi.dvsa.gov.uk/.default' });
+
+            expect(response.text).toContain('Audience (aud): https://tapi.dvsa.gov.uk');
+            expect(response.text).toContain('App roles (roles): MOT.Read');
+            expect(response.text).not.toContain('Problems with this token');
+        });
+
+        test('returns the result as JSON when asked', async () => {
+            const response = await post('/test-scope', { registration: 'FE08BBU', scope: 'mot.read' }).set('Accept', 'application/json');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ scope: 'mot.read', ok: false, token: { acquired: false, code: 'UPSTREAM_AUTH_FAILED' } });
+        });
+    });
+});
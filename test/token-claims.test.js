@@ -0,0 +1,128 @@
+const { decodeJwt, inspectToken, scopeResource, tokenUrlTenant } = require('../lib/diagnostics/token-claims');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+const TENANT = '6c5d3c2a-1111-4222-8333-944455556666';
+const CLIENT = 'a1b2c3d4-0000-4000-8000-123456789abc';
+
+function jwt(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ typ: 'JWT', alg: 'RS256' })}.${encode(claims)}.signature`;
+}
+
+const GOOD_CLAIMS = {
+    aud: 'https://tapi.dvsa.gov.uk',
+    tid: TENANT,
+    appid: CLIENT,
+    roles: ['MOT.Read'],
+    iat: NOW / 1000 - 60,
+    nbf: NOW / 1000 - 60,
+    exp: NOW / 1000 + 3540,
+};
+const EXPECTED = { audience: 'https://tapi.dvsa.gov.uk', clientId: CLIENT, tenantId: TENANT };
+
+const issueCodes = claims => inspectToken(jwt(claims), EXPECTED, NOW).issues.map(issue => issue.code);
+
+describe('decodeJwt', () => {
+    test('returns the payload without checking the signature', () => {
+        expect(decodeJwt(jwt({ aud: 'x' }))).toEqual({ aud: 'x' });
+    });
+
+    test.each([
+        ['an opaque token', 'opaque-token'],
+        ['a payload that is not JSON', 'a.bm90IGpzb24.c'],
+        ['a payload that is not an object', `a.${Buffer.from('[1]').toString('base64url')}.c`],
+        ['a non-string', undefined],
+    ])('returns null for %s', (_, token) => {
+        expect(decodeJwt(token)).toBeNull();
+    });
+});
+
+describe('inspectToken', () => {
+    test('summarises the claims', () => {
+        const { claims, issues } = inspectToken(jwt({ ...GOOD_CLAIMS, scp: 'a b' }), EXPECTED, NOW);
+
+        expect(claims).toEqual({
+            aud: 'https://tapi.dvsa.gov.uk',
+            roles: ['MOT.Read'],
+            scp: ['a', 'b'],
+            tid: TENANT,
+            appid: CLIENT,
+            iss: null,
+            issued_at: '2025-06-01T11:59:00.000Z',
+            expires_at: '2025-06-01T12:59:00.000Z',
+        });
+        expect(issues).toEqual([]);
+    });
+
+    test('uses azp when there is no appid (v2 tokens)', () => {
+        const { appid, ...claims } = GOOD_CLAIMS;
+
+        expect(inspectToken(jwt({ ...claims, azp: CLIENT }), EXPECTED, NOW).claims.appid).toBe(CLIENT);
+    });
+
+    test('explains an audience that is not the MOT API', () => {
+        const { issues } = inspectToken(jwt({ ...GOOD_CLAIMS, aud: 'https://graph.microsoft.com' }), EXPECTED, NOW);
+
+        expect(issues).toEqual([{
+            code: 'AUDIENCE_MISMATCH',
+            message: expect.stringContaining('Request the scope "https://tapi.dvsa.gov.uk/.default"'),
+        }]);
+    });
+
+    test('points out an application ID used as the audience', () => {
+        const { issues } = inspectToken(jwt({ ...GOOD_CLAIMS, aud: CLIENT }), EXPECTED, NOW);
+
+        expect(issues[0].message).toContain('An application ID as the audience');
+    });
+
+    test('reports missing app roles', () => {
+        expect(issueCodes({ ...GOOD_CLAIMS, roles: undefined })).toEqual(['NO_APP_ROLES']);
+        expect(issueCodes({ ...GOOD_CLAIMS, roles: [], scp: 'user_impersonation' })).toEqual(['DELEGATED_TOKEN']);
+    });
+
+    test('reports a token for another client or tenant', () => {
+        expect(issueCodes({ ...GOOD_CLAIMS, appid: 'someone-else', tid: TENANT.toUpperCase() })).toEqual(['CLIENT_MISMATCH']);
+        expect(issueCodes({ ...GOOD_CLAIMS, tid: 'f00d0000-0000-4000-8000-000000000000' })).toEqual(['TENANT_MISMATCH']);
+    });
+
+    test('reports tokens outside their validity period', () => {
+        expect(issueCodes({ ...GOOD_CLAIMS, exp: NOW / 1000 })).toEqual(['EXPIRED']);
+        expect(issueCodes({ ...GOOD_CLAIMS, nbf: NOW / 1000 + 600 })).toEqual(['NOT_YET_VALID']);
+    });
+
+    test('skips checks it has no expectation for', () => {
+        const { issues } = inspectToken(jwt({ ...GOOD_CLAIMS, aud: 'other', appid: 'other', tid: 'other' }), {}, NOW);
+
+        expect(issues).toEqual([]);
+    });
+
+    test('cannot inspect an opaque token', () => {
+        expect(inspectToken('opaque', EXPECTED, NOW)).toEqual({
+            claims: null,
+            issues: [{ code: 'NOT_A_JWT', message: expect.any(String) }],
+        });
+    });
+});
+
+describe('scopeResource', () => {
+    test.each([
+        ['https://tapi.dvsa.gov.uk/.default', 'https://tapi.dvsa.gov.uk'],
+        ['https://tapi.dvsa.gov.uk/mot.read', 'https://tapi.dvsa.gov.uk'],
+        ['api://tapi.dvsa.gov.uk/.default', 'api://tapi.dvsa.gov.uk'],
+        ['mot.read', null],
+        ['', null],
+    ])('%s names %s', (scope, resource) => {
+        expect(scopeResource(scope)).toBe(resource);
+    });
+});
+
+describe('tokenUrlTenant', () => {
+    test('reads the tenant ID from a tenant-specific token URL', () => {
+        expect(tokenUrlTenant(`https://login.microsoftonline.com/${TENANT.toUpperCase()}/oauth2/v2.0/token`)).toBe(TENANT);
+    });
+
+    test('ignores token URLs without a tenant ID', () => {
+        expect(tokenUrlTenant('https://login.microsoftonline.com/common/oauth2/v2.0/token')).toBeNull();
+        expect(tokenUrlTenant('http://localhost:4010/token')).toBeNull();
+    });
+});
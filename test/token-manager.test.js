@@ -0,0 +1,173 @@
+const { TokenManager } = require('../lib/dvsa/token-manager');
+
+const MINUTE_MS = 60 * 1000;
+
+function tokenResponse(accessToken, expiresIn = 3600) {
+    return {
+        ok: true,
+        status: 200,
+        json: async () => ({ access_token: accessToken, token_type: 'Bearer', expires_in: expiresIn }),
+    };
+}
+
+function errorResponse(status, body = { error: 'invalid_client' }) {
+    return {
+        ok: false,
+        status,
+        text: async () => JSON.stringify(body),
+    };
+}
+
+// A fetch stub that hands out token-1, token-2, … (or the queued responses first)
+function fakeTokenEndpoint(...queued) {
+    let issued = 0;
+    return jest.fn(async () => {
+        if (queued.length > 0) {
+            return queued.shift();
+        }
+        issued += 1;
+        return tokenResponse(`token-${issued}`);
+    });
+}
+
+function createManager(fetchImpl, options = {}) {
+    return new TokenManager({
+        tokenUrl: 'https://login.example.test/token',
+        clientId: 'client',
+        clientSecret: 'secret',
+        scope: 'https://tapi.dvsa.gov.uk/.default',
+        backgroundRefresh: false,
+        fetchImpl,
+        ...options,
+    });
+}
+
+describe('TokenManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-06-01T12:00:00Z') });
+    });
+
+    afterEach(() => {
+        manager.stop();
+        jest.useRealTimers();
+    });
+
+    test('sends a client-credentials request', async () => {
+        const fetchImpl = fakeTokenEndpoint();
+        manager = createManager(fetchImpl);
+
+        await manager.getToken();
+
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://login.example.test/token');
+        expect(request.method).toBe('POST');
+        expect(Object.fromEntries(request.body)).toEqual({
+            grant_type: 'client_credentials',
+            client_id: 'client',
+            client_secret: 'secret',
+            scope: 'https://tapi.dvsa.gov.uk/.default',
+        });
+    });
+
+    test('reuses the token until five minutes before it expires', async () => {
+        const fetchImpl = fakeTokenEndpoint();
+        manager = createManager(fetchImpl);
+
+        expect(await manager.getToken()).toBe('token-1');
+        jest.advanceTimersByTime(54 * MINUTE_MS);
+        expect(await manager.getToken()).toBe('token-1');
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(2 * MINUTE_MS);
+        expect(manager.hasValidToken()).toBe(false);
+        expect(await manager.getToken()).toBe('token-2');
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    test('never lets the buffer swallow more than half of a short-lived token', async () => {
+        manager = createManager(fakeTokenEndpoint(tokenResponse('short', 60)));
+
+        const token = await manager.getTokenInfo();
+
+        expect(token.expiresAt - Date.now()).toBe(60 * 1000);
+        expect(token.usableUntil - Date.now()).toBe(30 * 1000);
+    });
+
+    test('shares one request between concurrent callers', async () => {
+        const fetchImpl = fakeTokenEndpoint();
+        manager = createManager(fetchImpl);
+
+        const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+
+        expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('renews the token in the background before it becomes unusable', async () => {
+        const fetchImpl = fakeTokenEndpoint();
+        manager = createManager(fetchImpl, { backgroundRefresh: true });
+
+        await manager.getToken();
+        await jest.advanceTimersByTimeAsync(53 * MINUTE_MS);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE_MS);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+        expect(await manager.getToken()).toBe('token-2');
+    });
+
+    test('retries server errors with backoff', async () => {
+        const fetchImpl = fakeTokenEndpoint(errorResponse(503), errorResponse(500));
+        manager = createManager(fetchImpl, { maxRetries: 2 });
+
+        const token = manager.getToken();
+        await jest.advanceTimersByTimeAsync(10000);
+
+        await expect(token).resolves.toBe('token-1');
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry rejected credentials', async () => {
+        const fetchImpl = fakeTokenEndpoint(errorResponse(401));
+        manager = createManager(fetchImpl);
+
+        await expect(manager.getToken()).rejects.toMatchObject({
+            status: 401,
+            code: 'UPSTREAM_AUTH_FAILED',
+            responseBody: { error: 'invalid_client' },
+        });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up after the last retry', async () => {
+        const fetchImpl = fakeTokenEndpoint(errorResponse(503), errorResponse(503));
+        manager = createManager(fetchImpl, { maxRetries: 1 });
+
+        const token = manager.getToken();
+        const assertion = expect(token).rejects.toMatchObject({ status: 503, code: 'UPSTREAM_AUTH_FAILED' });
+        await jest.advanceTimersByTimeAsync(10000);
+
+        await assertion;
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    test('withToken re-authenticates once when DVSA rejects the token', async () => {
+        manager = createManager(fakeTokenEndpoint());
+        const call = jest.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { upstreamStatus: 401 }))
+            .mockResolvedValueOnce('vehicle');
+
+        await expect(manager.withToken(call)).resolves.toBe('vehicle');
+        expect(call.mock.calls).toEqual([['token-1'], ['token-2']]);
+    });
+
+    test('withToken passes other errors through', async () => {
+        manager = createManager(fakeTokenEndpoint());
+        const error = Object.assign(new Error('Not found'), { upstreamStatus: 404 });
+
+        await expect(manager.withToken(() => Promise.reject(error))).rejects.toBe(error);
+        expect(manager.hasValidToken()).toBe(true);
+    });
+});
@@ -0,0 +1,141 @@
+const { transformVehicle, transformVehicleV2, transformForFormat, parseResponseFormat } = require('../lib/transform');
+const { loadFixture } = require('./helpers/mock-dvsa');
+
+const [legacyRecord] = loadFixture('legacy-trade', 'registration', 'FE08BBU').body;
+
+describe('transformVehicle (v1)', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-06-01T12:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('maps a DVSA record onto the frontend shape', () => {
+        const { vehicle, motTests } = transformVehicle(legacyRecord);
+
+        expect(vehicle).toMatchObject({
+            registration: 'FE08BBU',
+            make: 'VAUXHALL',
+            model: 'ASTRA',
+            year: 2008,
+            colour: 'Silver',
+            fuel_type: 'Petrol',
+            mot_expiry: '2026.03.13',
+            tax_expiry: null,
+            mot_status: 'valid',
+        });
+        expect(vehicle.mot_status_details).toEqual({ rule: 'current_pass', expiry_date: '2026-03-13', days_until_expiry: 285 });
+        expect(motTests).toHaveLength(legacyRecord.motTests.length);
+        expect(motTests[0]).toMatchObject({
+            test_date: '2025.03.04 10:15:02',
+            test_result: 'PASSED',
+            mileage: 121904,
+            test_station: '591028374615',
+        });
+        expect(motTests[0].defects[0]).toEqual({
+            type: 'ADVISORY',
+            description: legacyRecord.motTests[0].rfrAndComments[0].text,
+            system: 'tyres',
+            location: { lateral: 'nearside', longitudinal: 'front', vertical: null },
+        });
+    });
+
+    test('includes the mileage and defect analysis', () => {
+        const { mileage, defect_analysis: defectAnalysis } = transformVehicle(legacyRecord);
+
+        expect(mileage.readings).toBe(4);
+        expect(mileage.clocking_suspected).toBe(false);
+        expect(defectAnalysis.recurring_advisories.length).toBeGreaterThan(0);
+    });
+
+    test('does not crash when firstUsedDate is missing', () => {
+        const { firstUsedDate, ...record } = legacyRecord;
+
+        expect(transformVehicle(record).vehicle.year).toBeNull();
+    });
+
+    test('takes mot_expiry from the latest expiry, whatever order DVSA lists the tests in', () => {
+        const result = transformVehicle({
+            registration: 'AB12CDE',
+            motTests: [
+                { completedDate: '2024.03.10 09:00:00', testResult: 'PASSED', expiryDate: '2025.03.09' },
+                { completedDate: '2025.03.04 10:00:00', testResult: 'PASSED', expiryDate: '2026.03.03' },
+            ],
+        });
+
+        expect(result.vehicle.mot_expiry).toBe('2026.03.03');
+        expect(result.vehicle.mot_status_details.expiry_date).toBe('2026-03-03');
+        expect(result.vehicle.mot_status).toBe('valid');
+    });
+
+    test('handles a record with no MOT tests', () => {
+        const result = transformVehicle({ registration: 'AB12CDE' });
+
+        expect(result.vehicle.year).toBeNull();
+        expect(result.vehicle.mot_expiry).toBeNull();
+        expect(result.vehicle.mot_status).toBe('no_data');
+        expect(result.motTests).toEqual([]);
+    });
+
+    test('handles tests without defects or odometer readings', () => {
+        const result = transformVehicle({ registration: 'AB12CDE', motTests: [{ testResult: 'PASSED' }] });
+
+        expect(result.motTests[0].defects).toEqual([]);
+        expect(JSON.parse(JSON.stringify(result)).motTests[0].mileage).toBeNull();
+    });
+});
+
+describe('transformVehicleV2', () => {
+    test('keeps DVSA fields with typed values and ISO dates', () => {
+        const result = transformVehicleV2(legacyRecord);
+
+        expect(result.schema_version).toBe(2);
+        expect(result.vehicle).toMatchObject({
+            vehicle_id: legacyRecord.vehicleId,
+            year: 2008,
+            first_used_date: '2008-03-14',
+            registration_date: '2008-03-14',
+        });
+        expect(result.motTests[0]).toMatchObject({
+            test_number: '591028374615',
+            completed_at: '2025-03-04T10:15:02.000Z',
+            expiry_date: '2026-03-13',
+            odometer: { value: 121904, unit: 'mi', result_type: 'READ' },
+        });
+    });
+
+    test('marks dangerous defects', () => {
+        const defects = transformVehicleV2(legacyRecord).motTests.flatMap(test => test.defects);
+
+        expect(defects.find(defect => defect.type === 'DANGEROUS')).toMatchObject({ severity: 'dangerous', dangerous: true });
+    });
+
+    test('handles an empty record', () => {
+        const result = transformVehicleV2({});
+
+        expect(result.vehicle.year).toBeNull();
+        expect(result.vehicle.first_used_date).toBeNull();
+        expect(result.motTests).toEqual([]);
+    });
+});
+
+describe('parseResponseFormat', () => {
+    test.each([
+        [undefined, 'v1'],
+        ['', 'v1'],
+        ['legacy', 'v1'],
+        ['V2', 'v2'],
+    ])('%p selects %s', (value, format) => {
+        expect(parseResponseFormat(value)).toEqual({ format });
+    });
+
+    test('rejects unknown formats', () => {
+        expect(parseResponseFormat('v3').error).toBe('Unsupported format "v3". Expected one of: v1, v2.');
+    });
+
+    test('transformForFormat defaults to v1', () => {
+        expect(transformForFormat(legacyRecord)).toEqual(transformVehicle(legacyRecord));
+    });
+});
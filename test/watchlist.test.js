@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReminderScheduler, WatchlistStore, createWatchEntry, describeWatch, dueLeadDays, parseLeadDays } = require('../lib/watchlist');
+const { MAX_SENT_KEYS } = require('../lib/json-store');
+
+// The parts of a v2 lookup payload the scheduler reads
+function vehiclePayload({ daysLeft, expiry = '2026-11-02', tests = [] }) {
+    return {
+        vehicle: {
+            registration: 'FE08BBU',
+            make: 'FORD',
+            model: 'FOCUS',
+            mot_expiry: expiry,
+            mot_status_details: { days_until_expiry: daysLeft },
+        },
+        motTests: tests,
+    };
+}
+
+const PASS_2025 = { test_number: '111', completed_at: '2025-11-01T10:00:00.000Z', test_result: 'PASSED', expiry_date: '2026-11-02' };
+const PASS_2026 = { test_number: '222', completed_at: '2026-10-20T10:00:00.000Z', test_result: 'PASSED', expiry_date: '2027-11-02' };
+
+describe('dueLeadDays', () => {
+    test('picks the nearest lead time reached', () => {
+        expect(dueLeadDays(45, [30, 14, 1])).toBeNull();
+        expect(dueLeadDays(30, [30, 14, 1])).toBe(30);
+        expect(dueLeadDays(10, [30, 14, 1])).toBe(14);
+        expect(dueLeadDays(0, [30, 14, 1])).toBe(1);
+        expect(dueLeadDays(-1, [30, 14, 1])).toBeNull();
+        expect(dueLeadDays(null, [30, 14, 1])).toBeNull();
+    });
+
+    test('lead days parse from a comma-separated list', () => {
+        expect(parseLeadDays(undefined)).toEqual([30, 14, 1]);
+        expect(parseLeadDays('7, 28,7')).toEqual([28, 7]);
+    });
+});
+
+describe('ReminderScheduler', () => {
+    let store;
+    let lookup;
+    let notifier;
+    let scheduler;
+    let entry;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        store = new WatchlistStore();
+        lookup = jest.fn();
+        notifier = { deliver: jest.fn(async (channel, event) => ({ event_id: event.id, type: event.type, status: 'sent', attempts: 1 })) };
+        scheduler = new ReminderScheduler({ store, lookup, notifier });
+        entry = store.add(createWatchEntry({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'https://hooks.example.test' } }, 'garage'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const sentTypes = () => notifier.deliver.mock.calls.map(([, event]) => event.type);
+
+    test('sends each expiry reminder once, at the nearest lead time', async () => {
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 10, tests: [PASS_2025] }));
+        await expect(scheduler.runOnce()).resolves.toEqual({ checked: 1, failed: 0, skipped: 0, sent: 1 });
+        await scheduler.runOnce();
+
+        expect(notifier.deliver).toHaveBeenCalledTimes(1);
+        const [channel, event] = notifier.deliver.mock.calls[0];
+        expect(channel).toBe(entry.channel);
+        expect(event).toMatchObject({
+            type: 'mot.expiry_reminder',
+            data: {
+                watch_id: entry.id,
+                vehicle: { registration: 'FE08BBU', make: 'FORD', model: 'FOCUS' },
+                mot_expiry: '2026-11-02',
+                days_until_expiry: 10,
+                lead_days: 14,
+            },
+        });
+
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 1, tests: [PASS_2025] }));
+        await scheduler.runOnce();
+
+        expect(notifier.deliver.mock.calls[1][1].data.lead_days).toBe(1);
+        expect(store.get(entry.id)).toMatchObject({ sent: ['expiry:2026-11-02:14', 'expiry:2026-11-02:1'], last_test_number: '111' });
+    });
+
+    test('reports a new test result after the first check', async () => {
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 60, tests: [PASS_2025] }));
+        await scheduler.runOnce();
+        expect(notifier.deliver).not.toHaveBeenCalled();
+
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 425, expiry: '2027-11-02', tests: [PASS_2025, PASS_2026] }));
+        await scheduler.runOnce();
+        await scheduler.runOnce();
+
+        expect(sentTypes()).toEqual(['mot.new_test']);
+        expect(notifier.deliver.mock.calls[0][1].data.test).toMatchObject({ test_number: '222', test_result: 'PASSED', expiry_date: '2027-11-02' });
+        expect(store.get(entry.id)).toMatchObject({ last_test_number: '222', mot_expiry: '2027-11-02' });
+    });
+
+    test('tries a failed delivery again on the next run', async () => {
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 60, tests: [PASS_2025] }));
+        await scheduler.runOnce();
+        lookup.mockResolvedValue(vehiclePayload({ daysLeft: 425, tests: [PASS_2025, PASS_2026] }));
+        notifier.deliver.mockResolvedValueOnce({ type: 'mot.new_test', status: 'failed', attempts: 4, error: 'down' });
+
+        await scheduler.runOnce();
+        expect(store.get(entry.id)).toMatchObject({ last_test_number: '111', sent: [] });
+
+        await scheduler.runOnce();
+        expect(notifier.deliver).toHaveBeenCalledTimes(2);
+        expect(store.get(entry.id).sent).toEqual(['test:222']);
+        expect(store.get(entry.id).deliveries.map(delivery => delivery.status)).toEqual(['sent', 'failed']);
+    });
+
+    test('records lookup failures without notifying', async () => {
+        lookup.mockRejectedValue(Object.assign(new Error('DVSA has no MOT history for this vehicle.'), { code: 'VEHICLE_NOT_FOUND' }));
+
+        await expect(scheduler.runOnce()).resolves.toEqual({ checked: 1, failed: 1, skipped: 0, sent: 0 });
+
+        expect(notifier.deliver).not.toHaveBeenCalled();
+        expect(store.get(entry.id)).toMatchObject({ last_error: { code: 'VEHICLE_NOT_FOUND' }, last_success_at: null });
+    });
+
+    test('skips entries whose owner has no quota left', async () => {
+        const charge = jest.fn(() => false);
+        scheduler = new ReminderScheduler({ store, lookup, notifier, charge });
+
+        await expect(scheduler.runOnce()).resolves.toEqual({ checked: 1, failed: 0, skipped: 1, sent: 0 });
+
+        expect(charge).toHaveBeenCalledWith(store.get(entry.id));
+        expect(lookup).not.toHaveBeenCalled();
+        expect(store.get(entry.id)).toMatchObject({ last_error: { code: 'QUOTA_EXCEEDED' }, last_success_at: null });
+    });
+
+    test('does not start a second run while one is in progress', async () => {
+        let finish;
+        lookup.mockReturnValue(new Promise(resolve => {
+            finish = resolve;
+        }));
+
+        const first = scheduler.runOnce();
+        const second = scheduler.runOnce();
+        finish(vehiclePayload({ daysLeft: 60 }));
+
+        expect(second).toBe(first);
+        await first;
+        expect(lookup).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('WatchlistStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mot-watchlist-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('remembers sent reminders across restarts', async () => {
+        const filePath = path.join(directory, 'watchlist.json');
+        const store = new WatchlistStore({ filePath });
+        const entry = store.add(createWatchEntry({ registration: 'FE08BBU', channel: { type: 'email', address: 'fleet@example.test' } }, 'garage'));
+        store.recordDelivery(entry.id, 'expiry:2026-11-02:30', { status: 'sent', attempts: 1 });
+        await store.flush();
+
+        const reloaded = new WatchlistStore({ filePath });
+
+        expect(reloaded.hasSent(entry.id, 'expiry:2026-11-02:30')).toBe(true);
+        expect(reloaded.list('garage')).toHaveLength(1);
+        expect(reloaded.list('someone-else')).toEqual([]);
+    });
+
+    test('writes a burst of changes to the file once, after the write delay', async () => {
+        const filePath = path.join(directory, 'watchlist.json');
+        const store = new WatchlistStore({ filePath, writeDelayMs: 10 });
+        const writeFile = jest.spyOn(fs.promises, 'writeFile');
+        try {
+            const entry = store.add(createWatchEntry({ registration: 'FE08BBU', channel: { type: 'email', address: 'fleet@example.test' } }, 'garage'));
+            store.update(entry.id, { last_checked_at: '2026-10-19T09:00:00.000Z' });
+            store.recordDelivery(entry.id, 'test:1', { status: 'sent', attempts: 1 });
+
+            expect(fs.existsSync(filePath)).toBe(false);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            await store.flush();
+
+            expect(writeFile).toHaveBeenCalledTimes(1);
+            expect(new WatchlistStore({ filePath }).get(entry.id)).toMatchObject({ last_checked_at: '2026-10-19T09:00:00.000Z', sent: ['test:1'] });
+        } finally {
+            writeFile.mockRestore();
+        }
+    });
+
+    test('keeps only the most recent sent keys', () => {
+        const store = new WatchlistStore();
+        const entry = store.add(createWatchEntry({ registration: 'FE08BBU', channel: { type: 'email', address: 'fleet@example.test' } }, 'garage'));
+        for (let test = 1; test <= MAX_SENT_KEYS + 5; test += 1) {
+            store.recordDelivery(entry.id, `test:${test}`, { status: 'sent', attempts: 1 });
+        }
+
+        expect(store.get(entry.id).sent).toHaveLength(MAX_SENT_KEYS);
+        expect(store.hasSent(entry.id, 'test:5')).toBe(false);
+        expect(store.hasSent(entry.id, `test:${MAX_SENT_KEYS + 5}`)).toBe(true);
+    });
+
+    test('finds an entry for the same client, vehicle and channel', () => {
+        const store = new WatchlistStore();
+        const email = { type: 'email', address: 'fleet@example.test' };
+        const entry = store.add(createWatchEntry({ registration: 'FE08BBU', channel: email }, 'garage'));
+        store.add(createWatchEntry({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'https://hooks.example.test' } }, 'garage'));
+
+        expect(store.findDuplicate('garage', 'FE08BBU', email)).toBe(entry);
+        expect(store.findDuplicate('garage', 'FE08BBU', { ...email, address: 'other@example.test' })).toBeNull();
+        expect(store.findDuplicate('garage', 'AB12CDE', email)).toBeNull();
+        expect(store.findDuplicate('fleet', 'FE08BBU', email)).toBeNull();
+    });
+
+    test('refuses to start from a file it cannot parse', () => {
+        const filePath = path.join(directory, 'watchlist.json');
+        fs.writeFileSync(filePath, '{ not json');
+
+        expect(() => new WatchlistStore({ filePath })).toThrow('Could not read the watchlist');
+    });
+
+    test('hides the webhook secret and dedupe keys from clients', () => {
+        const entry = createWatchEntry({ registration: 'FE08BBU', channel: { type: 'webhook', url: 'https://hooks.example.test' } }, 'garage');
+        const described = describeWatch({ ...entry, sent: ['test:1'], deliveries: [] });
+
+        expect(entry.channel.secret).toMatch(/^whsec_/);
+        expect(described.channel).toEqual({ type: 'webhook', url: 'https://hooks.example.test' });
+        expect(described).not.toHaveProperty('sent');
+        expect(described).not.toHaveProperty('deliveries');
+    });
+});